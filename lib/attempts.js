@@ -0,0 +1,400 @@
+const { pool } = require('../db'); // mysql2/promise
+const { can } = require('./permissions');
+
+// ---------- Retake policy ----------
+// attempt_mode 'single' allows one attempt, 'limited' allows max_attempts and
+// 'practice' any number. score_policy says which completed attempt counts:
+// the 'latest' or the 'highest' scoring one. time_limit_minutes (optional)
+// makes each attempt a timed exam. Cases carry a policy; an assignment may
+// override it for its section.
+
+const ATTEMPT_MODES = ['single', 'limited', 'practice'];
+const SCORE_POLICIES = ['latest', 'highest'];
+const MAX_ATTEMPTS_LIMIT = 50;
+const TIME_LIMIT_MAX = 600; // minutes
+
+// Writes that reach the server this soon after a timed attempt's deadline (the
+// last autosave, the submit racing the countdown) still count, as overtime
+const DEADLINE_GRACE_SECONDS = 30;
+
+// mysql2 hands back JSON columns parsed on MySQL but as strings on MariaDB
+function parseJson(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Problems with a retake policy ({ attempt_mode, max_attempts, score_policy,
+ * time_limit_minutes }), empty when it can be saved. With override: true
+ * (assignments) blank fields mean "as the case says". A blank time limit on a
+ * case means untimed.
+ */
+function validateRetakePolicy(def, { override = false } = {}) {
+  const errors = [];
+  const mode = def.attempt_mode || null;
+  if (mode || !override) {
+    if (!ATTEMPT_MODES.includes(mode)) errors.push(`attempt_mode must be one of ${ATTEMPT_MODES.join(', ')}.`);
+    const max = Number(def.max_attempts);
+    if (mode === 'limited' && (!Number.isInteger(max) || max < 2 || max > MAX_ATTEMPTS_LIMIT)) {
+      errors.push(`max_attempts must be a whole number from 2 to ${MAX_ATTEMPTS_LIMIT}.`);
+    }
+  }
+  if ((def.score_policy || !override) && !SCORE_POLICIES.includes(def.score_policy)) {
+    errors.push(`score_policy must be one of ${SCORE_POLICIES.join(', ')}.`);
+  }
+  const limit = def.time_limit_minutes;
+  if (limit !== undefined && limit !== null && limit !== '') {
+    const minutes = Number(limit);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > TIME_LIMIT_MAX) {
+      errors.push(`time_limit_minutes must be a whole number from 1 to ${TIME_LIMIT_MAX}.`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * The policy that applies: the case's, with the assignment's fields where set.
+ * Pure: everything comes in as data.
+ */
+function resolveRetakePolicy(caseRow, assignment = null) {
+  const useAssignment = !!(assignment && assignment.attempt_mode);
+  const mode = useAssignment ? assignment.attempt_mode : (caseRow.attempt_mode || 'single');
+  const max = useAssignment ? assignment.max_attempts : caseRow.max_attempts;
+  return {
+    attempt_mode: mode,
+    max_attempts: mode === 'single' ? 1 : mode === 'limited' ? Number(max) : null,
+    score_policy: (assignment && assignment.score_policy) || caseRow.score_policy || 'latest',
+    time_limit_minutes: (assignment && assignment.time_limit_minutes) || caseRow.time_limit_minutes || null
+  };
+}
+
+/**
+ * Attempts still allowed after `used`: a number, or null when unlimited.
+ */
+function attemptsLeft(policy, used) {
+  if (policy.max_attempts === null) return null;
+  return Math.max(0, policy.max_attempts - used);
+}
+
+/**
+ * The completed attempt whose score counts under the score policy, or null.
+ * Pure: everything comes in as data. Ties go to the later attempt.
+ */
+function keptAttempt(attempts, scorePolicy = 'latest') {
+  const grade = a => Number(a.final_score ?? a.score ?? -1);
+  const completed = attempts
+    .filter(a => a.status === 'COMPLETED')
+    .sort((x, y) => x.attempt_number - y.attempt_number);
+  if (!completed.length) return null;
+  if (scorePolicy !== 'highest') return completed[completed.length - 1];
+  return completed.reduce((best, a) => (grade(a) >= grade(best) ? a : best));
+}
+
+/**
+ * Retake policy for a case, with the student's assignment (if any) applied.
+ */
+async function loadRetakePolicy(caseId, assignment = null) {
+  const [rows] = await pool.query(
+    'SELECT attempt_mode, max_attempts, score_policy, time_limit_minutes FROM cases WHERE case_id = ?',
+    [caseId]
+  );
+  return resolveRetakePolicy(rows[0] || {}, assignment);
+}
+
+// ---------- Reading ----------
+
+/**
+ * Most recent attempt a student has on this version of a case, or null
+ * (familyAttempts covers every version).
+ */
+async function latestAttempt(caseId, userId) {
+  const [rows] = await pool.query(
+    'SELECT * FROM case_attempts WHERE case_id = ? AND user_id = ? ORDER BY attempt_id DESC LIMIT 1',
+    [caseId, userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * A student's attempts on every version of a case, oldest first.
+ */
+async function familyAttempts(caseId, userId, conn = pool) {
+  const [rows] = await conn.query(
+    `SELECT a.*
+     FROM cases c
+     JOIN cases v ON v.family_id = c.family_id
+     JOIN case_attempts a ON a.case_id = v.case_id AND a.user_id = ?
+     WHERE c.case_id = ?
+     ORDER BY a.attempt_number ASC, a.attempt_id ASC`,
+    [userId, caseId]
+  );
+  return rows;
+}
+
+/**
+ * Notes and Assessment & Plan rows an attempt kept when its retake started
+ * ({ notes, assessments, cpt }), or null while they are still the live rows.
+ */
+function archivedWork(attempt) {
+  return parseJson(attempt.archived_work_json);
+}
+
+/**
+ * Countdown for a timed attempt, or null when it is untimed.
+ * Pure: everything comes in as data. seconds_left is measured on the server's
+ * clock so the browser's doesn't matter.
+ */
+function attemptTimer(attempt, now = new Date()) {
+  if (!attempt || !attempt.deadline_at) return null;
+  const deadline = new Date(attempt.deadline_at);
+  return {
+    time_limit_minutes: attempt.time_limit_minutes,
+    extension_minutes: attempt.extension_minutes || 0,
+    deadline_at: deadline,
+    seconds_left: Math.max(0, Math.floor((deadline - now) / 1000)),
+    auto_completed: !!attempt.auto_completed,
+    overtime_seconds: attempt.overtime_seconds ?? null
+  };
+}
+
+// ---------- Writing ----------
+
+/**
+ * Open a new IN_PROGRESS attempt, numbered after the student's attempts on
+ * every version of the case. With timeLimit (minutes) the attempt is timed:
+ * its deadline is fixed now and only moves by extensions.
+ */
+async function createAttempt(caseId, userId, { lastPage = null, timeLimit = null } = {}, conn = pool) {
+  const [[{ n }]] = await conn.query(
+    `SELECT COALESCE(MAX(a.attempt_number), 0) + 1 AS n
+     FROM cases c
+     JOIN cases v ON v.family_id = c.family_id
+     JOIN case_attempts a ON a.case_id = v.case_id AND a.user_id = ?
+     WHERE c.case_id = ?`,
+    [userId, caseId]
+  );
+  const minutes = timeLimit ? Number(timeLimit) : null;
+  const [ins] = await conn.query(
+    `INSERT INTO case_attempts
+       (case_id, user_id, attempt_number, last_page, status, time_limit_minutes, deadline_at)
+     VALUES (?, ?, ?, ?, 'IN_PROGRESS', ?, IF(? IS NULL, NULL, NOW() + INTERVAL ? MINUTE))`,
+    [caseId, userId, n, lastPage || 'history', minutes, minutes, minutes]
+  );
+  const [rows] = await conn.query('SELECT * FROM case_attempts WHERE attempt_id = ?', [ins.insertId]);
+  return rows[0];
+}
+
+/**
+ * Attempt that new student work is recorded against: the student's latest
+ * attempt on this version of the case, or null when they have none. Attempts
+ * are only opened by POST /case-attempts/ensure, which applies the assignment
+ * window, the retake policy and the time limit, so callers refuse work without
+ * one (409 NO_ATTEMPT). A COMPLETED attempt, including one whose time just ran
+ * out, is returned as-is so the caller can refuse the write.
+ */
+async function attemptForWork(caseId, userId) {
+  return expireIfOverdue(await latestAttempt(caseId, userId));
+}
+
+/**
+ * Close a timed attempt whose deadline (plus grace) has passed: it is marked
+ * COMPLETED as of the deadline, flagged auto_completed, and overtime_seconds
+ * records how long after the deadline it was closed. Returns the attempt as it
+ * now stands (unchanged when it isn't overdue). Grading happens on demand.
+ */
+async function expireIfOverdue(attempt, conn = pool) {
+  if (!attempt || attempt.status !== 'IN_PROGRESS' || !attempt.deadline_at) return attempt;
+  const [result] = await conn.query(
+    `UPDATE case_attempts
+     SET status = 'COMPLETED', completed_at = deadline_at, auto_completed = 1,
+         overtime_seconds = TIMESTAMPDIFF(SECOND, deadline_at, NOW()), updated_at = NOW()
+     WHERE attempt_id = ? AND status = 'IN_PROGRESS'
+       AND NOW() > deadline_at + INTERVAL ? SECOND`,
+    [attempt.attempt_id, DEADLINE_GRACE_SECONDS]
+  );
+  if (!result.affectedRows) return attempt;
+  const [rows] = await conn.query('SELECT * FROM case_attempts WHERE attempt_id = ?', [attempt.attempt_id]);
+  return rows[0];
+}
+
+/**
+ * Close every overdue timed attempt (for students who closed the browser).
+ * Returns how many were closed.
+ */
+async function expireOverdueAttempts() {
+  const [result] = await pool.query(
+    `UPDATE case_attempts
+     SET status = 'COMPLETED', completed_at = deadline_at, auto_completed = 1,
+         overtime_seconds = TIMESTAMPDIFF(SECOND, deadline_at, NOW()), updated_at = NOW()
+     WHERE status = 'IN_PROGRESS' AND deadline_at IS NOT NULL
+       AND NOW() > deadline_at + INTERVAL ? SECOND`,
+    [DEADLINE_GRACE_SECONDS]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Student submits an attempt. Timed attempts submitted after the deadline
+ * (inside the grace period) record their overtime. The report (pdf_url) is
+ * rendered afterwards by lib/reports.
+ * Returns false when there was nothing IN_PROGRESS to complete.
+ */
+async function completeAttempt(attemptId, userId) {
+  const [result] = await pool.query(
+    `UPDATE case_attempts
+     SET status = 'COMPLETED', pdf_url = NULL, completed_at = NOW(), updated_at = NOW(),
+         overtime_seconds = IF(deadline_at IS NOT NULL AND NOW() > deadline_at,
+                               TIMESTAMPDIFF(SECOND, deadline_at, NOW()), NULL)
+     WHERE attempt_id = ? AND user_id = ? AND status = 'IN_PROGRESS'`,
+    [attemptId, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Start the next attempt after a completed one. Notes and Assessment & Plan
+ * rows are stored per student and case, so the finished attempt's rows are
+ * archived on it and cleared for the new attempt.
+ * options: as for createAttempt ({ lastPage, timeLimit }).
+ */
+async function startRetake(previous, caseId, userId, options = {}) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const where = 'case_id = ? AND student_id = ?';
+    const params = [previous.case_id, userId];
+
+    const [notes] = await conn.query(`SELECT section, notes, submitted_at FROM student_notes WHERE ${where}`, params);
+    const [assessments] = await conn.query(
+      `SELECT id, icd10_code, plan FROM assessment_plan WHERE ${where} ORDER BY id ASC`,
+      params
+    );
+    const [cpt] = await conn.query(
+      `SELECT cpt_code, modifiers, units, payer, applies_to FROM assessment_plan_cpt WHERE ${where} ORDER BY id ASC`,
+      params
+    );
+    await conn.query(
+      'UPDATE case_attempts SET archived_work_json = ? WHERE attempt_id = ?',
+      [JSON.stringify({ notes, assessments, cpt }), previous.attempt_id]
+    );
+    await conn.query(`DELETE FROM student_notes WHERE ${where}`, params);
+    await conn.query(`DELETE FROM assessment_plan_cpt WHERE ${where}`, params);
+    await conn.query(`DELETE FROM assessment_plan WHERE ${where}`, params);
+
+    const attempt = await createAttempt(caseId, userId, options, conn);
+    await conn.commit();
+    return attempt;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Professor reopens a completed attempt (e.g. after a technical problem) so
+ * the student can keep working on it; its grade (automatic and rubric scores)
+ * and release are cleared, so it is graded afresh when completed again.
+ * Written comments (feedback_json) are kept for the professor.
+ * Only a student's latest attempt on the case can be reopened.
+ * Returns { ok: true, attempt } or { ok: false, error: 'NOT_FOUND'|'NOT_COMPLETED'|'NOT_LATEST' }.
+ */
+async function reopenAttempt(attemptId, professorId, reason = null) {
+  const [rows] = await pool.query('SELECT * FROM case_attempts WHERE attempt_id = ?', [attemptId]);
+  const attempt = rows[0];
+  if (!attempt) return { ok: false, error: 'NOT_FOUND' };
+  if (attempt.status !== 'COMPLETED') return { ok: false, error: 'NOT_COMPLETED' };
+
+  const attempts = await familyAttempts(attempt.case_id, attempt.user_id);
+  if (attempts[attempts.length - 1].attempt_id !== attempt.attempt_id) return { ok: false, error: 'NOT_LATEST' };
+
+  await pool.query(
+    `UPDATE case_attempts
+     SET status = 'IN_PROGRESS', completed_at = NULL, released_at = NULL,
+         score = NULL, grade_json = NULL, graded_at = NULL,
+         final_score = NULL, rubric_json = NULL, graded_by = NULL,
+         reopened_at = NOW(), reopened_by = ?, reopen_reason = ?, updated_at = NOW()
+     WHERE attempt_id = ?`,
+    [professorId, reason ? String(reason).trim().slice(0, 255) || null : null, attempt.attempt_id]
+  );
+  const [updated] = await pool.query('SELECT * FROM case_attempts WHERE attempt_id = ?', [attempt.attempt_id]);
+  return { ok: true, attempt: updated[0] };
+}
+
+/**
+ * Professor gives one student's timed attempt more time. The deadline moves
+ * by `minutes`; an attempt the timer already closed is reopened when its new
+ * deadline is still ahead.
+ * Returns { ok: true, attempt } or { ok: false, error: 'NOT_FOUND'|'NOT_TIMED'|'ALREADY_SUBMITTED' }.
+ */
+async function extendAttempt(attemptId, minutes) {
+  const [rows] = await pool.query('SELECT * FROM case_attempts WHERE attempt_id = ?', [attemptId]);
+  const attempt = await expireIfOverdue(rows[0]);
+  if (!attempt) return { ok: false, error: 'NOT_FOUND' };
+  if (!attempt.deadline_at) return { ok: false, error: 'NOT_TIMED' };
+  if (attempt.status === 'COMPLETED' && !attempt.auto_completed) return { ok: false, error: 'ALREADY_SUBMITTED' };
+
+  await pool.query(
+    `UPDATE case_attempts
+     SET extension_minutes = extension_minutes + ?,
+         deadline_at = deadline_at + INTERVAL ? MINUTE,
+         updated_at = NOW()
+     WHERE attempt_id = ?`,
+    [minutes, minutes, attempt.attempt_id]
+  );
+  // Back to work if the extension reaches past now (without the forced submission's grade)
+  await pool.query(
+    `UPDATE case_attempts
+     SET status = 'IN_PROGRESS', completed_at = NULL, released_at = NULL,
+         score = NULL, grade_json = NULL, graded_at = NULL,
+         final_score = NULL, rubric_json = NULL, graded_by = NULL,
+         auto_completed = 0, overtime_seconds = NULL
+     WHERE attempt_id = ? AND auto_completed = 1 AND deadline_at > NOW()`,
+    [attempt.attempt_id]
+  );
+  const [updated] = await pool.query('SELECT * FROM case_attempts WHERE attempt_id = ?', [attempt.attempt_id]);
+  return { ok: true, attempt: updated[0] };
+}
+
+/**
+ * Attempt a signed-in user may read work from.
+ *  - attemptId given: that attempt, if the user owns it (staff may read any)
+ *  - otherwise: the user's latest attempt on the case
+ */
+async function readableAttempt(caseId, user, attemptId = null) {
+  if (!attemptId) return latestAttempt(caseId, user.id);
+
+  const [rows] = await pool.query(
+    'SELECT * FROM case_attempts WHERE attempt_id = ? AND case_id = ?',
+    [attemptId, caseId]
+  );
+  const attempt = rows[0];
+  if (!attempt) return null;
+  if (!can(user, 'work:view-any') && attempt.user_id !== user.id) return null;
+  return attempt;
+}
+
+module.exports = {
+  ATTEMPT_MODES,
+  SCORE_POLICIES,
+  TIME_LIMIT_MAX,
+  validateRetakePolicy,
+  resolveRetakePolicy,
+  attemptsLeft,
+  keptAttempt,
+  loadRetakePolicy,
+  latestAttempt,
+  familyAttempts,
+  archivedWork,
+  attemptTimer,
+  createAttempt,
+  attemptForWork,
+  expireIfOverdue,
+  expireOverdueAttempts,
+  completeAttempt,
+  startRetake,
+  reopenAttempt,
+  extendAttempt,
+  readableAttempt
+};
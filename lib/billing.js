@@ -0,0 +1,234 @@
+const { pool } = require('../db'); // mysql2/promise
+const { extractIcd10, parseJson } = require('./grading');
+const { modifierList } = require('./cpt');
+
+// ---------- Simulated claims ----------
+// A student's coding (assessments + CPT lines mapped to them) becomes one
+// CMS-1500-style claim per payer, with the denials and warnings a clearinghouse
+// or payer would send back.
+
+const PAYERS = ['medical', 'vision'];
+
+// Box 21 holds up to 12 diagnoses (A–L); each line in box 24E points to at most 4
+const POINTER_LETTERS = 'ABCDEFGHIJKL';
+const MAX_LINE_POINTERS = 4;
+
+// Office (box 24B)
+const PLACE_OF_SERVICE = '11';
+
+// Eye exams and E/M visits (office, consult, home)
+const VISIT_CODE = /^(9200[24]|9201[24]|992[0-9]{2}|993[45][0-9])$/;
+
+// Routine vision HCPCS that only vision plans take
+const ROUTINE_VISION_CODES = ['S0620', 'S0621'];
+const REFRACTION_CODE = '92015';
+
+// What a vision plan pays for: routine exams, refraction, contact lens services
+const VISION_PLAN_CODE = /^(9200[24]|9201[24]|S062[01]|92015|923(1[0-3]|2[56]))$/;
+
+// Same-day procedures that need modifier 25 on the visit
+const MINOR_PROCEDURE_CODES = ['65222', '67820', '68761', '68801', '92070'];
+
+// Refractive error / routine eye exam encounters (H52.x, Z01.0x)
+const ROUTINE_DIAGNOSIS = /^(H52|Z01\.0)/;
+
+// Free-text insurance fields that mean "no coverage"
+const NO_COVERAGE = /^(none|no|n\/?a|self[- ]?pay|uninsured)$/i;
+
+function hasCoverage(name) {
+  return !!(name && String(name).trim() && !NO_COVERAGE.test(String(name).trim()));
+}
+
+function money(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Build the claims for one student's coding. Pure: everything comes in as data.
+ *  patient:     patients row (name, dob, address, vision_/medical_insurance[_info])
+ *  appointment: appointments row (date is the date of service)
+ *  assessments: [{ id, icd10_code }] in the order the student entered them
+ *  lines:       [{ code, modifiers, units, payer, applies_to: [assessment id] }]
+ *  catalog:     { code → cpt_catalog entry }
+ * Returns { claims, denials, warnings }; each issue is { payer, line, code, message }.
+ */
+function buildClaims({ patient, appointment, assessments, lines, catalog }) {
+  const denials = [];
+  const warnings = [];
+  const deny = (payer, line, code, message) => denials.push({ payer, line, code, message });
+  const warn = (payer, line, code, message) => warnings.push({ payer, line, code, message });
+
+  const byId = new Map(assessments.map(a => [String(a.id), a]));
+  const dateOfService = appointment ? appointment.date : null;
+
+  lines.filter(l => !PAYERS.includes(l.payer)).forEach(l => {
+    if (catalog[l.code] && catalog[l.code].code_set === 'LOCAL') return; // never sent anyway
+    deny(null, null, l.code, `${l.code} wasn't billed to anyone; choose medical or vision insurance.`);
+  });
+
+  const claims = [];
+  PAYERS.forEach(payer => {
+    const payerLines = lines.filter(l => l.payer === payer);
+    if (!payerLines.length) return;
+
+    const insurance = {
+      name: patient ? patient[`${payer}_insurance`] : null,
+      info: patient ? patient[`${payer}_insurance_info`] : null
+    };
+    if (!hasCoverage(insurance.name)) {
+      deny(payer, null, null, `The patient has no ${payer} insurance on file, so the ${payer} claim would be rejected.`);
+    }
+
+    const diagnoses = [];
+    const pointerOf = new Map();
+    const claimLines = [];
+
+    payerLines.forEach(l => {
+      const entry = catalog[l.code];
+      const description = entry ? entry.description : '';
+      if (entry && entry.code_set === 'LOCAL') {
+        warn(payer, null, l.code, `${l.code} (${description}) is an in-house code and is left off the claim.`);
+        return;
+      }
+
+      const lineNo = claimLines.length + 1;
+      const where = `Line ${lineNo} (${l.code})`;
+
+      // Box 21 / 24E: letters in the order diagnoses are first pointed to
+      const pointers = [];
+      if (!l.applies_to.length) deny(payer, lineNo, l.code, `${where} has no diagnosis pointer (box 24E).`);
+      l.applies_to.forEach(id => {
+        const a = byId.get(String(id));
+        if (!a) return deny(payer, lineNo, l.code, `${where} points to a diagnosis that isn't in the assessment.`);
+        if (!pointerOf.has(String(id))) {
+          if (diagnoses.length >= POINTER_LETTERS.length) {
+            return deny(payer, lineNo, l.code, `${where}: a claim holds at most ${POINTER_LETTERS.length} diagnoses.`);
+          }
+          const pointer = POINTER_LETTERS[diagnoses.length];
+          pointerOf.set(String(id), pointer);
+          diagnoses.push({ pointer, code: extractIcd10(a.icd10_code) || a.icd10_code });
+        }
+        pointers.push(pointerOf.get(String(id)));
+      });
+      if (pointers.length > MAX_LINE_POINTERS) {
+        deny(payer, lineNo, l.code, `${where} points to ${pointers.length} diagnoses; box 24E takes at most ${MAX_LINE_POINTERS}.`);
+      }
+
+      const fee = entry ? entry.fee : null;
+      if (!entry) {
+        deny(payer, lineNo, l.code, `${where} is not in the CPT/HCPCS catalog.`);
+      } else if (fee === null) {
+        warn(payer, lineNo, l.code, `${where} has no fee on the local schedule; it is charged as $0.00.`);
+      }
+
+      const pointedCodes = pointers.map(p => diagnoses.find(d => d.pointer === p).code);
+      if (payer === 'medical') {
+        if (l.code === REFRACTION_CODE) {
+          deny(payer, lineNo, l.code, `${where}: refraction is not a covered medical service; bill it to the vision plan or the patient.`);
+        }
+        if (ROUTINE_VISION_CODES.includes(l.code)) {
+          deny(payer, lineNo, l.code, `${where} is a routine vision code that medical insurance does not accept.`);
+        }
+        if (VISIT_CODE.test(l.code) && pointedCodes.length && pointedCodes.every(c => ROUTINE_DIAGNOSIS.test(c))) {
+          deny(payer, lineNo, l.code,
+            `${where} is billed to medical with only refractive/routine diagnoses (${pointedCodes.join(', ')}); ` +
+            'a medical visit needs a medical diagnosis, otherwise bill the vision plan.');
+        }
+      } else if (!VISION_PLAN_CODE.test(l.code)) {
+        deny(payer, lineNo, l.code,
+          `${where}: vision plans cover routine exams, refraction and contact lens services; bill ${description || 'it'} to medical.`);
+      }
+
+      const units = Number(l.units) || 1;
+      claimLines.push({
+        line: lineNo,
+        date_of_service: dateOfService,
+        place_of_service: PLACE_OF_SERVICE,
+        code: l.code,
+        modifiers: l.modifiers,
+        description,
+        pointers,
+        units,
+        charge: money((fee || 0) * units)
+      });
+    });
+
+    // A visit on the same claim as a minor procedure needs modifier 25
+    const procedure = claimLines.find(l => MINOR_PROCEDURE_CODES.includes(l.code));
+    if (procedure) {
+      claimLines
+        .filter(l => VISIT_CODE.test(l.code) && !l.modifiers.includes('25'))
+        .forEach(l => warn(payer, l.line, l.code,
+          `Line ${l.line} (${l.code}) is billed with procedure ${procedure.code}; add modifier 25 or the visit will be bundled.`));
+    }
+
+    const seen = new Set();
+    claimLines.forEach(l => {
+      const key = [l.code, ...l.modifiers].join('-');
+      if (seen.has(key)) warn(payer, l.line, l.code, `Line ${l.line} repeats ${key}; payers deny duplicate lines.`);
+      seen.add(key);
+    });
+
+    claims.push({
+      payer,
+      insurance,
+      patient: patient
+        ? { name: patient.name, dob: patient.dob, address: patient.address }
+        : null,
+      diagnoses,
+      lines: claimLines,
+      total_charge: money(claimLines.reduce((sum, l) => sum + l.charge, 0))
+    });
+  });
+
+  return { claims, denials, warnings };
+}
+
+/**
+ * Claims for what one student coded on a case (see buildClaims). Pass an
+ * earlier attempt's archived work (lib/attempts) to bill that attempt instead.
+ */
+async function studentClaims(caseId, studentId, archived = null) {
+  const [[patient]] = await pool.query('SELECT * FROM patients WHERE case_id = ?', [caseId]);
+  const [[appointment]] = await pool.query('SELECT * FROM appointments WHERE case_id = ?', [caseId]);
+  let assessments = archived && archived.assessments;
+  let rows = archived && archived.cpt;
+  if (!archived) {
+    [assessments] = await pool.query(
+      'SELECT id, icd10_code FROM assessment_plan WHERE case_id = ? AND student_id = ? ORDER BY id ASC',
+      [caseId, studentId]
+    );
+    [rows] = await pool.query(
+      `SELECT cpt_code, modifiers, units, payer, applies_to
+       FROM assessment_plan_cpt
+       WHERE case_id = ? AND student_id = ?
+       ORDER BY id ASC`,
+      [caseId, studentId]
+    );
+  }
+
+  const lines = rows.map(r => ({
+    code: r.cpt_code,
+    modifiers: modifierList(r.modifiers),
+    units: r.units,
+    payer: r.payer,
+    applies_to: (parseJson(r.applies_to) || []).map(String)
+  }));
+
+  const catalog = {};
+  const codes = Array.from(new Set(lines.map(l => l.code)));
+  if (codes.length) {
+    const [entries] = await pool.query('SELECT code, code_set, description, fee FROM cpt_catalog WHERE code IN (?)', [codes]);
+    entries.forEach(e => {
+      catalog[e.code] = { ...e, fee: e.fee === null ? null : Number(e.fee) };
+    });
+  }
+
+  return buildClaims({ patient, appointment, assessments, lines, catalog });
+}
+
+module.exports = {
+  PAYERS,
+  buildClaims,
+  studentClaims
+};
@@ -0,0 +1,423 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { pool } = require('../db'); // mysql2/promise
+const { loadCase } = require('./cases');
+const { EXAM_IMAGE_FIELDS } = require('./wizard');
+const { STATUSES, loadTestTypes } = require('./tests');
+const { loadVocabulary, validateInterview, insertCaseInterview } = require('./interview');
+const { validateHotspots, insertCaseHotspots } = require('./hotspots');
+const { MAX_UPLOAD_BYTES, MAX_VIDEO_BYTES, storeMedia, discardMedia, syncCaseMedia } = require('./media');
+const { validateRetakePolicy } = require('./attempts');
+const { icd10Problems } = require('./icd10');
+const { cptProblems, parseCptText } = require('./cpt');
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Bumped if the layout of case.json changes incompatibly
+const BUNDLE_FORMAT = 'optocase-case';
+// (2: ancillary tests moved from exam columns to `tests`)
+const BUNDLE_VERSION = 2;
+
+// Row sections in case.json → their table
+const SECTIONS = {
+  patient: 'patients',
+  appointment: 'appointments',
+  history: 'histories',
+  exam: 'exam_sections'
+};
+
+// Columns that belong to this installation, not to the case content
+const LOCAL_COLUMNS = ['id', 'case_id', 'created_at', 'updated_at'];
+
+const SAFE_FILENAME = /^[\w.-]+$/;
+const IMAGE_EXT = /\.(png|jpe?g|gif|webp|bmp|tiff?)$/i;
+// Test slots also hold video clips and PDF reports
+const ATTACHMENT_EXT = /\.(mp4|webm|pdf)$/i;
+
+// Unpacked sizes, checked before anything is inflated (a small zip can unpack to gigabytes)
+const MAX_CASE_JSON_BYTES = 5 * 1024 * 1024;
+const MAX_BUNDLE_FILE_BYTES = Math.max(MAX_UPLOAD_BYTES, MAX_VIDEO_BYTES);
+const MAX_BUNDLE_BYTES = 250 * 1024 * 1024;
+
+// An entry's bytes, or null when it unpacks to more than `limit`. adm-zip
+// inflates no further than the declared size, so that is what gets checked.
+function entryData(entry, limit) {
+  if (entry.header.size > limit) return null;
+  return entry.header.size ? entry.getData() : Buffer.alloc(0);
+}
+
+function splitList(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Case content columns of a table (no ids, links or timestamps)
+async function tableColumns(table) {
+  const [columns] = await pool.query(`SHOW COLUMNS FROM ${table}`);
+  return columns
+    .filter(c => !/auto_increment/i.test(c.Extra) && !LOCAL_COLUMNS.includes(c.Field))
+    .map(c => c.Field);
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+// mysql2 hands DATE/DATETIME back as local Dates; write them the way MySQL reads them
+function toSqlValue(value) {
+  if (!(value instanceof Date)) return value;
+  const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  const time = `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+  return time === '00:00:00' ? date : `${date} ${time}`;
+}
+
+async function contentRow(table, row) {
+  if (!row) return null;
+  const out = {};
+  (await tableColumns(table)).forEach(col => {
+    if (row[col] !== undefined) out[col] = toSqlValue(row[col]);
+  });
+  return out;
+}
+
+// Filenames under /uploads a case points at (avatar, exam image fields, test image slots)
+function referencedUploads(data) {
+  const files = [];
+  if (data.patient && data.patient.avatar) files.push(data.patient.avatar.replace(/^\/uploads\//, ''));
+  if (data.exam) EXAM_IMAGE_FIELDS.forEach(field => files.push(...splitList(data.exam[field])));
+  Object.values(data.tests || {}).forEach(test => {
+    Object.values(test.images || {}).forEach(list => files.push(...splitList(list)));
+  });
+  return Array.from(new Set(files));
+}
+
+// Filenames in test slots (the only places videos and PDFs may appear)
+function testAttachments(data) {
+  const files = [];
+  Object.values(data.tests || {}).forEach(test => {
+    Object.values(test.images || {}).forEach(list => files.push(...splitList(list)));
+  });
+  return files;
+}
+
+// Rewrite every image list in the case data through `fn(list) → list`
+function mapImageLists(data, fn) {
+  if (data.exam) {
+    EXAM_IMAGE_FIELDS.forEach(field => {
+      const list = fn(splitList(data.exam[field]));
+      data.exam[field] = list.length ? list.join(',') : null;
+    });
+  }
+  Object.values(data.tests || {}).forEach(test => {
+    Object.keys(test.images || {}).forEach(slot => {
+      const list = fn(splitList(test.images[slot]));
+      test.images[slot] = list.length ? list.join(',') : null;
+    });
+  });
+}
+
+// ---------- Export ----------
+
+/**
+ * Zip archive (Buffer) holding case.json + uploads/<file> for every referenced image,
+ * or null if the case doesn't exist.
+ */
+async function exportCase(caseId) {
+  const caseData = await loadCase(caseId);
+  if (!caseData) return null;
+
+  const data = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    case: {
+      case_name: caseData.case_name,
+      instructions: caseData.instructions,
+      attempt_mode: caseData.attempt_mode,
+      max_attempts: caseData.max_attempts,
+      score_policy: caseData.score_policy,
+      time_limit_minutes: caseData.time_limit_minutes
+    },
+    patient: await contentRow('patients', caseData.patient),
+    appointment: await contentRow('appointments', caseData.appointment),
+    history: await contentRow('histories', caseData.history),
+    exam: await contentRow('exam_sections', caseData.exam),
+    tests: caseData.tests,
+    interview: caseData.interview.map(({ topic_key, phrases, answer, follow_ups }) => ({ topic_key, phrases, answer, follow_ups })),
+    hotspots: caseData.hotspots,
+    assessments: caseData.assessments,
+    cpt_codes: caseData.cpt_codes
+  };
+
+  const zip = new AdmZip();
+  const missing = [];
+  for (const file of referencedUploads(data)) {
+    const full = path.join(UPLOADS_DIR, path.basename(file));
+    if (fs.existsSync(full)) {
+      zip.addLocalFile(full, 'uploads');
+    } else {
+      missing.push(file);
+    }
+  }
+  // Images already gone from this server are dropped so the bundle stays importable
+  if (missing.length) {
+    if (data.patient && missing.includes(String(data.patient.avatar).replace(/^\/uploads\//, ''))) {
+      data.patient.avatar = null;
+    }
+    mapImageLists(data, list => list.filter(f => !missing.includes(f)));
+    missing.forEach(f => delete data.hotspots[f]);
+  }
+
+  zip.addFile('case.json', Buffer.from(JSON.stringify(data, null, 2), 'utf8'));
+  return zip.toBuffer();
+}
+
+// ---------- Import ----------
+
+/**
+ * Read and check a bundle without touching the database or /uploads.
+ * Returns { errors, data, files } where files maps bundle filename → Buffer.
+ */
+async function readBundle(buffer) {
+  const errors = [];
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (err) {
+    return { errors: ['File is not a zip archive.'] };
+  }
+
+  const entry = zip.getEntry('case.json');
+  if (!entry) return { errors: ['case.json is missing from the bundle.'] };
+
+  const json = entryData(entry, MAX_CASE_JSON_BYTES);
+  if (!json) return { errors: ['case.json is too large.'] };
+  let data;
+  try {
+    data = JSON.parse(json.toString('utf8'));
+  } catch (err) {
+    return { errors: ['case.json is not valid JSON.'] };
+  }
+  if (!data || typeof data !== 'object') return { errors: ['case.json must hold an object.'] };
+
+  if (data.format !== BUNDLE_FORMAT) errors.push('Not an OptoCase case bundle.');
+  if (data.version !== BUNDLE_VERSION) errors.push(`Unsupported bundle version ${data.version}.`);
+
+  if (!data.case || typeof data.case.case_name !== 'string' || !data.case.case_name.trim()) {
+    errors.push('case.case_name is required.');
+  } else if (data.case.attempt_mode !== undefined) {
+    // Retake policy is optional (bundles from before it existed import as single attempt)
+    validateRetakePolicy(data.case).forEach(e => errors.push(`case.${e}`));
+  }
+
+  for (const [section, table] of Object.entries(SECTIONS)) {
+    const row = data[section];
+    if (row === null || row === undefined) continue;
+    if (typeof row !== 'object' || Array.isArray(row)) {
+      errors.push(`${section} must be an object.`);
+      continue;
+    }
+    const allowed = await tableColumns(table);
+    Object.entries(row).forEach(([col, value]) => {
+      if (!allowed.includes(col)) errors.push(`${section}.${col} is not a known field.`);
+      else if (value !== null && typeof value === 'object') errors.push(`${section}.${col} must be a plain value.`);
+    });
+  }
+
+  const plain = value => value === null || value === undefined || typeof value !== 'object';
+  if (data.tests !== undefined && (!data.tests || typeof data.tests !== 'object' || Array.isArray(data.tests))) {
+    errors.push('tests must be an object keyed by test type.');
+  } else if (data.tests) {
+    const known = (await loadTestTypes({ includeInactive: true })).map(t => t.test_key);
+    Object.entries(data.tests).forEach(([key, test]) => {
+      if (!known.includes(key)) return errors.push(`tests.${key} is not a test type on this server.`);
+      if (!test || typeof test !== 'object') return errors.push(`tests.${key} must be an object.`);
+      if (test.status !== null && test.status !== undefined && !STATUSES.includes(test.status)) {
+        errors.push(`tests.${key}.status is not a known status.`);
+      }
+      ['notes', 'findings_od', 'findings_os'].forEach(part => {
+        if (!plain(test[part])) errors.push(`tests.${key}.${part} must be text.`);
+      });
+      ['fields', 'images'].forEach(part => {
+        const value = test[part];
+        if (value === undefined || value === null) return;
+        if (typeof value !== 'object' || Array.isArray(value) || !Object.values(value).every(plain)) {
+          errors.push(`tests.${key}.${part} must map names to plain values.`);
+        }
+      });
+    });
+  }
+
+  // Optional: bundles from before the interview engine have none
+  if (data.interview !== undefined) {
+    validateInterview(data.interview, await loadVocabulary()).forEach(e => errors.push(`interview: ${e}`));
+  }
+
+  // Optional: regions are keyed by image, so each must be one of the case's images
+  if (data.hotspots !== undefined) {
+    const hotspotErrors = validateHotspots(data.hotspots);
+    hotspotErrors.forEach(e => errors.push(`hotspots: ${e}`));
+    if (!hotspotErrors.length) {
+      const images = referencedUploads(data);
+      Object.keys(data.hotspots).forEach(file => {
+        if (!images.includes(file)) errors.push(`hotspots: "${file}" is not one of the case's images.`);
+      });
+    }
+  }
+
+  if (!Array.isArray(data.assessments)) {
+    errors.push('assessments must be a list.');
+  } else {
+    data.assessments.forEach((a, i) => {
+      if (!a || typeof a.icd10_code !== 'string' || !a.icd10_code.trim()) {
+        errors.push(`assessments[${i}].icd10_code is required.`);
+      }
+      if (a && a.plan !== undefined && a.plan !== null && typeof a.plan !== 'string') {
+        errors.push(`assessments[${i}].plan must be text.`);
+      }
+    });
+  }
+
+  if (!Array.isArray(data.cpt_codes) || data.cpt_codes.some(c => typeof c !== 'string')) {
+    errors.push('cpt_codes must be a list of codes.');
+  }
+
+  if (errors.length) return { errors };
+
+  // The catalog checks wizard Step 6 makes (existence, specificity, laterality)
+  (await icd10Problems(data.assessments))
+    .forEach(p => errors.push(`assessments[${p.index}]: ${p.message}`));
+  (await cptProblems(data.cpt_codes.map(parseCptText)))
+    .forEach(p => errors.push(`cpt_codes[${p.index}]: ${p.message}`));
+  if (errors.length) return { errors };
+
+  const files = {};
+  let unpacked = 0;
+  const attachments = testAttachments(data);
+  for (const file of referencedUploads(data)) {
+    const typeOk = IMAGE_EXT.test(file) || (attachments.includes(file) && ATTACHMENT_EXT.test(file));
+    if (!SAFE_FILENAME.test(file) || !typeOk) {
+      errors.push(`File "${file}" has an unsupported name or type.`);
+      continue;
+    }
+    const img = zip.getEntry(`uploads/${file}`);
+    if (!img) {
+      errors.push(`File "${file}" is referenced but not included.`);
+      continue;
+    }
+    unpacked += img.header.size;
+    if (unpacked > MAX_BUNDLE_BYTES) {
+      return { errors: [`The bundle's files unpack to more than ${MAX_BUNDLE_BYTES / 1024 / 1024} MB.`] };
+    }
+    const bytes = entryData(img, MAX_BUNDLE_FILE_BYTES);
+    if (!bytes) {
+      errors.push(`File "${file}" is larger than ${MAX_BUNDLE_FILE_BYTES / 1024 / 1024} MB.`);
+      continue;
+    }
+    files[file] = bytes;
+  }
+
+  return { errors, data, files };
+}
+
+/**
+ * Re-create a bundle as a new draft case owned by `username` (users.id in `userId`).
+ * Images go through the media library (checked, deduped) and the rows are
+ * re-linked to their library filenames.
+ * Returns { ok: true, case_id } or { ok: false, errors }.
+ */
+async function importCase(buffer, username, userId = null) {
+  const { errors, data, files } = await readBundle(buffer);
+  if (errors.length) return { ok: false, errors };
+
+  // Store images first; remove the new ones again if the insert fails
+  const renamed = {};
+  const created = [];
+  const attachments = testAttachments(data);
+  for (const [file, contents] of Object.entries(files)) {
+    const kinds = attachments.includes(file) ? ['image', 'video', 'pdf'] : ['image'];
+    const stored = await storeMedia(contents, { original_name: file, uploaded_by: userId }, kinds);
+    if (!stored.ok) {
+      await discardMedia(created);
+      return { ok: false, errors: stored.errors };
+    }
+    if (stored.created) created.push(stored.filename);
+    renamed[file] = stored.filename;
+  }
+
+  if (data.patient && data.patient.avatar) {
+    data.patient.avatar = `/uploads/${renamed[data.patient.avatar.replace(/^\/uploads\//, '')]}`;
+  }
+  mapImageLists(data, list => list.map(f => renamed[f]));
+  const hotspots = {};
+  Object.entries(data.hotspots || {}).forEach(([file, regions]) => { hotspots[renamed[file]] = regions; });
+
+  let caseId;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [ins] = await conn.query(
+      `INSERT INTO cases
+         (case_name, instructions, attempt_mode, max_attempts, score_policy, time_limit_minutes, status, created_by, owner_id)
+       VALUES (?, ?, ?, ?, ?, ?, 'draft', ?, ?)`,
+      [
+        data.case.case_name.trim(),
+        data.case.instructions || null,
+        data.case.attempt_mode || 'single',
+        data.case.attempt_mode === 'limited' ? Number(data.case.max_attempts) : null,
+        data.case.score_policy || 'latest',
+        data.case.time_limit_minutes ? Number(data.case.time_limit_minutes) : null,
+        username,
+        userId
+      ]
+    );
+    caseId = ins.insertId;
+    await conn.query('UPDATE cases SET family_id = ? WHERE case_id = ?', [caseId, caseId]);
+
+    for (const [section, table] of Object.entries(SECTIONS)) {
+      const row = data[section];
+      if (!row) continue;
+      const cols = Object.keys(row);
+      await conn.query(
+        `INSERT INTO ${table} (case_id${cols.map(c => `, \`${c}\``).join('')}) VALUES (?${', ?'.repeat(cols.length)})`,
+        [caseId, ...cols.map(c => row[c])]
+      );
+    }
+    for (const [key, test] of Object.entries(data.tests || {})) {
+      await conn.query(
+        `INSERT INTO case_tests (case_id, test_key, status, notes, field_values, findings_od, findings_os, images)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          caseId, key, test.status || null, test.notes || null, JSON.stringify(test.fields || {}),
+          test.findings_od || null, test.findings_os || null, JSON.stringify(test.images || {})
+        ]
+      );
+    }
+    await insertCaseInterview(conn, caseId, data.interview || []);
+    await insertCaseHotspots(conn, caseId, hotspots);
+    for (const a of data.assessments) {
+      await conn.query(
+        'INSERT INTO assessment_plan (case_id, icd10_code, plan) VALUES (?, ?, ?)',
+        [caseId, a.icd10_code.trim(), a.plan || null]
+      );
+    }
+    for (const code of data.cpt_codes) {
+      await conn.query('INSERT INTO codes (case_id, cpt_code) VALUES (?, ?)', [caseId, code.trim()]);
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    await discardMedia(created);
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  await syncCaseMedia(caseId);
+  return { ok: true, case_id: caseId };
+}
+
+module.exports = {
+  exportCase,
+  importCase
+};
@@ -0,0 +1,221 @@
+const { pool } = require('../db'); // mysql2/promise
+const { latestAttempt } = require('./attempts');
+const { retakesLeft } = require('./courses');
+const { loadCaseTests, revealedCaseTest } = require('./tests');
+const { loadCaseInterview } = require('./interview');
+const { loadCaseHotspots } = require('./hotspots');
+const { can } = require('./permissions');
+
+// ---------- Exam test → exam_sections columns ----------
+// Keys match the test values the student simulator records in performed_tests.
+// `reveal` columns are shown once the student performs the test.
+// Ancillary tests (OCT, VF, ...) live in the test-type registry (lib/tests).
+const EXAM_TESTS = {
+  va: { reveal: ['va_type', 'va_od', 'va_os'] },
+  iop: { reveal: ['iop_method', 'iop_od', 'iop_os'] },
+  pupils: { reveal: ['pupils'] },
+  eoms: { reveal: ['eoms'] },
+  fields: { reveal: ['fields'] },
+  anterior: {
+    reveal: [
+      'od_adnexa', 'os_adnexa',
+      'od_lids_lashes', 'os_lids_lashes',
+      'od_conjunctiva', 'os_conjunctiva',
+      'od_cornea', 'os_cornea',
+      'od_anterior_chamber', 'os_anterior_chamber',
+      'od_iris', 'os_iris',
+      'od_lens', 'os_lens',
+      'od_anterior_vitreous', 'os_anterior_vitreous',
+      'anterior_image'
+    ]
+  },
+  posterior: {
+    reveal: [
+      'od_posterior_vitreous', 'os_posterior_vitreous',
+      'od_cd', 'os_cd',
+      'od_disc', 'os_disc',
+      'od_macula', 'os_macula',
+      'od_vessels', 'os_vessels',
+      'od_periphery', 'os_periphery',
+      'posterior_image'
+    ]
+  }
+};
+
+// ---------- Loaders ----------
+
+// Files in an exam/tests payload (exam *_image columns, test slots; slots may
+// also hold videos and PDFs)
+function shownMedia(exam, tests) {
+  const names = [];
+  Object.entries(exam || {}).forEach(([col, value]) => {
+    if (/_image$/.test(col) && value) names.push(...String(value).split(','));
+  });
+  Object.values(tests || {}).forEach(test => {
+    Object.values(test.images || {}).forEach(list => list && names.push(...String(list).split(',')));
+  });
+  return names.map(s => s.trim()).filter(Boolean);
+}
+
+function mediaKind(mimeType) {
+  if (/^video\//.test(mimeType)) return 'video';
+  if (mimeType === 'application/pdf') return 'pdf';
+  return 'image';
+}
+
+/**
+ * What the media library knows about these files, by filename:
+ * { kind: 'image'|'video'|'pdf', mime_type, size_bytes, width, height, pages }.
+ * Files from before the library are missing until a wizard step adopts them.
+ */
+async function mediaDetails(filenames, conn = pool) {
+  const details = {};
+  if (!filenames.length) return details;
+  const [rows] = await conn.query(
+    'SELECT filename, mime_type, size_bytes, width, height, pages FROM media WHERE filename IN (?)',
+    [Array.from(new Set(filenames))]
+  );
+  rows.forEach(({ filename, ...info }) => { details[filename] = { kind: mediaKind(info.mime_type), ...info }; });
+  return details;
+}
+
+/**
+ * Full case (Steps 1–6) as the professor authored it, or null if it doesn't exist.
+ * Pass a connection to read inside an open transaction.
+ */
+async function loadCase(caseId, conn = pool) {
+  const [caseRows] = await conn.query(
+    `SELECT case_id, family_id, version, case_name, instructions, status, published_at, superseded_by,
+            attempt_mode, max_attempts, score_policy, time_limit_minutes, created_by, created_at
+     FROM cases
+     WHERE case_id = ?`,
+    [caseId]
+  );
+  if (!caseRows.length) return null;
+  const caseData = caseRows[0];
+
+  const [patients] = await conn.query('SELECT * FROM patients WHERE case_id = ?', [caseId]);
+  const [appointments] = await conn.query('SELECT * FROM appointments WHERE case_id = ?', [caseId]);
+  const [histories] = await conn.query('SELECT * FROM histories WHERE case_id = ?', [caseId]);
+  const [exams] = await conn.query('SELECT * FROM exam_sections WHERE case_id = ?', [caseId]);
+
+  // Answer key rows only; student submissions share this table with student_id set
+  const [plans] = await conn.query(
+    'SELECT icd10_code, plan FROM assessment_plan WHERE case_id = ? AND student_id IS NULL ORDER BY id ASC',
+    [caseId]
+  );
+  const [codes] = await conn.query('SELECT cpt_code FROM codes WHERE case_id = ?', [caseId]);
+
+  caseData.patient = patients[0] || null;
+  caseData.appointment = appointments[0] || null;
+  caseData.history = histories[0] || null;
+  caseData.interview = await loadCaseInterview(caseId, conn);
+  caseData.exam = exams[0] || null;
+  caseData.tests = await loadCaseTests(caseId, conn);
+  caseData.hotspots = await loadCaseHotspots(caseId, conn);
+  caseData.media = await mediaDetails(shownMedia(caseData.exam, caseData.tests), conn);
+  caseData.assessments = plans.map(p => ({ icd10_code: p.icd10_code, plan: p.plan }));
+  caseData.cpt_codes = codes.map(row => row.cpt_code);
+  return caseData;
+}
+
+// ---------- Student view ----------
+
+/**
+ * exam_sections columns a single performed test unlocks.
+ */
+function revealedExamFields(exam, test) {
+  const def = EXAM_TESTS[test];
+  const out = {};
+  if (!exam || !def) return out;
+  def.reveal.forEach(col => { out[col] = exam[col] ?? null; });
+  return out;
+}
+
+/**
+ * Strip everything the student hasn't unlocked yet.
+ *  - exam: only the columns of tests recorded in performed_tests
+ *  - tests: only performed ancillary tests, without the professor's findings
+ *  - history / interview: only once the grade is released; until then the
+ *    patient answers one question at a time (lib/interview)
+ *  - assessments / cpt_codes: only once the attempt is COMPLETED and its grade released
+ *  - hotspots: only once the grade is released; until then hotspot_images lists
+ *    which of the unlocked images ask the student to find the lesion
+ *  - media: details of the unlocked files only
+ * The answer key stays hidden after release while the retake policy leaves
+ * attempts (attemptsLeft: a number, or null when unlimited); the student then
+ * sees only their released feedback.
+ */
+function studentCaseView(caseData, { performedTests = [], attempt = null, attemptsLeft = 0 } = {}) {
+  const graded = !!(attempt && attempt.status === 'COMPLETED' && attempt.released_at);
+  if (graded && attemptsLeft === 0) {
+    return {
+      ...caseData,
+      hotspot_images: Object.keys(caseData.hotspots || {}),
+      progress: { status: 'completed', graded: true }
+    };
+  }
+
+  let exam = null;
+  if (caseData.exam) {
+    exam = {};
+    performedTests.forEach(test => Object.assign(exam, revealedExamFields(caseData.exam, test)));
+  }
+
+  const tests = {};
+  performedTests.forEach(test => {
+    if (caseData.tests && caseData.tests[test]) tests[test] = revealedCaseTest(caseData.tests[test]);
+  });
+  const shown = shownMedia(exam, tests);
+
+  return {
+    ...caseData,
+    history: null,
+    interview: [],
+    exam,
+    tests,
+    assessments: [],
+    cpt_codes: [],
+    hotspots: {},
+    hotspot_images: shown.filter(name => caseData.hotspots && caseData.hotspots[name]),
+    media: Object.fromEntries(shown.filter(name => caseData.media && caseData.media[name])
+      .map(name => [name, caseData.media[name]])),
+    progress: attempt
+      ? { status: String(attempt.status).toLowerCase(), graded }
+      : null
+  };
+}
+
+/**
+ * Case payload appropriate for the signed-in user (staff get the full case).
+ * Drafts don't exist as far as students are concerned.
+ */
+async function loadCaseForUser(caseId, user) {
+  const caseData = await loadCase(caseId);
+  if (!caseData || can(user, 'cases:view-all')) return caseData;
+  if (caseData.status !== 'published') return null;
+
+  const attempt = await latestAttempt(caseId, user.id);
+  const [performed] = attempt
+    ? await pool.query(
+        'SELECT DISTINCT test FROM performed_tests WHERE attempt_id = ? AND student_id = ?',
+        [attempt.attempt_id, user.id]
+      )
+    : [[]];
+
+  return studentCaseView(caseData, {
+    performedTests: performed.map(r => r.test),
+    attempt,
+    attemptsLeft: attempt && attempt.released_at ? await retakesLeft(caseId, user.id) : 0
+  });
+}
+
+module.exports = {
+  EXAM_TESTS,
+  loadCase,
+  loadCaseForUser,
+  mediaDetails,
+  shownMedia,
+  revealedExamFields,
+  studentCaseView
+};
@@ -0,0 +1,554 @@
+const { pool } = require('../db'); // mysql2/promise
+const { validateRetakePolicy, loadRetakePolicy, familyAttempts, attemptsLeft } = require('./attempts');
+
+// ---------- Courses, sections and assignments ----------
+// A course has sections, students are enrolled in sections, and cases are
+// assigned to sections with an open date, a due date and a late policy.
+// Attempts on any version of an assigned case count toward the assignment.
+// A case family no section has been assigned stays open to every student.
+
+const LATE_POLICIES = ['none', 'accept', 'penalty'];
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Which of a student's assignments for a case wins when there are several
+const WINDOW_RANK = { open: 0, late: 1, upcoming: 2, closed: 3 };
+
+// ---------- Validation ----------
+
+function clean(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+// Date from an ISO string, a Date or a DATETIME column; null when empty, NaN date when invalid
+function toDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return value instanceof Date ? value : new Date(value);
+}
+
+function badDate(value) {
+  const d = toDate(value);
+  return d !== null && Number.isNaN(d.getTime());
+}
+
+/**
+ * Problems with a course ({ code, name }), empty when it can be saved.
+ */
+function validateCourse(def) {
+  if (!def || typeof def !== 'object') return ['Course must be an object.'];
+  const errors = [];
+  if (!clean(def.code) || clean(def.code).length > 40) errors.push('code is required (40 characters or fewer).');
+  if (!clean(def.name) || clean(def.name).length > 160) errors.push('name is required (160 characters or fewer).');
+  return errors;
+}
+
+/**
+ * Problems with a section ({ name, term }), empty when it can be saved.
+ */
+function validateSection(def) {
+  if (!def || typeof def !== 'object') return ['Section must be an object.'];
+  const errors = [];
+  if (!clean(def.name) || clean(def.name).length > 80) errors.push('name is required (80 characters or fewer).');
+  if (clean(def.term).length > 40) errors.push('term must be 40 characters or fewer.');
+  return errors;
+}
+
+/**
+ * Problems with an assignment
+ * ({ case_id, opens_at, due_at, late_policy, late_penalty_pct, close_at }),
+ * empty when it can be saved. Dates are ISO strings; blank means none.
+ */
+function validateAssignment(def) {
+  if (!def || typeof def !== 'object') return ['Assignment must be an object.'];
+  const errors = [];
+  if (!Number.isInteger(Number(def.case_id)) || Number(def.case_id) <= 0) errors.push('case_id is required.');
+
+  ['opens_at', 'due_at', 'close_at'].forEach(field => {
+    if (badDate(def[field])) errors.push(`${field} is not a date.`);
+  });
+  if (errors.length) return errors;
+
+  const opens = toDate(def.opens_at);
+  const due = toDate(def.due_at);
+  const close = toDate(def.close_at);
+  const policy = def.late_policy || 'none';
+
+  if (opens && due && due <= opens) errors.push('due_at must be after opens_at.');
+  if (!LATE_POLICIES.includes(policy)) errors.push(`late_policy must be one of ${LATE_POLICIES.join(', ')}.`);
+  if (policy === 'penalty') {
+    const pct = Number(def.late_penalty_pct);
+    if (!Number.isFinite(pct) || pct <= 0 || pct > 100) {
+      errors.push('late_penalty_pct must be more than 0 and at most 100 points per day.');
+    }
+  }
+  if (close) {
+    if (!due) errors.push('close_at needs a due_at.');
+    else if (close <= due) errors.push('close_at must be after due_at.');
+    if (policy === 'none') errors.push('close_at only applies when late work is accepted.');
+  }
+  // Blank retake fields keep the case's own policy
+  return errors.concat(validateRetakePolicy(def, { override: true }));
+}
+
+// ---------- Windows and lateness ----------
+
+/**
+ * Where `now` falls in an assignment's window. Pure: everything comes in as data.
+ *  - upcoming: before opens_at
+ *  - open:     open and not yet due (or no due date)
+ *  - late:     past due, late work still accepted
+ *  - closed:   past due with no late work, or past close_at
+ */
+function assignmentWindow(assignment, now = new Date()) {
+  const opens = toDate(assignment.opens_at);
+  const due = toDate(assignment.due_at);
+  const close = toDate(assignment.close_at);
+
+  if (opens && now < opens) return 'upcoming';
+  if (!due || now <= due) return 'open';
+  if (assignment.late_policy === 'none' || (close && now > close)) return 'closed';
+  return 'late';
+}
+
+/**
+ * The assignment that applies when a student is in several sections a case is
+ * assigned to: the most open one, then the latest due date.
+ */
+function bestAssignment(assignments, now = new Date()) {
+  const due = a => (toDate(a.due_at) ? toDate(a.due_at).getTime() : Infinity);
+  return assignments
+    .map(a => ({ ...a, window: assignmentWindow(a, now) }))
+    .sort((x, y) => WINDOW_RANK[x.window] - WINDOW_RANK[y.window] || due(y) - due(x))[0] || null;
+}
+
+/**
+ * How late a submission made at `submittedAt` is, and the points it loses.
+ * Pure: everything comes in as data. Days late are counted in started 24h periods.
+ * Returns { seconds_late, days_late, penalty_pct } (negative seconds = early),
+ * or null when the assignment has no due date.
+ */
+function latePenalty(assignment, submittedAt) {
+  const due = toDate(assignment.due_at);
+  const at = toDate(submittedAt);
+  if (!due || !at) return null;
+
+  const secondsLate = Math.round((at - due) / 1000);
+  const daysLate = secondsLate > 0 ? Math.ceil(secondsLate / DAY_SECONDS) : 0;
+  const penaltyPct = assignment.late_policy === 'penalty'
+    ? Math.min(100, daysLate * Number(assignment.late_penalty_pct))
+    : 0;
+  return { seconds_late: secondsLate, days_late: daysLate, penalty_pct: penaltyPct };
+}
+
+function toAssignment(row) {
+  return {
+    assignment_id: row.assignment_id,
+    section_id: row.section_id,
+    case_id: row.case_id,
+    opens_at: row.opens_at,
+    due_at: row.due_at,
+    late_policy: row.late_policy,
+    late_penalty_pct: Number(row.late_penalty_pct),
+    close_at: row.close_at,
+    attempt_mode: row.attempt_mode || null,
+    max_attempts: row.max_attempts ?? null,
+    score_policy: row.score_policy || null,
+    time_limit_minutes: row.time_limit_minutes ?? null
+  };
+}
+
+// ---------- Courses and sections ----------
+
+/**
+ * Every course with its sections, their enrollment and assignment counts.
+ */
+async function listCourses() {
+  const [courses] = await pool.query('SELECT course_id, code, name FROM courses ORDER BY code ASC, name ASC');
+  const [sections] = await pool.query(
+    `SELECT s.section_id, s.course_id, s.name, s.term,
+            (SELECT COUNT(*) FROM section_enrollments e WHERE e.section_id = s.section_id) AS student_count,
+            (SELECT COUNT(*) FROM case_assignments a WHERE a.section_id = s.section_id) AS assignment_count
+     FROM course_sections s
+     ORDER BY s.name ASC`
+  );
+  return courses.map(c => ({ ...c, sections: sections.filter(s => s.course_id === c.course_id) }));
+}
+
+/**
+ * Create (courseId null) or update a course.
+ * Returns { ok: true, course_id } or { ok: false, errors }.
+ */
+async function saveCourse(def, courseId = null, userId = null) {
+  const errors = validateCourse(def);
+  if (errors.length) return { ok: false, errors };
+
+  if (courseId) {
+    const [result] = await pool.query(
+      'UPDATE courses SET code = ?, name = ? WHERE course_id = ?',
+      [clean(def.code), clean(def.name), courseId]
+    );
+    return result.affectedRows ? { ok: true, course_id: Number(courseId) } : { ok: false, errors: ['Course not found.'] };
+  }
+  const [ins] = await pool.query(
+    'INSERT INTO courses (code, name, created_by) VALUES (?, ?, ?)',
+    [clean(def.code), clean(def.name), userId]
+  );
+  return { ok: true, course_id: ins.insertId };
+}
+
+/**
+ * Create a section in a course (sectionId null) or update one.
+ * Returns { ok: true, section_id } or { ok: false, errors }.
+ */
+async function saveSection(courseId, def, sectionId = null) {
+  const errors = validateSection(def);
+  if (errors.length) return { ok: false, errors };
+
+  if (sectionId) {
+    const [result] = await pool.query(
+      'UPDATE course_sections SET name = ?, term = ? WHERE section_id = ?',
+      [clean(def.name), clean(def.term) || null, sectionId]
+    );
+    return result.affectedRows ? { ok: true, section_id: Number(sectionId) } : { ok: false, errors: ['Section not found.'] };
+  }
+  const [courses] = await pool.query('SELECT course_id FROM courses WHERE course_id = ?', [courseId]);
+  if (!courses.length) return { ok: false, errors: ['Course not found.'] };
+
+  const [ins] = await pool.query(
+    'INSERT INTO course_sections (course_id, name, term) VALUES (?, ?, ?)',
+    [courseId, clean(def.name), clean(def.term) || null]
+  );
+  return { ok: true, section_id: ins.insertId };
+}
+
+/**
+ * One section with its course, enrolled students and assignments, or null.
+ */
+async function getSection(sectionId, now = new Date()) {
+  const [rows] = await pool.query(
+    `SELECT s.section_id, s.course_id, s.name, s.term, c.code AS course_code, c.name AS course_name
+     FROM course_sections s
+     JOIN courses c ON c.course_id = s.course_id
+     WHERE s.section_id = ?`,
+    [sectionId]
+  );
+  if (!rows.length) return null;
+
+  const [students] = await pool.query(
+    `SELECT u.id, u.username, u.full_name, u.email
+     FROM section_enrollments e
+     JOIN users u ON u.id = e.user_id
+     WHERE e.section_id = ?
+     ORDER BY u.username ASC`,
+    [sectionId]
+  );
+  const [assignments] = await pool.query(
+    `SELECT a.*, c.case_name, c.status AS case_status
+     FROM case_assignments a
+     JOIN cases c ON c.case_id = a.case_id
+     WHERE a.section_id = ?
+     ORDER BY (a.due_at IS NULL) ASC, a.due_at ASC, c.case_name ASC`,
+    [sectionId]
+  );
+
+  return {
+    ...rows[0],
+    students,
+    assignments: assignments.map(a => ({
+      ...toAssignment(a),
+      case_name: a.case_name,
+      case_status: a.case_status,
+      window: assignmentWindow(a, now)
+    }))
+  };
+}
+
+/**
+ * Replace a section's students with the given usernames (professors, unknown
+ * and disabled accounts are refused and nothing changes).
+ * Returns { ok: true, enrolled } or { ok: false, errors }.
+ */
+async function setEnrollment(sectionId, usernames) {
+  const names = [...new Set((usernames || []).map(clean).filter(Boolean))];
+  const [sections] = await pool.query('SELECT section_id FROM course_sections WHERE section_id = ?', [sectionId]);
+  if (!sections.length) return { ok: false, errors: ['Section not found.'] };
+
+  const [users] = names.length
+    ? await pool.query(
+        `SELECT id, TRIM(username) AS username FROM users
+         WHERE role = 'student' AND disabled_at IS NULL AND TRIM(username) IN (?)`,
+        [names]
+      )
+    : [[]];
+  const found = new Set(users.map(u => u.username.toLowerCase()));
+  const unknown = names.filter(n => !found.has(n.toLowerCase()));
+  if (unknown.length) {
+    return { ok: false, errors: unknown.map(n => `"${n}" is not an active student account.`) };
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM section_enrollments WHERE section_id = ?', [sectionId]);
+    if (users.length) {
+      await conn.query(
+        'INSERT INTO section_enrollments (section_id, user_id) VALUES ?',
+        [users.map(u => [sectionId, u.id])]
+      );
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return { ok: true, enrolled: users.length };
+}
+
+// ---------- Assignments ----------
+
+/**
+ * Assign a case to a section (assignmentId null) or change an assignment.
+ * Returns { ok: true, assignment_id } or { ok: false, errors, taken }.
+ */
+async function saveAssignment(sectionId, def, assignmentId = null, userId = null) {
+  const errors = validateAssignment(def);
+  if (errors.length) return { ok: false, errors };
+
+  const [cases] = await pool.query('SELECT case_id FROM cases WHERE case_id = ?', [def.case_id]);
+  if (!cases.length) return { ok: false, errors: ['Case not found.'] };
+
+  const policy = def.late_policy || 'none';
+  const values = [
+    Number(def.case_id),
+    toDate(def.opens_at),
+    toDate(def.due_at),
+    policy,
+    policy === 'penalty' ? Number(def.late_penalty_pct) : 0,
+    policy === 'none' ? null : toDate(def.close_at),
+    def.attempt_mode || null,
+    def.attempt_mode === 'limited' ? Number(def.max_attempts) : null,
+    def.score_policy || null,
+    def.time_limit_minutes ? Number(def.time_limit_minutes) : null
+  ];
+
+  try {
+    if (assignmentId) {
+      const [result] = await pool.query(
+        `UPDATE case_assignments
+         SET case_id = ?, opens_at = ?, due_at = ?, late_policy = ?, late_penalty_pct = ?, close_at = ?,
+             attempt_mode = ?, max_attempts = ?, score_policy = ?, time_limit_minutes = ?
+         WHERE assignment_id = ?`,
+        [...values, assignmentId]
+      );
+      return result.affectedRows
+        ? { ok: true, assignment_id: Number(assignmentId) }
+        : { ok: false, errors: ['Assignment not found.'] };
+    }
+
+    const [sections] = await pool.query('SELECT section_id FROM course_sections WHERE section_id = ?', [sectionId]);
+    if (!sections.length) return { ok: false, errors: ['Section not found.'] };
+
+    const [ins] = await pool.query(
+      `INSERT INTO case_assignments
+         (case_id, opens_at, due_at, late_policy, late_penalty_pct, close_at,
+          attempt_mode, max_attempts, score_policy, time_limit_minutes, section_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...values, sectionId, userId]
+    );
+    return { ok: true, assignment_id: ins.insertId };
+  } catch (err) {
+    if (err.code !== 'ER_DUP_ENTRY') throw err;
+    return { ok: false, taken: true, errors: ['That case is already assigned to this section.'] };
+  }
+}
+
+async function deleteAssignment(assignmentId) {
+  const [result] = await pool.query('DELETE FROM case_assignments WHERE assignment_id = ?', [assignmentId]);
+  return result.affectedRows > 0;
+}
+
+// Assignments of the case's family, with whether the student is in their section
+async function familyAssignments(caseId, userId) {
+  const [rows] = await pool.query(
+    `SELECT a.*, e.user_id AS enrolled_user
+     FROM cases c
+     JOIN cases ac ON ac.family_id = c.family_id
+     JOIN case_assignments a ON a.case_id = ac.case_id
+     LEFT JOIN section_enrollments e ON e.section_id = a.section_id AND e.user_id = ?
+     WHERE c.case_id = ?`,
+    [userId, caseId]
+  );
+  return rows;
+}
+
+/**
+ * Whether a student may work on a case right now.
+ * Returns null for practice cases (assigned to no section), otherwise
+ * { assignment, window } where window is an assignmentWindow state, or
+ * 'unassigned' (with assignment null) when none of the student's sections has it.
+ */
+async function caseAvailability(caseId, userId, now = new Date()) {
+  const rows = await familyAssignments(caseId, userId);
+  if (!rows.length) return null;
+
+  const best = bestAssignment(rows.filter(r => r.enrolled_user), now);
+  if (!best) return { assignment: null, window: 'unassigned' };
+  return { assignment: toAssignment(best), window: best.window };
+}
+
+/**
+ * Attempts the student's retake policy (their assignment's, else the case's)
+ * still allows on a case: a number, or null when unlimited.
+ */
+async function retakesLeft(caseId, userId) {
+  const availability = await caseAvailability(caseId, userId);
+  const policy = await loadRetakePolicy(caseId, availability && availability.assignment);
+  return attemptsLeft(policy, (await familyAttempts(caseId, userId)).length);
+}
+
+/**
+ * How late an attempt was handed in under the student's assignment for its case,
+ * or null (practice case, no due date, not completed).
+ */
+async function attemptLateness(attempt) {
+  if (!attempt.completed_at) return null;
+  const rows = await familyAssignments(attempt.case_id, attempt.user_id);
+  const best = bestAssignment(rows.filter(r => r.enrolled_user), toDate(attempt.completed_at));
+  if (!best) return null;
+  const late = latePenalty(best, attempt.completed_at);
+  return late && { assignment_id: best.assignment_id, due_at: best.due_at, late_policy: best.late_policy, ...late };
+}
+
+/**
+ * A student's assignments across their sections, soonest due first, with the
+ * current published version of each case, its window and their latest attempt.
+ */
+async function studentAssignments(userId, now = new Date()) {
+  const [rows] = await pool.query(
+    `SELECT a.*, co.code AS course_code, co.name AS course_name, s.name AS section_name,
+            c.case_id AS current_case_id, c.case_name,
+            DATE_FORMAT(ap.date, '%Y-%m-%d') AS appt_date,
+            TIME_FORMAT(ap.time, '%H:%i') AS appt_time,
+            ap.exam_type, ap.patient_name,
+            p.dob, p.race, p.address,
+            p.vision_insurance, p.vision_insurance_info,
+            p.medical_insurance, p.medical_insurance_info,
+            t.attempt_id, t.status AS attempt_status, t.completed_at
+     FROM section_enrollments e
+     JOIN course_sections s ON s.section_id = e.section_id
+     JOIN courses co ON co.course_id = s.course_id
+     JOIN case_assignments a ON a.section_id = e.section_id
+     JOIN cases ac ON ac.case_id = a.case_id
+     JOIN cases c ON c.family_id = ac.family_id AND c.status = 'published' AND c.superseded_by IS NULL
+     LEFT JOIN appointments ap ON ap.case_id = c.case_id
+     LEFT JOIN patients p ON p.case_id = c.case_id
+     LEFT JOIN case_attempts t ON t.attempt_id = (
+       SELECT MAX(x.attempt_id)
+       FROM case_attempts x
+       JOIN cases xc ON xc.case_id = x.case_id
+       WHERE x.user_id = e.user_id AND xc.family_id = ac.family_id
+     )
+     WHERE e.user_id = ?
+     ORDER BY (a.due_at IS NULL) ASC, a.due_at ASC, c.case_name ASC`,
+    [userId]
+  );
+
+  return rows.map(r => ({
+    ...toAssignment(r),
+    case_id: r.current_case_id,
+    case_name: r.case_name,
+    course_code: r.course_code,
+    course_name: r.course_name,
+    section_name: r.section_name,
+    window: assignmentWindow(r, now),
+    appointment: {
+      appt_date: r.appt_date,
+      appt_time: r.appt_time,
+      exam_type: r.exam_type,
+      patient_name: r.patient_name,
+      dob: r.dob,
+      race: r.race,
+      address: r.address,
+      vision_insurance: r.vision_insurance,
+      vision_insurance_info: r.vision_insurance_info,
+      medical_insurance: r.medical_insurance,
+      medical_insurance_info: r.medical_insurance_info
+    },
+    attempt: r.attempt_id
+      ? { attempt_id: r.attempt_id, status: r.attempt_status, completed_at: r.completed_at }
+      : null,
+    late: r.completed_at ? latePenalty(r, r.completed_at) : null
+  }));
+}
+
+/**
+ * Every student in an assignment's section with their latest attempt on the
+ * case and when it was handed in relative to the due date, or null.
+ */
+async function assignmentSubmissions(assignmentId) {
+  const [rows] = await pool.query(
+    `SELECT a.*, c.case_name, c.family_id, s.name AS section_name
+     FROM case_assignments a
+     JOIN cases c ON c.case_id = a.case_id
+     JOIN course_sections s ON s.section_id = a.section_id
+     WHERE a.assignment_id = ?`,
+    [assignmentId]
+  );
+  if (!rows.length) return null;
+  const assignment = rows[0];
+
+  const [students] = await pool.query(
+    `SELECT u.id AS user_id, u.username, u.full_name,
+            t.attempt_id, t.attempt_number, COALESCE(t.status, 'NOT_STARTED') AS status,
+            t.started_at, t.completed_at, t.score, t.final_score, t.released_at,
+            t.deadline_at, t.extension_minutes, t.auto_completed, t.overtime_seconds
+     FROM section_enrollments e
+     JOIN users u ON u.id = e.user_id
+     LEFT JOIN case_attempts t ON t.attempt_id = (
+       SELECT MAX(x.attempt_id)
+       FROM case_attempts x
+       JOIN cases xc ON xc.case_id = x.case_id
+       WHERE x.user_id = u.id AND xc.family_id = ?
+     )
+     WHERE e.section_id = ?
+     ORDER BY u.username ASC`,
+    [assignment.family_id, assignment.section_id]
+  );
+
+  return {
+    assignment: {
+      ...toAssignment(assignment),
+      case_name: assignment.case_name,
+      section_name: assignment.section_name,
+      window: assignmentWindow(assignment)
+    },
+    submissions: students.map(s => ({
+      ...s,
+      late: s.completed_at ? latePenalty(assignment, s.completed_at) : null
+    }))
+  };
+}
+
+module.exports = {
+  LATE_POLICIES,
+  validateCourse,
+  validateSection,
+  validateAssignment,
+  assignmentWindow,
+  bestAssignment,
+  latePenalty,
+  listCourses,
+  saveCourse,
+  saveSection,
+  getSection,
+  setEnrollment,
+  saveAssignment,
+  deleteAssignment,
+  caseAvailability,
+  retakesLeft,
+  attemptLateness,
+  studentAssignments,
+  assignmentSubmissions
+};
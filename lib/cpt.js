@@ -0,0 +1,174 @@
+const { pool } = require('../db'); // mysql2/promise
+
+// ---------- CPT / HCPCS catalog ----------
+// cpt_catalog lists every procedure code students and professors may use, with
+// the modifiers it accepts, how many units a line may carry and the local fee.
+
+const CODE_SETS = ['CPT', 'HCPCS', 'LOCAL'];
+
+const CODE_PATTERNS = {
+  CPT: /^[0-9]{4}[0-9A-Z]$/,
+  HCPCS: /^[A-Z][0-9]{4}$/,
+  LOCAL: /^[A-Z0-9]{2,10}$/
+};
+
+const MODIFIER_PATTERN = /^[A-Z0-9]{2}$/;
+
+// mysql2 hands back JSON columns parsed on MySQL but as strings on MariaDB
+function parseJson(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function toEntry(row) {
+  return {
+    code: row.code,
+    code_set: row.code_set,
+    description: row.description,
+    category: row.category,
+    sort_order: row.sort_order,
+    modifiers: parseJson(row.modifiers) || [],
+    max_units: row.max_units,
+    fee: row.fee === null ? null : Number(row.fee),
+    active: !!row.active
+  };
+}
+
+/**
+ * Catalog in picker order (category, then sort_order). Retired codes are left
+ * out unless asked for; answers that used them are still reported as retired.
+ */
+async function loadCptCatalog({ includeInactive = false } = {}) {
+  const [rows] = await pool.query(
+    `SELECT * FROM cpt_catalog
+     ${includeInactive ? '' : 'WHERE active = 1'}
+     ORDER BY sort_order ASC, code ASC`
+  );
+  return rows.map(toEntry);
+}
+
+/**
+ * Problems with a catalog entry, empty when it can be saved.
+ */
+function validateCptEntry(def) {
+  const errors = [];
+  if (!def || typeof def !== 'object') return ['Entry must be an object.'];
+
+  const codeSet = def.code_set || 'CPT';
+  if (!CODE_SETS.includes(codeSet)) {
+    errors.push(`code_set must be one of ${CODE_SETS.join(', ')}.`);
+  } else if (!CODE_PATTERNS[codeSet].test(def.code || '')) {
+    errors.push(`"${def.code}" is not a valid ${codeSet} code.`);
+  }
+  if (typeof def.description !== 'string' || !def.description.trim()) errors.push('description is required.');
+  if (typeof def.category !== 'string' || !def.category.trim()) errors.push('category is required.');
+  if (def.sort_order !== undefined && !Number.isInteger(Number(def.sort_order))) {
+    errors.push('sort_order must be a whole number.');
+  }
+
+  const modifiers = def.modifiers || [];
+  if (!Array.isArray(modifiers) || modifiers.some(m => !MODIFIER_PATTERN.test(m))) {
+    errors.push('modifiers must be a list of two-character modifiers (RT, LT, 25, ...).');
+  }
+
+  const maxUnits = def.max_units === undefined ? 1 : Number(def.max_units);
+  if (!Number.isInteger(maxUnits) || maxUnits < 1) errors.push('max_units must be a whole number of at least 1.');
+
+  if (def.fee !== null && def.fee !== undefined && def.fee !== '') {
+    const fee = Number(def.fee);
+    if (!Number.isFinite(fee) || fee < 0) errors.push('fee must be an amount of 0 or more.');
+  }
+
+  return errors;
+}
+
+/**
+ * Create or replace a catalog entry. Returns the errors, empty on success.
+ */
+async function saveCptEntry(def) {
+  const errors = validateCptEntry(def);
+  if (errors.length) return errors;
+
+  const fee = def.fee === null || def.fee === undefined || def.fee === '' ? null : Number(def.fee);
+  await pool.query(
+    `INSERT INTO cpt_catalog (code, code_set, description, category, sort_order, modifiers, max_units, fee, active)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE code_set = VALUES(code_set), description = VALUES(description),
+       category = VALUES(category), sort_order = VALUES(sort_order), modifiers = VALUES(modifiers),
+       max_units = VALUES(max_units), fee = VALUES(fee), active = VALUES(active)`,
+    [
+      def.code,
+      def.code_set || 'CPT',
+      def.description.trim(),
+      def.category.trim(),
+      Number(def.sort_order) || 0,
+      JSON.stringify(def.modifiers || []),
+      def.max_units === undefined ? 1 : Number(def.max_units),
+      fee,
+      def.active === false ? 0 : 1
+    ]
+  );
+  return [];
+}
+
+// ---------- Checking coded lines ----------
+
+// "66984-RT-55" → { code: '66984', modifiers: ['RT', '55'] } (how answer keys are typed)
+function parseCptText(text) {
+  const [code, ...modifiers] = String(text || '').trim().toUpperCase().split('-').map(s => s.trim());
+  return { code, modifiers: modifiers.filter(Boolean) };
+}
+
+// Modifiers arrive as a list or "RT,55"
+function modifierList(modifiers) {
+  const list = Array.isArray(modifiers) ? modifiers : String(modifiers || '').split(',');
+  return list.map(m => String(m).trim().toUpperCase()).filter(Boolean);
+}
+
+/**
+ * Check coded lines ({ code, modifiers, units }) against the catalog.
+ * Returns [{ index, code, message }], empty when every line is valid.
+ */
+async function cptProblems(lines) {
+  const codes = Array.from(new Set(lines.map(l => String(l.code || '').trim().toUpperCase()).filter(Boolean)));
+  const entries = {};
+  if (codes.length) {
+    const [rows] = await pool.query('SELECT * FROM cpt_catalog WHERE code IN (?)', [codes]);
+    rows.forEach(row => { entries[row.code] = toEntry(row); });
+  }
+
+  const problems = [];
+  lines.forEach((line, index) => {
+    const code = String(line.code || '').trim().toUpperCase();
+    const add = message => problems.push({ index, code, message });
+    const entry = entries[code];
+
+    if (!code) return add('A CPT code is required.');
+    if (!entry) return add(`${code} is not in the CPT/HCPCS catalog.`);
+    if (!entry.active) return add(`${code} (${entry.description}) has been retired from the catalog.`);
+
+    const modifiers = modifierList(line.modifiers);
+    const notAllowed = modifiers.filter(m => !entry.modifiers.includes(m));
+    if (notAllowed.length) {
+      add(`${code} can't take modifier ${notAllowed.join(', ')}` +
+        (entry.modifiers.length ? ` (allowed: ${entry.modifiers.join(', ')}).` : ' (no modifiers allowed).'));
+    }
+    if (new Set(modifiers).size !== modifiers.length) add(`${code} lists the same modifier twice.`);
+
+    const units = line.units === undefined || line.units === null || line.units === '' ? 1 : Number(line.units);
+    if (!Number.isInteger(units) || units < 1 || units > entry.max_units) {
+      add(`${code} must be billed with 1${entry.max_units > 1 ? `–${entry.max_units}` : ''} unit${entry.max_units > 1 ? 's' : ''}.`);
+    }
+  });
+  return problems;
+}
+
+module.exports = {
+  CODE_SETS,
+  loadCptCatalog,
+  validateCptEntry,
+  saveCptEntry,
+  parseCptText,
+  modifierList,
+  cptProblems
+};
@@ -0,0 +1,236 @@
+const { pool } = require('../db'); // mysql2/promise
+const { loadCase } = require('./cases');
+const { gradeInterview } = require('./interview');
+const { gradeHotspots } = require('./hotspots');
+const { attemptLateness } = require('./courses');
+const { archivedWork } = require('./attempts');
+
+// Share of the overall score each part carries
+const WEIGHTS = { icd10: 0.55, cpt: 0.2, history: 0.15, hotspots: 0.1 };
+
+// A partial (same 3-character category) match earns half credit
+const PARTIAL_CREDIT = 0.5;
+
+// Sections a professor scores by hand in the grading workspace
+const RUBRIC = [
+  { key: 'history', label: 'History', max: 20 },
+  { key: 'exam', label: 'Exam', max: 20 },
+  { key: 'testing', label: 'Testing & Interpretation', max: 20 },
+  { key: 'assessment', label: 'Assessment & Plan', max: 40 }
+];
+
+// ---------- Normalizers ----------
+
+// "h401111 – POAG OD" → "H40.1111"
+const ICD10_PATTERN = /\b([A-TV-Z][0-9][0-9A-Z])\.?([0-9A-Z]{0,4})\b/i;
+
+function extractIcd10(text) {
+  const m = String(text || '').match(ICD10_PATTERN);
+  if (!m) return null;
+  return (m[2] ? `${m[1]}.${m[2]}` : m[1]).toUpperCase();
+}
+
+function icd10Category(code) {
+  return code.slice(0, 3);
+}
+
+// "66984-RT" → "66984" (modifiers and old picker variants score as the base code)
+function normalizeCpt(code) {
+  return String(code || '').trim().toUpperCase().split('-')[0];
+}
+
+// mysql2 hands back JSON columns parsed on MySQL but as strings on MariaDB
+function parseJson(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function unique(list) {
+  return Array.from(new Set(list.filter(Boolean)));
+}
+
+function percent(points, possible) {
+  if (!possible) return null;
+  return Math.round((points / possible) * 10000) / 100;
+}
+
+// ---------- Scoring ----------
+
+/**
+ * Weighted overall score from part scores ({ icd10: 80, cpt: 50, ... }).
+ * Parts without an answer key (null) don't count toward it.
+ */
+function overallScore(scores) {
+  const parts = Object.entries(scores)
+    .filter(([, score]) => score !== null && score !== undefined)
+    .map(([part, score]) => ({ score, weight: WEIGHTS[part] }));
+  const totalWeight = parts.reduce((sum, p) => sum + p.weight, 0);
+  return totalWeight
+    ? Math.round(parts.reduce((sum, p) => sum + p.score * p.weight, 0) / totalWeight * 100) / 100
+    : null;
+}
+
+/**
+ * Compare a student's Assessment & Plan against the professor's answer key.
+ *  key:        { assessments: [{ icd10_code }], cpt_codes: [code] }
+ *  submission: { assessments: [{ icd10_code }], cpt_codes: [code] }
+ */
+function gradeAssessmentPlan(key, submission) {
+  const expected = unique((key.assessments || []).map(a => extractIcd10(a.icd10_code)));
+  const submitted = unique((submission.assessments || []).map(a => extractIcd10(a.icd10_code)));
+
+  const remaining = new Set(submitted);
+  const exact = [];
+  const partial = [];
+  const missed = [];
+
+  expected.forEach(code => {
+    if (remaining.has(code)) {
+      remaining.delete(code);
+      exact.push(code);
+    }
+  });
+  expected.filter(code => !exact.includes(code)).forEach(code => {
+    const sameCategory = Array.from(remaining).find(s => icd10Category(s) === icd10Category(code));
+    if (sameCategory) {
+      remaining.delete(sameCategory);
+      partial.push({ expected: code, submitted: sameCategory });
+    } else {
+      missed.push(code);
+    }
+  });
+  const extra = Array.from(remaining);
+
+  // Extras count against the student the same way a miss does
+  const icd10Score = percent(
+    exact.length + partial.length * PARTIAL_CREDIT,
+    expected.length + extra.length
+  );
+
+  const expectedCpt = unique((key.cpt_codes || []).map(normalizeCpt));
+  const submittedCpt = unique((submission.cpt_codes || []).map(normalizeCpt));
+  const correctCpt = expectedCpt.filter(c => submittedCpt.includes(c));
+  const missedCpt = expectedCpt.filter(c => !submittedCpt.includes(c));
+  const extraCpt = submittedCpt.filter(c => !expectedCpt.includes(c));
+  const cptScore = percent(correctCpt.length, expectedCpt.length + extraCpt.length);
+
+  return {
+    score: overallScore({ icd10: icd10Score, cpt: cptScore }),
+    weights: WEIGHTS,
+    icd10: { score: icd10Score, exact, partial, missed, extra },
+    cpt: { score: cptScore, correct: correctCpt, missed: missedCpt, extra: extraCpt }
+  };
+}
+
+/**
+ * A released grade as the student sees it while retakes remain: scores, what
+ * they got right and their extras, but not the codes or lesions they missed
+ * (that is the answer key). Pure: everything comes in as data.
+ */
+function withoutAnswerKey(grade) {
+  if (!grade) return grade;
+  const out = { ...grade };
+  if (grade.icd10) {
+    out.icd10 = {
+      ...grade.icd10,
+      partial: (grade.icd10.partial || []).map(p => ({ submitted: p.submitted })),
+      missed: []
+    };
+  }
+  if (grade.cpt) out.cpt = { ...grade.cpt, missed: [] };
+  if (grade.hotspots) {
+    out.hotspots = {
+      ...grade.hotspots,
+      images: (grade.hotspots.images || []).map(i => ({ ...i, misses: [] }))
+    };
+  }
+  return out;
+}
+
+// ---------- Persistence ----------
+
+/**
+ * What a student coded on a case: the live rows, or `archived` (an earlier
+ * attempt's archived work, see lib/attempts) when given.
+ */
+async function loadSubmission(caseId, studentId, archived = null) {
+  if (archived) {
+    return {
+      assessments: archived.assessments.map(a => ({ icd10_code: a.icd10_code, plan: a.plan })),
+      cpt_codes: archived.cpt.map(r => [r.cpt_code, ...(r.modifiers ? r.modifiers.split(',') : [])].join('-'))
+    };
+  }
+
+  const [assessments] = await pool.query(
+    `SELECT icd10_code, plan
+     FROM assessment_plan
+     WHERE case_id = ? AND student_id = ?
+     ORDER BY id ASC`,
+    [caseId, studentId]
+  );
+  // Older CPT rows only carry the assessment they were mapped to
+  const [cpt] = await pool.query(
+    `SELECT c.cpt_code, c.modifiers
+     FROM assessment_plan_cpt c
+     LEFT JOIN assessment_plan ap ON ap.id = c.assessment_plan_id
+     WHERE (c.case_id = ? AND c.student_id = ?)
+        OR (c.case_id IS NULL AND ap.case_id = ? AND ap.student_id = ?)`,
+    [caseId, studentId, caseId, studentId]
+  );
+  // Written like the answer key (66984-RT); scoring compares the base code
+  const cptCodes = cpt.map(r => [r.cpt_code, ...(r.modifiers ? r.modifiers.split(',') : [])].join('-'));
+  return { assessments, cpt_codes: cptCodes };
+}
+
+/**
+ * Grade one attempt against its case's answer key, its interview transcript
+ * and its hotspot marks, and store the breakdown. Late work under a "penalty"
+ * late policy loses its points here (grade.late says by how much).
+ * Returns the stored breakdown, or null if the attempt doesn't exist.
+ */
+async function gradeAttempt(attemptId) {
+  const [rows] = await pool.query('SELECT * FROM case_attempts WHERE attempt_id = ?', [attemptId]);
+  const attempt = rows[0];
+  if (!attempt) return null;
+
+  const caseData = await loadCase(attempt.case_id);
+  const submission = await loadSubmission(attempt.case_id, attempt.user_id, archivedWork(attempt));
+  const grade = gradeAssessmentPlan(caseData || {}, submission);
+
+  // History-taking from the interview transcript, "find the lesion" from the marks
+  grade.history = await gradeInterview(attempt.attempt_id, caseData || {});
+  grade.hotspots = await gradeHotspots(attempt.attempt_id, caseData || {});
+  grade.score = overallScore({
+    icd10: grade.icd10.score,
+    cpt: grade.cpt.score,
+    history: grade.history.score,
+    hotspots: grade.hotspots.score
+  });
+
+  const late = await attemptLateness(attempt);
+  if (late && late.seconds_late > 0) {
+    grade.late = late;
+    if (late.penalty_pct && grade.score !== null) {
+      grade.score_before_penalty = grade.score;
+      grade.score = Math.max(0, Math.round((grade.score - late.penalty_pct) * 100) / 100);
+    }
+  }
+
+  await pool.query(
+    'UPDATE case_attempts SET score = ?, grade_json = ?, graded_at = NOW() WHERE attempt_id = ?',
+    [grade.score, JSON.stringify(grade), attemptId]
+  );
+  return grade;
+}
+
+module.exports = {
+  WEIGHTS,
+  RUBRIC,
+  parseJson,
+  extractIcd10,
+  normalizeCpt,
+  gradeAssessmentPlan,
+  withoutAnswerKey,
+  loadSubmission,
+  gradeAttempt
+};
@@ -0,0 +1,258 @@
+const { pool } = require('../db'); // mysql2/promise
+
+// ---------- Image hotspots ("find the lesion") ----------
+// Professors draw labeled regions on case images in wizard Step 4; students
+// click or outline what they find in the image viewer. Each image with regions
+// is a question: regions found are hits, regions missed are misses and marks
+// that find nothing are false positives.
+// Regions and marks are { x, y, w, h } as fractions of the image size; a click
+// is a mark with w = h = 0.
+
+const MAX_REGIONS_PER_IMAGE = 20;
+const MAX_MARKS_PER_IMAGE = 20;
+
+// A click this close to a region (fraction of the image) still counts as on it
+const CLICK_TOLERANCE = 0.02;
+
+// An outline finds a region when it overlaps it this much (intersection over union)
+const MIN_OVERLAP = 0.2;
+
+function percent(points, possible) {
+  if (!possible) return null;
+  return Math.round((points / possible) * 10000) / 100;
+}
+
+function toBox(row) {
+  return { x: Number(row.x), y: Number(row.y), w: Number(row.w), h: Number(row.h) };
+}
+
+// ---------- Validation ----------
+
+function boxErrors(box, where, { allowPoint }) {
+  if (!box || typeof box !== 'object') return [`${where} must be an object.`];
+  const nums = ['x', 'y', 'w', 'h'].map(k => Number(box[k]));
+  if (nums.some(n => !Number.isFinite(n) || n < 0 || n > 1)) {
+    return [`${where}: x, y, w and h must be fractions between 0 and 1.`];
+  }
+  const [x, y, w, h] = nums;
+  const errors = [];
+  if (x + w > 1.0001 || y + h > 1.0001) errors.push(`${where} runs off the image.`);
+  if (!allowPoint && (w <= 0 || h <= 0)) errors.push(`${where} needs a width and a height.`);
+  return errors;
+}
+
+/**
+ * Problems with a case's regions ({ filename: [{ label, x, y, w, h }] }),
+ * empty when they can be saved.
+ */
+function validateHotspots(map) {
+  if (!map || typeof map !== 'object' || Array.isArray(map)) return ['Hotspots must map image filenames to regions.'];
+  const errors = [];
+  Object.entries(map).forEach(([filename, regions]) => {
+    if (!/^[\w.-]+$/.test(filename)) return errors.push(`"${filename}" is not an image filename.`);
+    if (!Array.isArray(regions)) return errors.push(`Regions for ${filename} must be a list.`);
+    if (regions.length > MAX_REGIONS_PER_IMAGE) {
+      errors.push(`${filename} has ${regions.length} regions; the limit is ${MAX_REGIONS_PER_IMAGE}.`);
+    }
+    regions.forEach((r, i) => {
+      const where = `${filename} region ${i + 1}`;
+      errors.push(...boxErrors(r, where, { allowPoint: false }));
+      if (r && (typeof r.label !== 'string' || !r.label.trim())) errors.push(`${where}: label is required.`);
+    });
+  });
+  return errors;
+}
+
+/**
+ * Problems with a student's marks on one image, empty when they can be saved.
+ */
+function validateMarks(marks) {
+  if (!Array.isArray(marks)) return ['marks must be a list.'];
+  if (marks.length > MAX_MARKS_PER_IMAGE) return [`At most ${MAX_MARKS_PER_IMAGE} marks per image.`];
+  const errors = [];
+  marks.forEach((m, i) => errors.push(...boxErrors(m, `Mark ${i + 1}`, { allowPoint: true })));
+  return errors;
+}
+
+// ---------- Case regions ----------
+
+/**
+ * A case's regions by image: { filename: [{ label, x, y, w, h }] }.
+ * Pass a connection to read inside an open transaction.
+ */
+async function loadCaseHotspots(caseId, conn = pool) {
+  const [rows] = await conn.query(
+    'SELECT * FROM image_hotspots WHERE case_id = ? ORDER BY filename ASC, sort_order ASC, id ASC',
+    [caseId]
+  );
+  const map = {};
+  rows.forEach(r => {
+    (map[r.filename] = map[r.filename] || []).push({ label: r.label, ...toBox(r) });
+  });
+  return map;
+}
+
+/**
+ * Insert validated regions for a case on an open connection.
+ */
+async function insertCaseHotspots(conn, caseId, map) {
+  for (const [filename, regions] of Object.entries(map)) {
+    for (const [i, r] of regions.entries()) {
+      await conn.query(
+        'INSERT INTO image_hotspots (case_id, filename, label, x, y, w, h, sort_order) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [caseId, filename, r.label.trim().slice(0, 80), r.x, r.y, r.w, r.h, i]
+      );
+    }
+  }
+}
+
+/**
+ * Replace a case's regions. Images not in `filenames` (the case's current
+ * images) are dropped, as are images whose regions were all removed.
+ * Pass map = null to keep the saved regions and only drop removed images.
+ * Returns the errors, empty on success.
+ */
+async function saveCaseHotspots(caseId, map, filenames) {
+  if (map !== null) {
+    const errors = validateHotspots(map);
+    if (errors.length) return errors;
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const current = map === null ? await loadCaseHotspots(caseId, conn) : map;
+    const kept = {};
+    Object.entries(current).forEach(([filename, regions]) => {
+      if (filenames.includes(filename) && regions.length) kept[filename] = regions;
+    });
+    await conn.query('DELETE FROM image_hotspots WHERE case_id = ?', [caseId]);
+    await insertCaseHotspots(conn, caseId, kept);
+    await conn.commit();
+    return [];
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// ---------- Student marks ----------
+
+/**
+ * Replace a student's marks on one image of their attempt.
+ */
+async function saveMarks(attempt, filename, marks) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM hotspot_marks WHERE attempt_id = ? AND filename = ?', [attempt.attempt_id, filename]);
+    for (const m of marks) {
+      await conn.query(
+        `INSERT INTO hotspot_marks (attempt_id, case_id, student_id, filename, x, y, w, h)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [attempt.attempt_id, attempt.case_id, attempt.user_id, filename, m.x, m.y, Number(m.w) || 0, Number(m.h) || 0]
+      );
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * An attempt's marks by image: { filename: [{ x, y, w, h }] }.
+ */
+async function loadMarks(attemptId) {
+  const [rows] = await pool.query('SELECT * FROM hotspot_marks WHERE attempt_id = ? ORDER BY id ASC', [attemptId]);
+  const map = {};
+  rows.forEach(r => {
+    (map[r.filename] = map[r.filename] || []).push(toBox(r));
+  });
+  return map;
+}
+
+// ---------- Scoring ----------
+
+function overlap(a, b) {
+  const w = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+  const h = Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y);
+  if (w <= 0 || h <= 0) return 0;
+  const inter = w * h;
+  return inter / (a.w * a.h + b.w * b.h - inter);
+}
+
+// Does a mark find a region? Clicks must land on it, outlines overlap it.
+function finds(mark, region) {
+  if (!mark.w || !mark.h) {
+    return mark.x >= region.x - CLICK_TOLERANCE && mark.x <= region.x + region.w + CLICK_TOLERANCE &&
+      mark.y >= region.y - CLICK_TOLERANCE && mark.y <= region.y + region.h + CLICK_TOLERANCE;
+  }
+  return overlap(mark, region) >= MIN_OVERLAP;
+}
+
+/**
+ * Score marks against regions. Pure: everything comes in as data.
+ *  regions: { filename: [{ label, x, y, w, h }] }   (the answer key)
+ *  marks:   { filename: [{ x, y, w, h }] }          (one attempt)
+ * Each region is found by at most one mark and each mark finds at most one
+ * region. Marks on images without regions don't count.
+ * Returns { score, hits, misses, false_positives, images: [{ filename, score,
+ * hits: [label], misses: [label], false_positives }] }; score is null when the
+ * case has no regions.
+ */
+function scoreHotspots(regions, marks) {
+  const images = Object.entries(regions).map(([filename, list]) => {
+    const remaining = [...(marks[filename] || [])];
+    const hits = [];
+    const misses = [];
+    list.forEach(region => {
+      const i = remaining.findIndex(m => finds(m, region));
+      if (i === -1) return misses.push(region.label);
+      remaining.splice(i, 1);
+      hits.push(region.label);
+    });
+    return {
+      filename,
+      score: percent(hits.length, list.length + remaining.length),
+      hits,
+      misses,
+      false_positives: remaining.length
+    };
+  });
+
+  const hits = images.reduce((sum, i) => sum + i.hits.length, 0);
+  const misses = images.reduce((sum, i) => sum + i.misses.length, 0);
+  const falsePositives = images.reduce((sum, i) => sum + i.false_positives, 0);
+  return {
+    score: percent(hits, hits + misses + falsePositives),
+    hits,
+    misses,
+    false_positives: falsePositives,
+    images
+  };
+}
+
+/**
+ * "Find the lesion" grade for an attempt on a case loaded with lib/cases
+ * loadCase (see scoreHotspots).
+ */
+async function gradeHotspots(attemptId, caseData) {
+  return scoreHotspots(caseData.hotspots || {}, await loadMarks(attemptId));
+}
+
+module.exports = {
+  validateHotspots,
+  validateMarks,
+  loadCaseHotspots,
+  insertCaseHotspots,
+  saveCaseHotspots,
+  saveMarks,
+  loadMarks,
+  scoreHotspots,
+  gradeHotspots
+};
@@ -0,0 +1,133 @@
+const { pool } = require('../db'); // mysql2/promise
+const { extractIcd10 } = require('./grading');
+
+// ---------- ICD-10-CM catalog ----------
+// icd10_codes is loaded from the CMS release (scripts/load_icd10.js). Codes are
+// stored without the dot; everything handed out here uses the dotted form.
+
+const SEARCH_LIMIT = 50;
+
+// Billable codes that leave the side open ("... unspecified eye", "unspecified ear", ...)
+const UNSPECIFIED_LATERALITY = /\bunspecified (eye|eyes|ear|side|orbit|eyelid)\b/i;
+
+// "H401111" → "H40.1111"
+function formatCode(code) {
+  return code.length > 3 ? `${code.slice(0, 3)}.${code.slice(3)}` : code;
+}
+
+function toEntry(row) {
+  return {
+    code: formatCode(row.code),
+    billable: !!row.billable,
+    short_description: row.short_description,
+    description: row.description
+  };
+}
+
+// An empty catalog means it hasn't been loaded yet; nothing can be checked against it
+let loaded = false;
+async function catalogLoaded() {
+  if (loaded) return true;
+  const [rows] = await pool.query('SELECT 1 FROM icd10_codes LIMIT 1');
+  loaded = rows.length > 0;
+  return loaded;
+}
+
+/**
+ * Autocomplete: codes starting with `q` ("h40.11", "H4011"), or whose description
+ * contains every word of `q` ("primary open angle"). Billable codes first.
+ */
+async function searchIcd10(q, limit = 20) {
+  const text = String(q || '').trim();
+  if (!text) return [];
+  const max = Math.min(Math.max(Number(limit) || 20, 1), SEARCH_LIMIT);
+
+  if (/^[A-TV-Z][0-9]/i.test(text)) {
+    const prefix = text.replace(/\./g, '').toUpperCase();
+    const [rows] = await pool.query(
+      `SELECT * FROM icd10_codes WHERE code LIKE ? ORDER BY billable DESC, code ASC LIMIT ?`,
+      [`${prefix}%`, max]
+    );
+    return rows.map(toEntry);
+  }
+
+  const words = text.toLowerCase().split(/[^a-z0-9-]+/).filter(Boolean).slice(0, 8);
+  if (!words.length) return [];
+  const [rows] = await pool.query(
+    `SELECT * FROM icd10_codes
+     WHERE ${words.map(() => 'description LIKE ?').join(' AND ')}
+     ORDER BY billable DESC, code ASC
+     LIMIT ?`,
+    [...words.map(w => `%${w}%`), max]
+  );
+  return rows.map(toEntry);
+}
+
+/**
+ * Check one free-text diagnosis ("H40.1111 – POAG OD" or just the code).
+ * Returns { ok, code, entry, message }; ok is true when the catalog isn't loaded.
+ *  - the code must exist in ICD-10-CM
+ *  - it must be billable (no more characters required, incl. the 7th character)
+ *  - it must name the side when the classification offers one
+ */
+async function checkIcd10(text) {
+  const code = extractIcd10(text);
+  if (!code) return { ok: false, code: null, message: `"${text}" does not contain an ICD-10 code.` };
+  if (!(await catalogLoaded())) return { ok: true, code, entry: null, message: null };
+
+  const compact = code.replace('.', '');
+  const [rows] = await pool.query('SELECT * FROM icd10_codes WHERE code = ?', [compact]);
+  if (!rows.length) {
+    const [children] = await pool.query(
+      'SELECT code FROM icd10_codes WHERE code LIKE ? AND billable = 1 ORDER BY code LIMIT 3',
+      [`${compact}%`]
+    );
+    return {
+      ok: false,
+      code,
+      message: children.length
+        ? `${code} is incomplete; more characters are required (e.g. ${children.map(c => formatCode(c.code)).join(', ')}).`
+        : `${code} is not an ICD-10-CM code.`
+    };
+  }
+
+  const entry = toEntry(rows[0]);
+  if (!entry.billable) {
+    return {
+      ok: false,
+      code,
+      entry,
+      message: `${code} (${entry.short_description}) is a category; add the characters for specificity.`
+    };
+  }
+  if (UNSPECIFIED_LATERALITY.test(entry.description)) {
+    return {
+      ok: false,
+      code,
+      entry,
+      message: `${code} (${entry.short_description}) leaves laterality unspecified; use the code for the affected side.`
+    };
+  }
+  return { ok: true, code, entry, message: null };
+}
+
+/**
+ * Check a list of assessments ({ icd10_code, ... }); rows without a code are skipped.
+ * Returns [{ index, code, message }], empty when every code is valid.
+ */
+async function icd10Problems(assessments) {
+  const problems = [];
+  for (const [index, a] of assessments.entries()) {
+    if (!a || !a.icd10_code || !String(a.icd10_code).trim()) continue;
+    const result = await checkIcd10(a.icd10_code);
+    if (!result.ok) problems.push({ index, code: result.code, message: result.message });
+  }
+  return problems;
+}
+
+module.exports = {
+  formatCode,
+  searchIcd10,
+  checkIcd10,
+  icd10Problems
+};
@@ -0,0 +1,418 @@
+const { pool } = require('../db'); // mysql2/promise
+
+// ---------- Patient interview ----------
+// Students ask the patient questions in the History tab; the answers come from
+// here so the case history never reaches the browser up front.
+//  - interview_vocabulary: shared topics ("chief_complaint", ...) and follow-up
+//    kinds ("duration", ...) with the phrases that ask for them
+//  - case_interview_responses: per-case answers authored in wizard Step 3, each
+//    with optional follow-ups ("how long" → "about three weeks")
+// Topics a case has no response for are answered from its histories row.
+//  - interview_transcripts: every question a student asked on an attempt, scored
+//    for history-taking completeness when the attempt is graded
+
+const KINDS = ['topic', 'follow_up'];
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const HISTORY_FIELDS = ['chief_complaint', 'hpi', 'poh', 'pmh', 'fhx', 'meds', 'allergies', 'social_history'];
+
+const FALLBACK_REPLIES = [
+  'Hmm, I’m not sure how to answer that.',
+  'I don’t really know about that.',
+  'That’s not something I’ve thought about.',
+  'I don’t have an answer for that — maybe ask something else.'
+];
+
+// mysql2 hands back JSON columns parsed on MySQL but as strings on MariaDB
+function parseJson(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// "What’s wrong with your eye?" → "whats wrong with your eye"
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function phraseList(phrases) {
+  return (Array.isArray(phrases) ? phrases : String(phrases || '').split(','))
+    .map(normalizeText)
+    .filter(Boolean);
+}
+
+// Length of the longest phrase found at a word start in the question, 0 if none
+function matchLength(question, phrases) {
+  const padded = ` ${question}`;
+  return phrases.reduce((best, p) => (padded.includes(` ${p}`) && p.length > best ? p.length : best), 0);
+}
+
+function percent(points, possible) {
+  if (!possible) return null;
+  return Math.round((points / possible) * 10000) / 100;
+}
+
+function randomFallback() {
+  return FALLBACK_REPLIES[Math.floor(Math.random() * FALLBACK_REPLIES.length)];
+}
+
+// ---------- Vocabulary ----------
+
+function toVocabularyEntry(row) {
+  return {
+    topic_key: row.topic_key,
+    label: row.label,
+    kind: row.kind,
+    history_field: row.history_field,
+    phrases: parseJson(row.phrases) || [],
+    sort_order: row.sort_order
+  };
+}
+
+async function loadVocabulary() {
+  const [rows] = await pool.query('SELECT * FROM interview_vocabulary ORDER BY sort_order ASC, label ASC');
+  return rows.map(toVocabularyEntry);
+}
+
+/**
+ * Problems with a vocabulary entry, empty when it can be saved.
+ */
+function validateVocabularyEntry(def) {
+  const errors = [];
+  if (!def || typeof def !== 'object') return ['Entry must be an object.'];
+  if (!KEY_PATTERN.test(def.topic_key || '')) {
+    errors.push('topic_key must be lowercase letters, digits or underscores, starting with a letter.');
+  }
+  if (typeof def.label !== 'string' || !def.label.trim()) errors.push('label is required.');
+  if (!KINDS.includes(def.kind || 'topic')) errors.push(`kind must be one of ${KINDS.join(', ')}.`);
+  if (def.history_field && !HISTORY_FIELDS.includes(def.history_field)) {
+    errors.push(`history_field must be one of ${HISTORY_FIELDS.join(', ')}.`);
+  }
+  if (def.history_field && def.kind === 'follow_up') errors.push('Follow-ups are answered by cases, not history fields.');
+  if (!Array.isArray(def.phrases) || !phraseList(def.phrases).length) {
+    errors.push('phrases must list at least one way to ask.');
+  }
+  return errors;
+}
+
+/**
+ * Create or replace a vocabulary entry. Returns the errors, empty on success.
+ */
+async function saveVocabularyEntry(def) {
+  const errors = validateVocabularyEntry(def);
+  if (errors.length) return errors;
+
+  await pool.query(
+    `INSERT INTO interview_vocabulary (topic_key, label, kind, history_field, phrases, sort_order)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE label = VALUES(label), kind = VALUES(kind),
+       history_field = VALUES(history_field), phrases = VALUES(phrases), sort_order = VALUES(sort_order)`,
+    [
+      def.topic_key,
+      def.label.trim(),
+      def.kind || 'topic',
+      def.history_field || null,
+      JSON.stringify(phraseList(def.phrases)),
+      Number(def.sort_order) || 0
+    ]
+  );
+  return [];
+}
+
+// ---------- Case responses ----------
+
+function toResponse(row) {
+  return {
+    id: row.id,
+    topic_key: row.topic_key,
+    phrases: parseJson(row.phrases) || [],
+    answer: row.answer,
+    follow_ups: parseJson(row.follow_ups) || []
+  };
+}
+
+/**
+ * A case's authored responses in order.
+ * Pass a connection to read inside an open transaction.
+ */
+async function loadCaseInterview(caseId, conn = pool) {
+  const [rows] = await conn.query(
+    'SELECT * FROM case_interview_responses WHERE case_id = ? ORDER BY sort_order ASC, id ASC',
+    [caseId]
+  );
+  return rows.map(toResponse);
+}
+
+/**
+ * Problems with a list of responses ({ topic_key, phrases, answer, follow_ups }),
+ * checked against the vocabulary. Empty when it can be saved.
+ */
+function validateInterview(responses, vocabulary) {
+  if (!Array.isArray(responses)) return ['Interview responses must be a list.'];
+  const errors = [];
+  const kindOf = key => (vocabulary.find(v => v.topic_key === key) || {}).kind;
+
+  const checkEntry = (entry, where, kind) => {
+    if (!entry || typeof entry !== 'object') return errors.push(`${where} must be an object.`);
+    if (entry.topic_key && kindOf(entry.topic_key) !== kind) {
+      errors.push(`${where}: "${entry.topic_key}" is not a ${kind === 'topic' ? 'topic' : 'follow-up'} in the vocabulary.`);
+    }
+    if (!entry.topic_key && !phraseList(entry.phrases).length) {
+      errors.push(`${where}: a custom question needs at least one phrase.`);
+    }
+    if (typeof entry.answer !== 'string' || !entry.answer.trim()) errors.push(`${where}: answer is required.`);
+  };
+
+  responses.forEach((r, i) => {
+    checkEntry(r, `Response ${i + 1}`, 'topic');
+    if (r && r.follow_ups !== undefined && !Array.isArray(r.follow_ups)) {
+      errors.push(`Response ${i + 1}: follow_ups must be a list.`);
+    } else if (r) {
+      (r.follow_ups || []).forEach((f, j) => checkEntry(f, `Response ${i + 1}, follow-up ${j + 1}`, 'follow_up'));
+    }
+  });
+  return errors;
+}
+
+function cleanEntry(entry) {
+  return {
+    topic_key: entry.topic_key || null,
+    phrases: phraseList(entry.phrases),
+    answer: entry.answer.trim()
+  };
+}
+
+/**
+ * Insert validated responses for a case, in order, on an open connection.
+ */
+async function insertCaseInterview(conn, caseId, responses) {
+  for (const [i, r] of responses.entries()) {
+    const entry = cleanEntry(r);
+    await conn.query(
+      `INSERT INTO case_interview_responses (case_id, topic_key, phrases, answer, follow_ups, sort_order)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        caseId, entry.topic_key, JSON.stringify(entry.phrases), entry.answer,
+        JSON.stringify((r.follow_ups || []).map(cleanEntry)), i
+      ]
+    );
+  }
+}
+
+/**
+ * Replace a case's responses. Returns the errors, empty on success.
+ */
+async function saveCaseInterview(caseId, responses) {
+  const errors = validateInterview(responses, await loadVocabulary());
+  if (errors.length) return errors;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM case_interview_responses WHERE case_id = ?', [caseId]);
+    await insertCaseInterview(conn, caseId, responses);
+    await conn.commit();
+    return [];
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// ---------- Answering ----------
+
+/**
+ * Pick the patient's answer. Pure: everything comes in as data.
+ *  - follow-ups of the response being discussed (`context`) come first
+ *  - then the case's responses and the vocabulary's topics; the longest
+ *    matching phrase wins, and a case response beats the default for its topic
+ *  - default topics answer with their histories column
+ * Returns { answer, topic_key, history_field, context, matched }; context is the
+ * response id follow-ups should be looked up under next time (null if none), and
+ * history_field the histories column the question was about (a follow-up counts
+ * toward its response's topic).
+ */
+function pickAnswer(question, { vocabulary, responses, history, context = null }) {
+  const q = normalizeText(question);
+  const vocab = {};
+  vocabulary.forEach(v => { vocab[v.topic_key] = v; });
+  const fieldOf = key => (key && vocab[key] ? vocab[key].history_field : null);
+  const phrasesOf = entry => [
+    ...phraseList(entry.phrases),
+    ...(entry.topic_key && vocab[entry.topic_key] ? phraseList(vocab[entry.topic_key].phrases) : [])
+  ];
+
+  const current = responses.find(r => r.id === Number(context));
+  if (current && q) {
+    let best = null;
+    current.follow_ups.forEach(f => {
+      const length = matchLength(q, phrasesOf(f));
+      if (length && (!best || length > best.length)) best = { length, follow: f };
+    });
+    if (best) {
+      return {
+        answer: best.follow.answer,
+        topic_key: best.follow.topic_key,
+        history_field: fieldOf(current.topic_key),
+        context: current.id,
+        matched: true
+      };
+    }
+  }
+
+  const candidates = responses.map(r => ({ response: r, topic_key: r.topic_key, phrases: phrasesOf(r) }));
+  vocabulary
+    .filter(v => v.kind === 'topic' && !responses.some(r => r.topic_key === v.topic_key))
+    .forEach(v => candidates.push({ response: null, topic_key: v.topic_key, phrases: phraseList(v.phrases), field: v.history_field }));
+
+  let best = null;
+  if (q) {
+    candidates.forEach(c => {
+      const length = matchLength(q, c.phrases);
+      if (length && (!best || length > best.length)) best = { ...c, length };
+    });
+  }
+  if (!best) {
+    return { answer: randomFallback(), topic_key: null, history_field: null, context: current ? current.id : null, matched: false };
+  }
+
+  if (best.response) {
+    return {
+      answer: best.response.answer,
+      topic_key: best.topic_key,
+      history_field: fieldOf(best.topic_key),
+      context: best.response.id,
+      matched: true
+    };
+  }
+  const answer = best.field && history ? history[best.field] : null;
+  return {
+    answer: answer && String(answer).trim() ? answer : randomFallback(),
+    topic_key: best.topic_key,
+    history_field: best.field || null,
+    context: null,
+    matched: !!(answer && String(answer).trim())
+  };
+}
+
+/**
+ * Answer one question for a case (see pickAnswer).
+ */
+async function answerQuestion(caseId, question, context = null) {
+  const [histories] = await pool.query('SELECT * FROM histories WHERE case_id = ?', [caseId]);
+  return pickAnswer(question, {
+    vocabulary: await loadVocabulary(),
+    responses: await loadCaseInterview(caseId),
+    history: histories[0] || null,
+    context
+  });
+}
+
+// ---------- Transcripts ----------
+
+// Questions about the present illness (asked directly or as follow-ups such as
+// "how long?" and "which eye?") it takes for the HPI to count as explored
+const HPI_MIN_QUESTIONS = 2;
+
+/**
+ * Append one question and the patient's answer (pickAnswer's reply) to an attempt.
+ */
+async function recordQuestion(attempt, question, reply) {
+  await pool.query(
+    `INSERT INTO interview_transcripts
+       (attempt_id, case_id, student_id, question, answer, topic_key, history_field, matched, context)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      attempt.attempt_id, attempt.case_id, attempt.user_id, question, reply.answer,
+      reply.topic_key, reply.history_field, reply.matched ? 1 : 0, reply.context
+    ]
+  );
+}
+
+/**
+ * An attempt's questions in the order they were asked.
+ */
+async function loadTranscript(attemptId) {
+  const [rows] = await pool.query(
+    `SELECT question, answer, topic_key, history_field, matched, context, asked_at
+     FROM interview_transcripts
+     WHERE attempt_id = ?
+     ORDER BY id ASC`,
+    [attemptId]
+  );
+  return rows.map(r => ({ ...r, matched: !!r.matched }));
+}
+
+/**
+ * History fields a case can answer: filled-in histories columns plus the
+ * topics it has authored responses for.
+ */
+function expectedHistoryFields(history, responses, vocabulary) {
+  const fromResponses = responses
+    .map(r => (vocabulary.find(v => v.topic_key === r.topic_key) || {}).history_field)
+    .filter(Boolean);
+  return HISTORY_FIELDS.filter(field =>
+    (history && history[field] && String(history[field]).trim()) || fromResponses.includes(field));
+}
+
+/**
+ * Score a transcript for completeness. Pure: everything comes in as data.
+ *  - covered / missed: expected history fields asked about or never asked about
+ *  - hpi: questions about the present illness and which follow-up kinds were
+ *    asked; explored once there are HPI_MIN_QUESTIONS of them
+ *  - score: share of expected fields covered, with an explored HPI counting as
+ *    one more element when the case has an HPI (null when nothing is expected)
+ */
+function scoreTranscript(transcript, expected, vocabulary) {
+  const asked = new Set(transcript.filter(t => t.matched).map(t => t.history_field).filter(Boolean));
+  const covered = expected.filter(field => asked.has(field));
+  const missed = expected.filter(field => !asked.has(field));
+
+  const followUpKeys = vocabulary.filter(v => v.kind === 'follow_up').map(v => v.topic_key);
+  const hpiQuestions = transcript.filter(t => t.matched && (t.history_field === 'hpi' || followUpKeys.includes(t.topic_key)));
+  const elements = Array.from(new Set(hpiQuestions.map(t => t.topic_key).filter(k => followUpKeys.includes(k))));
+  const hpi = { questions: hpiQuestions.length, elements, explored: hpiQuestions.length >= HPI_MIN_QUESTIONS };
+
+  const hpiExpected = expected.includes('hpi');
+  return {
+    score: percent(
+      covered.length + (hpiExpected && hpi.explored ? 1 : 0),
+      expected.length + (hpiExpected ? 1 : 0)
+    ),
+    questions: transcript.length,
+    unanswered: transcript.filter(t => !t.matched).length,
+    covered,
+    missed,
+    hpi
+  };
+}
+
+/**
+ * History-taking grade for an attempt on a case loaded with lib/cases loadCase
+ * (see scoreTranscript).
+ */
+async function gradeInterview(attemptId, caseData) {
+  const vocabulary = await loadVocabulary();
+  const transcript = await loadTranscript(attemptId);
+  const expected = expectedHistoryFields(caseData.history, caseData.interview || [], vocabulary);
+  return scoreTranscript(transcript, expected, vocabulary);
+}
+
+module.exports = {
+  loadVocabulary,
+  saveVocabularyEntry,
+  loadCaseInterview,
+  validateInterview,
+  insertCaseInterview,
+  saveCaseInterview,
+  pickAnswer,
+  answerQuestion,
+  recordQuestion,
+  loadTranscript,
+  scoreTranscript,
+  gradeInterview
+};
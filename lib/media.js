@@ -0,0 +1,509 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const { pool } = require('../db'); // mysql2/promise
+const { EXAM_IMAGE_FIELDS } = require('./wizard');
+const { requirePermission } = require('./permissions');
+
+// ---------- Media library ----------
+// Every case file lives once in uploads/, named after its content hash, with a
+// `media` row (type, size, dimensions or pages, who uploaded it) and `media_usage`
+// rows for each case/test field that shows it. Most fields take images only;
+// ancillary test slots also take short video clips and PDF reports. Cases keep pointing at filenames, so
+// duplicated cases and versions share files; a file is only removed once no
+// case refers to it any more.
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+const THUMBS_DIR = path.join(UPLOADS_DIR, 'thumbs');
+
+// Content types we accept → the extension the file is stored under
+const IMAGE_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+// Attachments a field may take besides images (see mediaUpload's `kinds`)
+const VIDEO_TYPES = {
+  'video/mp4': '.mp4',
+  'video/webm': '.webm'
+};
+const PDF_TYPES = {
+  'application/pdf': '.pdf'
+};
+const MEDIA_TYPES = { ...IMAGE_TYPES, ...VIDEO_TYPES, ...PDF_TYPES };
+const KIND_TYPES = { image: IMAGE_TYPES, video: VIDEO_TYPES, pdf: PDF_TYPES };
+
+// What each kind accepts, for error messages
+const KIND_NAMES = { image: 'JPEG, PNG, GIF or WebP images', video: 'MP4 or WebM videos', pdf: 'PDFs' };
+
+// sharp's name for each accepted type
+const SHARP_FORMATS = { jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp' };
+
+const MAX_UPLOAD_BYTES = (Number(process.env.MAX_UPLOAD_MB) || 15) * 1024 * 1024;
+// Clips are meant to be short (a B-scan sweep, a slit-lamp pass)
+const MAX_VIDEO_BYTES = (Number(process.env.MAX_VIDEO_MB) || 50) * 1024 * 1024;
+// Uploads are held in memory until stored, so one request is capped as a whole too
+const MAX_UPLOAD_FILES = 30;
+const MAX_REQUEST_BYTES = (Number(process.env.MAX_REQUEST_MB) || 150) * 1024 * 1024;
+const THUMB_WIDTH = 320;
+
+// Files younger than this may belong to a wizard step that is still saving
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+const SAFE_FILENAME = /^[\w.-]+$/;
+
+function thumbPath(filename) {
+  return path.join(THUMBS_DIR, `${filename}.webp`);
+}
+
+function splitList(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function avatarFile(avatar) {
+  return avatar ? String(avatar).replace(/^\/?uploads\//, '') : null;
+}
+
+// mysql2 hands back JSON columns parsed on MySQL but as strings on MariaDB
+function parseJson(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function megabytes(bytes) {
+  return `${bytes / 1024 / 1024} MB`;
+}
+
+function kindsText(kinds) {
+  const names = kinds.map(k => KIND_NAMES[k]);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
+
+// ---------- Storing ----------
+
+/**
+ * Check an image's bytes (not just the type the browser claimed).
+ * Returns { errors, mime_type, width, height }.
+ */
+async function inspectImage(buffer, name = 'Image') {
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    return { errors: [`${name} is larger than ${megabytes(MAX_UPLOAD_BYTES)}.`] };
+  }
+  try {
+    const meta = await sharp(buffer).metadata();
+    const mimeType = SHARP_FORMATS[meta.format];
+    if (!mimeType) return { errors: [`${name} is a ${meta.format} image; use JPEG, PNG, GIF or WebP.`] };
+    return { errors: [], mime_type: mimeType, width: meta.width || null, height: meta.height || null };
+  } catch (err) {
+    return { errors: [`${name} is not a readable image.`] };
+  }
+}
+
+// Video or PDF type from the file's first bytes, or null
+function sniffAttachment(buffer) {
+  const head = buffer.subarray(0, 64);
+  if (head.subarray(0, 5).toString('latin1') === '%PDF-') return 'application/pdf';
+  // ISO base media (ftyp box); QuickTime's 'qt  ' brand doesn't play everywhere
+  if (head.subarray(4, 8).toString('latin1') === 'ftyp' && head.subarray(8, 12).toString('latin1') !== 'qt  ') {
+    return 'video/mp4';
+  }
+  // EBML header naming the webm doctype (plain Matroska is not accepted)
+  if (head.length >= 4 && head.readUInt32BE(0) === 0x1a45dfa3 && head.includes('webm', 0, 'latin1')) {
+    return 'video/webm';
+  }
+  return null;
+}
+
+// Page count of a PDF, or null when its page tree is compressed out of sight
+function pdfPageCount(buffer) {
+  const text = buffer.toString('latin1');
+  const pages = (text.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+  if (pages) return pages;
+  const counts = Array.from(text.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)/g)).map(m => Number(m[1]));
+  return counts.length ? Math.max(...counts) : null;
+}
+
+/**
+ * Check an upload's bytes against the kinds its field takes ('image', 'video', 'pdf').
+ * Returns { errors, mime_type, width, height, pages }.
+ */
+async function inspectMedia(buffer, name = 'File', kinds = ['image']) {
+  const mimeType = sniffAttachment(buffer);
+  if (!mimeType && kinds.includes('image')) {
+    const info = await inspectImage(buffer, name);
+    // Neither an attachment nor an image: say everything the field takes
+    if (kinds.length > 1 && info.errors[0] === `${name} is not a readable image.`) {
+      return { errors: [`${name} is not one of ${kindsText(kinds)}.`] };
+    }
+    return { ...info, pages: null };
+  }
+
+  const kind = VIDEO_TYPES[mimeType] ? 'video' : 'pdf';
+  if (!mimeType || !kinds.includes(kind)) return { errors: [`${name} is not one of ${kindsText(kinds)}.`] };
+  const limit = kind === 'video' ? MAX_VIDEO_BYTES : MAX_UPLOAD_BYTES;
+  if (buffer.length > limit) return { errors: [`${name} is larger than ${megabytes(limit)}.`] };
+  return {
+    errors: [],
+    mime_type: mimeType,
+    width: null,
+    height: null,
+    pages: kind === 'pdf' ? pdfPageCount(buffer) : null
+  };
+}
+
+async function writeThumbnail(source, filename) {
+  await fs.promises.mkdir(THUMBS_DIR, { recursive: true });
+  await sharp(source, { animated: false })
+    .rotate()
+    .resize({ width: THUMB_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 75 })
+    .toFile(thumbPath(filename));
+}
+
+/**
+ * Store an uploaded file in the library, reusing the existing file when the
+ * same content was uploaded before. Only images get a thumbnail.
+ *  meta:  { original_name, uploaded_by }
+ *  kinds: what the file may be ('image', 'video', 'pdf')
+ * Returns { ok: true, filename, created } or { ok: false, errors }.
+ */
+async function storeMedia(buffer, meta = {}, kinds = ['image']) {
+  const info = await inspectMedia(buffer, meta.original_name ? `"${meta.original_name}"` : 'File', kinds);
+  if (info.errors.length) return { ok: false, errors: info.errors };
+
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const [rows] = await pool.query('SELECT filename FROM media WHERE sha256 = ? ORDER BY media_id ASC', [sha256]);
+  for (const row of rows) {
+    if (fs.existsSync(path.join(UPLOADS_DIR, row.filename))) return { ok: true, filename: row.filename, created: false };
+  }
+
+  const filename = `${sha256.slice(0, 32)}${MEDIA_TYPES[info.mime_type]}`;
+  await fs.promises.writeFile(path.join(UPLOADS_DIR, filename), buffer);
+  if (IMAGE_TYPES[info.mime_type]) {
+    try {
+      await writeThumbnail(buffer, filename);
+    } catch (err) {
+      console.error('⚠️ Thumbnail not created:', filename, err.message);
+    }
+  }
+
+  await pool.query(
+    `INSERT INTO media (filename, sha256, mime_type, size_bytes, width, height, pages, original_name, uploaded_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE sha256 = VALUES(sha256)`,
+    [
+      filename, sha256, info.mime_type, buffer.length, info.width, info.height, info.pages,
+      meta.original_name ? String(meta.original_name).slice(0, 255) : null, meta.uploaded_by || null
+    ]
+  );
+  return { ok: true, filename, created: !rows.length };
+}
+
+/**
+ * Remove files storeMedia just created (e.g. when the rows using them weren't saved).
+ */
+async function discardMedia(filenames) {
+  for (const filename of filenames) {
+    await fs.promises.unlink(path.join(UPLOADS_DIR, filename)).catch(() => {});
+    await fs.promises.unlink(thumbPath(filename)).catch(() => {});
+    await pool.query('DELETE FROM media WHERE filename = ?', [filename]);
+  }
+}
+
+// multer's memoryStorage, refusing a request once its files add up to more than maxBytes
+function cappedMemoryStorage(maxBytes) {
+  const memory = multer.memoryStorage();
+  return {
+    _handleFile(req, file, cb) {
+      memory._handleFile(req, file, (err, info) => {
+        if (err) return cb(err);
+        req.uploadedBytes = (req.uploadedBytes || 0) + info.size;
+        if (req.uploadedBytes > maxBytes) {
+          return cb(Object.assign(new Error('Upload too large'), { code: 'LIMIT_TOTAL_SIZE' }));
+        }
+        cb(null, info);
+      });
+    },
+    _removeFile: (req, file, cb) => memory._removeFile(req, file, cb)
+  };
+}
+
+/**
+ * Multer middleware for wizard uploads (case authors only, checked before
+ * anything is read).
+ *  fields: [{ name, maxCount, kinds }] — kinds defaults to ['image'];
+ *          add 'video' and/or 'pdf' for fields that take attachments
+ * Files are checked and stored through the library before the route runs;
+ * each multer file gets `filename` set to its library file, as diskStorage did.
+ * Rejected uploads answer 400 with the reason.
+ */
+function mediaUpload(fields) {
+  const kindsOf = {};
+  fields.forEach(f => { kindsOf[f.name] = f.kinds || ['image']; });
+  const takesVideo = fields.some(f => kindsOf[f.name].includes('video'));
+  const types = kinds => kinds.flatMap(k => Object.keys(KIND_TYPES[k]));
+
+  const upload = multer({
+    storage: cappedMemoryStorage(MAX_REQUEST_BYTES),
+    limits: {
+      fileSize: takesVideo ? Math.max(MAX_UPLOAD_BYTES, MAX_VIDEO_BYTES) : MAX_UPLOAD_BYTES,
+      files: MAX_UPLOAD_FILES
+    },
+    fileFilter: (req, file, cb) => {
+      const kinds = kindsOf[file.fieldname] || ['image'];
+      if (types(kinds).includes(file.mimetype)) return cb(null, true);
+      req.rejectedUploads = (req.rejectedUploads || []).concat({ name: file.originalname, kinds });
+      cb(null, false);
+    }
+  }).fields(fields.map(({ name, maxCount }) => ({ name, maxCount })));
+
+  const author = requirePermission('cases:author');
+  return (req, res, next) => author(req, res, () => {
+    upload(req, res, async err => {
+      if (err && err.code === 'LIMIT_TOTAL_SIZE') {
+        return res.status(400).send(`❌ Upload at most ${megabytes(MAX_REQUEST_BYTES)} at a time.`);
+      }
+      if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? `❌ Images${takesVideo ? ' and PDFs' : ''} must be ${megabytes(MAX_UPLOAD_BYTES)} or smaller` +
+            (takesVideo ? `, videos ${megabytes(MAX_VIDEO_BYTES)}.` : '.')
+          : err.code === 'LIMIT_FILE_COUNT'
+            ? `❌ Upload at most ${MAX_UPLOAD_FILES} files at a time.`
+            : `❌ Upload rejected: ${err.message}.`;
+        return res.status(400).send(message);
+      }
+      if (err) return next(err);
+      if (req.rejectedUploads) {
+        const message = req.rejectedUploads
+          .map(r => `${r.name} is not one of ${kindsText(r.kinds)}.`)
+          .join(' ')
+          .replace(/</g, '&lt;');
+        return res.status(400).send(`❌ ${message}`);
+      }
+
+      try {
+        const files = Object.values(req.files || {}).flat();
+        const created = [];
+        for (const file of files) {
+          const stored = await storeMedia(file.buffer, {
+            original_name: file.originalname,
+            uploaded_by: req.user.user_id
+          }, kindsOf[file.fieldname]);
+          if (!stored.ok) {
+            await discardMedia(created);
+            return res.status(400).send(`❌ ${stored.errors.join(' ').replace(/</g, '&lt;')}`);
+          }
+          if (stored.created) created.push(stored.filename);
+          file.filename = stored.filename;
+          delete file.buffer;
+        }
+        next();
+      } catch (e) {
+        next(e);
+      }
+    });
+  });
+}
+
+/**
+ * Path of a file's thumbnail, creating it on first use (uploads from before the
+ * library have none). Null when the file is missing or isn't an image.
+ */
+async function thumbnailFor(filename) {
+  if (!SAFE_FILENAME.test(filename) || /\.(mp4|webm|pdf)$/i.test(filename)) return null;
+  const thumb = thumbPath(filename);
+  if (fs.existsSync(thumb)) return thumb;
+
+  const source = path.join(UPLOADS_DIR, filename);
+  if (!fs.existsSync(source)) return null;
+  try {
+    await writeThumbnail(source, filename);
+    return thumb;
+  } catch (err) {
+    return null;
+  }
+}
+
+// ---------- Usage ----------
+
+/**
+ * Files a case shows: [{ filename, field, test_key }].
+ * Pass a connection to read inside an open transaction.
+ */
+async function caseMediaRefs(caseId, conn = pool) {
+  const refs = [];
+  const [patients] = await conn.query('SELECT avatar FROM patients WHERE case_id = ?', [caseId]);
+  patients.forEach(p => {
+    if (avatarFile(p.avatar)) refs.push({ filename: avatarFile(p.avatar), field: 'avatar', test_key: null });
+  });
+
+  const [exams] = await conn.query('SELECT * FROM exam_sections WHERE case_id = ?', [caseId]);
+  exams.forEach(row => EXAM_IMAGE_FIELDS.forEach(field => {
+    splitList(row[field]).forEach(filename => refs.push({ filename, field, test_key: null }));
+  }));
+
+  const [tests] = await conn.query('SELECT test_key, images FROM case_tests WHERE case_id = ?', [caseId]);
+  tests.forEach(row => Object.entries(parseJson(row.images) || {}).forEach(([slot, list]) => {
+    splitList(list).forEach(filename => refs.push({ filename, field: slot, test_key: row.test_key }));
+  }));
+  return refs;
+}
+
+// Every filename some existing case still shows
+async function referencedFilenames() {
+  const [cases] = await pool.query('SELECT case_id FROM cases');
+  const names = new Set();
+  for (const c of cases) {
+    (await caseMediaRefs(c.case_id)).forEach(r => names.add(r.filename));
+  }
+  return names;
+}
+
+// A media row for a file uploaded before the library existed
+async function adoptFile(filename) {
+  const full = path.join(UPLOADS_DIR, filename);
+  if (!SAFE_FILENAME.test(filename) || !fs.existsSync(full)) return null;
+
+  const buffer = await fs.promises.readFile(full);
+  const info = await inspectMedia(buffer, filename, ['image', 'video', 'pdf']);
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  await pool.query(
+    `INSERT IGNORE INTO media (filename, sha256, mime_type, size_bytes, width, height, pages)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      filename, sha256, info.mime_type || 'application/octet-stream', buffer.length,
+      info.width || null, info.height || null, info.pages || null
+    ]
+  );
+  const [rows] = await pool.query('SELECT media_id FROM media WHERE filename = ?', [filename]);
+  return rows[0] ? rows[0].media_id : null;
+}
+
+/**
+ * Re-record which media a case uses (after any step that changes its images).
+ */
+async function syncCaseMedia(caseId) {
+  const refs = await caseMediaRefs(caseId);
+  const names = Array.from(new Set(refs.map(r => r.filename)));
+  const ids = {};
+  if (names.length) {
+    const [rows] = await pool.query('SELECT media_id, filename FROM media WHERE filename IN (?)', [names]);
+    rows.forEach(r => { ids[r.filename] = r.media_id; });
+  }
+  for (const name of names) {
+    if (!ids[name]) ids[name] = await adoptFile(name);
+  }
+
+  await pool.query('DELETE FROM media_usage WHERE case_id = ?', [caseId]);
+  const usage = refs.filter(r => ids[r.filename]).map(r => [ids[r.filename], caseId, r.field, r.test_key]);
+  if (usage.length) {
+    await pool.query('INSERT INTO media_usage (media_id, case_id, field, test_key) VALUES ?', [usage]);
+  }
+}
+
+/**
+ * Media of one case with their metadata and where the case uses them.
+ */
+async function caseMedia(caseId) {
+  const [rows] = await pool.query(
+    `SELECT m.media_id, m.filename, m.mime_type, m.size_bytes, m.width, m.height, m.pages,
+            m.original_name, m.uploaded_by, m.created_at, u.field, u.test_key
+     FROM media_usage u
+     JOIN media m ON m.media_id = u.media_id
+     WHERE u.case_id = ?
+     ORDER BY m.media_id ASC`,
+    [caseId]
+  );
+  const byId = new Map();
+  rows.forEach(({ field, test_key: testKey, ...media }) => {
+    if (!byId.has(media.media_id)) byId.set(media.media_id, { ...media, used_in: [] });
+    byId.get(media.media_id).used_in.push({ field, test_key: testKey });
+  });
+  return Array.from(byId.values());
+}
+
+// ---------- Cleanup ----------
+
+/**
+ * Forget a deleted case's usage and remove the images only it used.
+ *  filenames: the case's images, read (caseMediaRefs) before it was deleted
+ */
+async function releaseCaseMedia(caseId, filenames) {
+  await pool.query('DELETE FROM media_usage WHERE case_id = ?', [caseId]);
+  return cleanupOrphans({ only: filenames });
+}
+
+/**
+ * Remove images no case refers to: their file, thumbnail and media row.
+ *  only:   limit the check to these filenames (e.g. a deleted case's images);
+ *          otherwise every file in uploads/ older than an hour is checked
+ *  dryRun: report without removing anything
+ * Returns { removed: [filename], bytes }.
+ */
+async function cleanupOrphans({ only = null, dryRun = false } = {}) {
+  const referenced = await referencedFilenames();
+
+  let candidates;
+  if (only) {
+    candidates = only.filter(name => SAFE_FILENAME.test(name));
+  } else {
+    const now = Date.now();
+    const entries = await fs.promises.readdir(UPLOADS_DIR, { withFileTypes: true });
+    candidates = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+      const stat = await fs.promises.stat(path.join(UPLOADS_DIR, entry.name));
+      if (now - stat.mtimeMs > ORPHAN_GRACE_MS) candidates.push(entry.name);
+    }
+    const [rows] = await pool.query('SELECT filename FROM media');
+    rows.forEach(r => { if (!candidates.includes(r.filename)) candidates.push(r.filename); });
+  }
+
+  const removed = [];
+  let bytes = 0;
+  for (const name of Array.from(new Set(candidates))) {
+    if (referenced.has(name)) continue;
+    const full = path.join(UPLOADS_DIR, name);
+    if (fs.existsSync(full)) bytes += (await fs.promises.stat(full)).size;
+    removed.push(name);
+    if (dryRun) continue;
+
+    await fs.promises.unlink(full).catch(() => {});
+    await fs.promises.unlink(thumbPath(name)).catch(() => {});
+    await pool.query(
+      'DELETE u FROM media_usage u JOIN media m ON m.media_id = u.media_id WHERE m.filename = ?',
+      [name]
+    );
+    await pool.query('DELETE FROM media WHERE filename = ?', [name]);
+  }
+
+  // Thumbnails whose image is gone
+  if (!only && !dryRun && fs.existsSync(THUMBS_DIR)) {
+    for (const thumb of await fs.promises.readdir(THUMBS_DIR)) {
+      const source = thumb.replace(/\.webp$/, '');
+      if (!fs.existsSync(path.join(UPLOADS_DIR, source))) {
+        await fs.promises.unlink(path.join(THUMBS_DIR, thumb)).catch(() => {});
+      }
+    }
+  }
+
+  return { removed, bytes };
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  MAX_VIDEO_BYTES,
+  storeMedia,
+  discardMedia,
+  mediaUpload,
+  thumbnailFor,
+  caseMediaRefs,
+  syncCaseMedia,
+  caseMedia,
+  releaseCaseMedia,
+  cleanupOrphans
+};
@@ -0,0 +1,200 @@
+const { pool } = require('../db'); // mysql2/promise
+
+// ---------- Roles and permissions ----------
+// Every route declares what it needs (requirePermission / requireCaseAuthor)
+// instead of comparing roles inline; the table below says which roles hold
+// each permission. Students work cases; TAs see everything staff see and
+// score work but don't author cases, release grades or manage people;
+// professors author their own cases (and shared ones); admins can do it all.
+
+const ROLES = ['student', 'ta', 'professor', 'admin'];
+
+// Roles that sign in through the professor login and get the staff dashboard
+const STAFF_ROLES = ['ta', 'professor', 'admin'];
+
+const PERMISSIONS = {
+  // Open assigned cases and save work on them (notes, tests, plan, claims)
+  'cases:work': ['student'],
+  // Drafts, answer keys, versions and the media library
+  'cases:view-all': ['ta', 'professor', 'admin'],
+  // Create cases and change or delete the ones they may edit (canEditCase)
+  'cases:author': ['professor', 'admin'],
+  // Change or delete any case, whoever owns it
+  'cases:edit-any': ['admin'],
+  // Read any student's attempts, work, reports and progress
+  'work:view-any': ['ta', 'professor', 'admin'],
+  // Score work in the grading workspace
+  'grading:score': ['ta', 'professor', 'admin'],
+  // Release grades, override the automatic grade, reopen and extend attempts
+  'grading:release': ['professor', 'admin'],
+  'courses:view': ['ta', 'professor', 'admin'],
+  'courses:manage': ['professor', 'admin'],
+  // Student accounts: create, change, disable, reset passwords
+  'users:manage': ['professor', 'admin'],
+  // The same for staff accounts (TAs, professors, admins) and making someone staff
+  'users:manage-staff': ['admin'],
+  // CPT codes, test types and the interview vocabulary
+  'catalog:manage': ['professor', 'admin'],
+  'system:diagnostics': ['admin']
+};
+
+// Session users carry id, req.user carries user_id
+function userIdOf(user) {
+  return user ? (user.user_id !== undefined ? user.user_id : user.id) : undefined;
+}
+
+/** Whether a user ({ role }, or null when signed out) holds a permission. */
+function can(user, permission) {
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+  return !!user && PERMISSIONS[permission].includes(user.role);
+}
+
+/** Every permission a role holds (sent to the browser to show the right controls). */
+function permissionsOf(role) {
+  return Object.keys(PERMISSIONS).filter(p => PERMISSIONS[p].includes(role));
+}
+
+/**
+ * Whether a user may change or delete a case ({ owner_id, shared }).
+ * Pure: everything comes in as data. Authors may change their own cases,
+ * shared ones and cases nobody owns (made before owners were recorded).
+ */
+function canEditCase(user, caseRow) {
+  if (!can(user, 'cases:author')) return false;
+  if (can(user, 'cases:edit-any')) return true;
+  return caseRow.owner_id === null || caseRow.owner_id === undefined ||
+    !!caseRow.shared || caseRow.owner_id === userIdOf(user);
+}
+
+/** Whether a user may share or unshare a case: its owner (or anyone, when it has none). */
+function canShareCase(user, caseRow) {
+  if (!can(user, 'cases:author')) return false;
+  if (can(user, 'cases:edit-any')) return true;
+  return caseRow.owner_id === null || caseRow.owner_id === undefined ||
+    caseRow.owner_id === userIdOf(user);
+}
+
+// ---------- Middleware (uses cookie-session set in server.js) ----------
+
+// What works while the account still has a temporary password: changing it
+const PASSWORD_CHANGE_ROUTES = ['GET /account/password', 'GET /api/user', 'PUT /api/account/password'];
+
+// API calls get JSON; pages get sent to sign in (or to options.login) or a plain 403
+function deny(req, res, status, options = {}) {
+  if (req.originalUrl.startsWith('/api/')) {
+    return status === 401
+      ? res.status(401).json({ error: 'Not authenticated' })
+      : res.status(403).json({ error: 'FORBIDDEN', message: '❌ Unauthorized' });
+  }
+  if (options.login) return res.redirect(options.login);
+  return status === 401 ? res.redirect('/') : res.status(403).send('❌ Unauthorized');
+}
+
+/**
+ * The signed-in user as the database has them now, not as the cookie remembers
+ * them: a deleted or disabled account is signed out, and a new role or
+ * temporary password applies from the next request. Looked up once per request.
+ */
+function sessionUser(req) {
+  if (!req.sessionUserLookup) req.sessionUserLookup = lookupSessionUser(req);
+  return req.sessionUserLookup;
+}
+
+async function lookupSessionUser(req) {
+  const u = req.session && req.session.user;
+  if (!u || !u.id) return null;
+  const [rows] = await pool.execute(
+    'SELECT role, disabled_at, must_change_password FROM users WHERE id = ?',
+    [u.id]
+  );
+  if (!rows.length || rows[0].disabled_at) {
+    req.session = null;
+    return null;
+  }
+  req.session.user = {
+    ...u,
+    role: String(rows[0].role).toLowerCase(),
+    must_change_password: !!rows[0].must_change_password
+  };
+  return req.session.user;
+}
+
+// Signed in (sets req.user), or the request has been answered and null comes back
+async function authenticate(req, res, options) {
+  const u = await sessionUser(req);
+  if (!u) {
+    deny(req, res, 401, options);
+    return null;
+  }
+  const route = `${req.method} ${req.originalUrl.split('?')[0]}`;
+  if (u.must_change_password && !PASSWORD_CHANGE_ROUTES.includes(route)) {
+    if (req.originalUrl.startsWith('/api/')) {
+      res.status(403).json({ error: 'PASSWORD_CHANGE_REQUIRED', message: 'Change your temporary password first.' });
+    } else {
+      res.redirect('/account/password');
+    }
+    return null;
+  }
+  req.user = { user_id: u.id, username: u.username, role: u.role };
+  return req.user;
+}
+
+async function requireAuth(req, res, next) {
+  try {
+    if (await authenticate(req, res)) next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Signed in with any one of the permissions. The last argument may be
+ * options: { login } sends pages to that sign-in page instead of a 403.
+ */
+function requirePermission(...permissions) {
+  const options = typeof permissions[permissions.length - 1] === 'object' ? permissions.pop() : {};
+  permissions.forEach(p => can(null, p)); // unknown names fail at startup, not per request
+
+  return async (req, res, next) => {
+    try {
+      if (!(await authenticate(req, res, options))) return;
+      if (!permissions.some(p => can(req.user, p))) return deny(req, res, 403, options);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * cases:author, and allowed to edit the case caseIdOf(req) names (by default
+ * :id). Requests that name no case (creating one) and cases that don't exist
+ * pass through to the handler, which deals with them.
+ */
+function requireCaseAuthor(caseIdOf = req => req.params.id) {
+  const author = requirePermission('cases:author');
+  return (req, res, next) => author(req, res, async () => {
+    try {
+      const caseId = caseIdOf(req);
+      if (!caseId) return next();
+      const [rows] = await pool.execute('SELECT owner_id, shared FROM cases WHERE case_id = ?', [caseId]);
+      if (rows.length && !canEditCase(req.user, rows[0])) return deny(req, res, 403);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  PERMISSIONS,
+  can,
+  permissionsOf,
+  canEditCase,
+  canShareCase,
+  requireAuth,
+  requirePermission,
+  requireCaseAuthor
+};
@@ -0,0 +1,471 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const { pool } = require('../db'); // mysql2/promise
+const { loadCase } = require('./cases');
+const { RUBRIC, loadSubmission, parseJson } = require('./grading');
+const { studentClaims } = require('./billing');
+const { loadTranscript } = require('./interview');
+const { loadMarks } = require('./hotspots');
+const { archivedWork } = require('./attempts');
+
+// ---------- Case reports ----------
+// The canonical record of an attempt: patient header, history, exam, testing
+// and interpretations, assessment and coding, and the grade once released.
+// Rendered here with pdfkit's built-in fonts (no browser, no network) when an
+// attempt is completed or its grade released, and kept in reports/, which is
+// only reachable through the download routes.
+
+const REPORTS_DIR = path.join(__dirname, '..', 'reports');
+const LOGO_FILE = path.join(__dirname, '..', 'public', 'logo.png');
+
+const MARGIN = 54; // points (¾ inch)
+const BRAND = '#115680';
+const MUTED = '#576b79';
+const TEXT = '#1f2d38';
+
+function reportPath(attemptId) {
+  return path.join(REPORTS_DIR, `attempt-${Number(attemptId)}.pdf`);
+}
+
+function reportUrl(attemptId) {
+  return `/api/reports/attempts/${attemptId}.pdf`;
+}
+
+function fileSafe(text) {
+  return String(text || '').replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'case';
+}
+
+function reportFilename(attempt) {
+  return `OptoCase_${fileSafe(attempt.case_name)}_${fileSafe(attempt.username)}_attempt${attempt.attempt_number || 1}.pdf`;
+}
+
+/**
+ * Whether an attempt's stored report is still its current one: it was made
+ * after the attempt was (last) completed and after its grade was released.
+ */
+function reportIsCurrent(attempt) {
+  if (attempt.status !== 'COMPLETED' || !attempt.report_generated_at) return false;
+  const made = new Date(attempt.report_generated_at);
+  return [attempt.completed_at, attempt.released_at].every(t => !t || new Date(t) <= made);
+}
+
+// The standard PDF fonts only cover Latin-1 plus a few typographic marks
+function pdfText(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\r\n?/g, '\n')
+    .replace(/[^\n\t\x20-\x7E\xA0-\xFF–—‘’“”•…€™]/gu, '');
+}
+
+function formatDate(value, withTime = true) {
+  if (!value) return '—';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return withTime
+    ? date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
+    : date.toLocaleDateString('en-US', { dateStyle: 'long' });
+}
+
+function formatMoney(amount) {
+  return `$${Number(amount || 0).toFixed(2)}`;
+}
+
+// The logo scaled down once, so it doesn't add a megapixel image to every report
+let logoPromise = null;
+function reportLogo() {
+  if (!logoPromise) {
+    logoPromise = sharp(LOGO_FILE).resize({ height: 96 }).png().toBuffer().catch(() => null);
+  }
+  return logoPromise;
+}
+
+// ---------- Loading ----------
+
+/**
+ * Everything one student submitted on an attempt, grouped by workspace section.
+ */
+async function loadStudentWork(attempt) {
+  const { case_id: caseId, user_id: studentId, attempt_id: attemptId } = attempt;
+  // Attempts followed by a retake keep their notes and coding archived
+  const archived = archivedWork(attempt);
+  const [notes] = archived
+    ? [archived.notes.slice().sort((x, y) => new Date(x.submitted_at) - new Date(y.submitted_at))]
+    : await pool.execute(
+      `SELECT section, notes, submitted_at
+       FROM student_notes
+       WHERE case_id=? AND student_id=?
+       ORDER BY submitted_at ASC`,
+      [caseId, studentId]
+    );
+  const [interpretations] = await pool.execute(
+    `SELECT interpretation_id AS id, test_type, subtype, date, reason, cooperation,
+            findings_od, findings_os, interpretation
+     FROM interpretations
+     WHERE attempt_id=? AND student_id=?
+     ORDER BY date ASC, test_type ASC`,
+    [attemptId, studentId]
+  );
+  const [performedTests] = await pool.execute(
+    `SELECT kind, test, performed_at
+     FROM performed_tests
+     WHERE attempt_id=? AND student_id=?
+     ORDER BY performed_at ASC`,
+    [attemptId, studentId]
+  );
+  const submission = await loadSubmission(caseId, studentId, archived);
+  const claim = await studentClaims(caseId, studentId, archived);
+  const transcript = await loadTranscript(attemptId);
+  const hotspotMarks = await loadMarks(attemptId);
+
+  const latest = section => {
+    const rows = notes.filter(n => n.section === section);
+    return rows.length ? rows[rows.length - 1] : null;
+  };
+
+  return {
+    history: latest('history'),
+    transcript,
+    exam: latest('exam'),
+    examCards: notes.filter(n => n.section.startsWith('exam:')),
+    interpretations,
+    performedTests,
+    assessments: submission.assessments,
+    cpt_codes: submission.cpt_codes,
+    hotspot_marks: hotspotMarks,
+    claim
+  };
+}
+
+// An attempt with the names its report needs
+async function reportAttempt(attemptId) {
+  const [rows] = await pool.query(
+    `SELECT a.*, u.username, c.case_name, c.version
+     FROM case_attempts a
+     JOIN users u ON u.id = a.user_id
+     JOIN cases c ON c.case_id = a.case_id
+     WHERE a.attempt_id = ?`,
+    [attemptId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * What a report shows for an attempt (see reportAttempt). The grade and
+ * feedback are only included once released to the student.
+ */
+async function loadReport(attempt) {
+  return {
+    attempt,
+    caseData: (await loadCase(attempt.case_id)) || {},
+    work: await loadStudentWork(attempt),
+    grade: attempt.released_at
+      ? {
+          final_score: attempt.final_score,
+          scores: parseJson(attempt.rubric_json) || {},
+          comments: parseJson(attempt.feedback_json) || {},
+          released_at: attempt.released_at
+        }
+      : null
+  };
+}
+
+// ---------- Rendering ----------
+
+/**
+ * Lay out a report (see loadReport) as a letter-size PDF. Resolves to a Buffer.
+ * Pure: everything comes in as data (`logo` is PNG bytes, optional).
+ */
+function renderReport({ attempt, caseData, work, grade }, { logo = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: MARGIN,
+      bufferPages: true,
+      info: {
+        Title: pdfText(`${attempt.case_name} — ${attempt.username}`),
+        Author: 'OptoCase'
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - MARGIN * 2;
+    const body = () => doc.font('Helvetica').fontSize(10).fillColor(TEXT);
+    const heading = text => {
+      if (doc.y > doc.page.height - MARGIN - 90) doc.addPage();
+      doc.moveDown(0.9).font('Helvetica-Bold').fontSize(13).fillColor(BRAND).text(text, MARGIN);
+      doc.moveTo(MARGIN, doc.y + 1).lineTo(MARGIN + width, doc.y + 1).lineWidth(1).strokeColor('#d5e6f2').stroke();
+      doc.moveDown(0.4);
+      body();
+    };
+    const subheading = text => {
+      doc.moveDown(0.4).font('Helvetica-Bold').fontSize(10.5).fillColor(TEXT).text(pdfText(text), MARGIN);
+      body();
+    };
+    const field = (label, value) => {
+      doc.font('Helvetica-Bold').fillColor(TEXT).text(`${label}: `, MARGIN, doc.y, { continued: true });
+      doc.font('Helvetica').text(pdfText(value).trim() || '—');
+    };
+    const paragraph = (text, empty) => {
+      const clean = pdfText(text).trim();
+      doc.font(clean ? 'Helvetica' : 'Helvetica-Oblique').fillColor(clean ? TEXT : MUTED).text(clean || empty, MARGIN);
+      body();
+    };
+    const note = text => {
+      doc.font('Helvetica-Oblique').fontSize(9).fillColor(MUTED).text(pdfText(text), MARGIN);
+      body();
+    };
+
+    // ----- Header -----
+    const { patient, appointment } = caseData;
+    if (logo) doc.image(logo, MARGIN, MARGIN, { height: 40 });
+    const titleX = logo ? MARGIN + 52 : MARGIN;
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(BRAND).text('Case Report', titleX, MARGIN);
+    doc.font('Helvetica').fontSize(11).fillColor(MUTED)
+      .text(`${pdfText(attempt.case_name).trim()}${attempt.version ? ` (version ${attempt.version})` : ''}`, titleX);
+    doc.x = MARGIN;
+    doc.moveDown(0.8);
+    body();
+    if (attempt.status !== 'COMPLETED') {
+      doc.font('Helvetica-Bold').fillColor('#b42318')
+        .text('DRAFT — this attempt has not been submitted yet; the report is not final.', MARGIN);
+      doc.moveDown(0.4);
+      body();
+    }
+
+    heading('Patient');
+    field('Patient', appointment && appointment.patient_name);
+    field('Date of birth', patient && patient.dob ? formatDate(patient.dob, false) : '—');
+    field('Appointment', appointment && appointment.date
+      ? `${formatDate(appointment.date, false)}${appointment.time ? ` at ${String(appointment.time).slice(0, 5)}` : ''}`
+      : '—');
+
+    heading('Student');
+    field('Student', attempt.username);
+    field('Attempt', `#${attempt.attempt_number || 1}`);
+    field('Started', formatDate(attempt.started_at));
+    field('Submitted', attempt.status === 'COMPLETED' ? formatDate(attempt.completed_at) : 'Not yet');
+    if (attempt.time_limit_minutes) {
+      const timing = [`${attempt.time_limit_minutes} min limit`];
+      if (attempt.extension_minutes) timing.push(`${attempt.extension_minutes} min extension`);
+      if (attempt.auto_completed) timing.push('submitted automatically when time ran out');
+      if (attempt.overtime_seconds) timing.push(`${Math.ceil(attempt.overtime_seconds / 60)} min over`);
+      field('Timing', timing.join(', '));
+    }
+    if (attempt.reopened_at) {
+      field('Reopened', `${formatDate(attempt.reopened_at)}${attempt.reopen_reason ? ` (${attempt.reopen_reason})` : ''}`);
+    }
+
+    // ----- History -----
+    heading('History');
+    paragraph(work.history && work.history.notes, 'No history recorded.');
+    if (work.history) note(`Saved ${formatDate(work.history.submitted_at)}`);
+    if (work.transcript.length) {
+      subheading(`Patient interview (${work.transcript.length} question${work.transcript.length === 1 ? '' : 's'})`);
+      work.transcript.forEach(t => {
+        doc.font('Helvetica-Bold').text('Q: ', MARGIN, doc.y, { continued: true }).font('Helvetica').text(pdfText(t.question));
+        doc.font('Helvetica-Bold').text('A: ', MARGIN, doc.y, { continued: true }).font('Helvetica').fillColor(MUTED)
+          .text(pdfText(t.answer) || '—');
+        doc.moveDown(0.2);
+        body();
+      });
+    }
+
+    // ----- Exam -----
+    heading('Exam');
+    paragraph(work.exam && work.exam.notes, 'No exam notes recorded.');
+    work.examCards.forEach(card => {
+      subheading(card.section.replace(/^exam:/, '').toUpperCase());
+      paragraph(card.notes, 'No notes.');
+    });
+
+    // ----- Testing & interpretation -----
+    heading('Testing & Interpretation');
+    const performed = kind => work.performedTests.filter(t => t.kind === kind).map(t => String(t.test).toUpperCase());
+    field('Exam tests', performed('exam').join(', ') || 'None');
+    field('Ancillary tests', performed('ancillary').join(', ') || 'None');
+    if (!work.interpretations.length) paragraph('', 'No interpretations recorded.');
+    work.interpretations.forEach(i => {
+      // Dates typed by the student stay as typed
+      const date = i.date instanceof Date ? formatDate(i.date, false) : i.date || 'no date';
+      subheading(`${String(i.test_type || '').toUpperCase()}${i.subtype ? ` (${i.subtype})` : ''} — ${date}`);
+      field('Reason', i.reason);
+      field('Cooperation / reliability', i.cooperation);
+      field('OD', i.findings_od);
+      field('OS', i.findings_os);
+      if (i.interpretation) field('Interpretation', i.interpretation);
+    });
+
+    // ----- Assessment & plan -----
+    heading('Assessment & Plan');
+    if (!work.assessments.length) paragraph('', 'No assessment recorded.');
+    work.assessments.forEach((a, index) => {
+      subheading(`${index + 1}. ${a.icd10_code || '—'}`);
+      paragraph(a.plan, 'No plan.');
+    });
+    subheading('Coding');
+    field('CPT codes', work.cpt_codes.join(', ') || 'None');
+    work.claim.claims.forEach(claim => {
+      subheading(`${claim.payer === 'vision' ? 'Vision' : 'Medical'} claim — ${formatMoney(claim.total_charge)}`);
+      if (claim.diagnoses.length) field('Diagnoses', claim.diagnoses.map(d => `${d.pointer}. ${d.code}`).join('   '));
+      claim.lines.forEach(l => {
+        const code = [l.code, ...l.modifiers].join('-');
+        doc.text(pdfText(
+          `Line ${l.line}: ${code}${l.description ? ` ${l.description}` : ''} — pointer ${l.pointers.join(',') || '—'}, ` +
+          `${l.units} unit${l.units === 1 ? '' : 's'}, ${formatMoney(l.charge)}`
+        ), MARGIN + 12, doc.y, { width: width - 12 });
+      });
+    });
+    if (work.claim.denials.length) {
+      subheading('Claim problems');
+      work.claim.denials.forEach(d => doc.text(pdfText(`• ${d.message}`), MARGIN + 12, doc.y, { width: width - 12 }));
+    }
+
+    // ----- Grade -----
+    heading('Grade & Feedback');
+    if (!grade) {
+      paragraph('', 'Not released yet.');
+    } else {
+      field('Final grade', grade.final_score === null || grade.final_score === undefined
+        ? '—' : `${Number(grade.final_score).toFixed(1)}%`);
+      field('Released', formatDate(grade.released_at));
+      RUBRIC.forEach(item => {
+        const score = grade.scores[item.key];
+        subheading(`${item.label}: ${score === undefined ? '—' : score} / ${item.max}`);
+        if (grade.comments[item.key]) paragraph(grade.comments[item.key]);
+      });
+      if (grade.comments.overall) {
+        subheading('Overall');
+        paragraph(grade.comments.overall);
+      }
+    }
+
+    // ----- Footer on every page (below the bottom margin) -----
+    const range = doc.bufferedPageRange();
+    for (let i = 0; i < range.count; i++) {
+      doc.switchToPage(range.start + i);
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor(MUTED)
+        .text(pdfText(`OptoCase · ${attempt.username} · ${attempt.case_name}`), MARGIN, doc.page.height - 36, { width, lineBreak: false })
+        .text(`Page ${i + 1} of ${range.count}`, MARGIN, doc.page.height - 36, { width, align: 'right', lineBreak: false });
+      doc.page.margins.bottom = bottom;
+    }
+    doc.end();
+  });
+}
+
+// ---------- Storage ----------
+
+/**
+ * Render a completed attempt's report and keep it in reports/ (pdf_url then
+ * points at the download route). Returns { buffer, filename }, or null if the
+ * attempt doesn't exist or isn't completed.
+ */
+async function storeReport(attemptId) {
+  // Taken first: a grade released while this renders makes the file stale
+  const [[{ now }]] = await pool.query('SELECT NOW() AS now');
+  const attempt = await reportAttempt(attemptId);
+  if (!attempt || attempt.status !== 'COMPLETED') return null;
+
+  const buffer = await renderReport(await loadReport(attempt), { logo: await reportLogo() });
+  await fs.promises.mkdir(REPORTS_DIR, { recursive: true });
+  await fs.promises.writeFile(reportPath(attempt.attempt_id), buffer);
+  await pool.query(
+    'UPDATE case_attempts SET pdf_url = ?, report_generated_at = ? WHERE attempt_id = ?',
+    [reportUrl(attempt.attempt_id), now, attempt.attempt_id]
+  );
+  return { buffer, filename: reportFilename(attempt) };
+}
+
+/**
+ * An attempt's report as { buffer, filename }: the stored one while it is
+ * current, otherwise rendered again (and stored, once the attempt is completed;
+ * an attempt in progress gets a draft). Null if the attempt doesn't exist.
+ */
+async function attemptReport(attemptId) {
+  const attempt = await reportAttempt(attemptId);
+  if (!attempt) return null;
+  if (attempt.status !== 'COMPLETED') {
+    const buffer = await renderReport(await loadReport(attempt), { logo: await reportLogo() });
+    return { buffer, filename: reportFilename(attempt).replace(/\.pdf$/, '_draft.pdf') };
+  }
+  if (reportIsCurrent(attempt)) {
+    try {
+      return { buffer: await fs.promises.readFile(reportPath(attempt.attempt_id)), filename: reportFilename(attempt) };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err; // gone from disk: render it again
+    }
+  }
+  return storeReport(attempt.attempt_id);
+}
+
+/**
+ * Zip (Buffer) of the reports for every completed attempt on a case, as
+ * { buffer, filename, count }, or null if there are none.
+ */
+async function caseReportsZip(caseId) {
+  const [attempts] = await pool.query(
+    `SELECT a.attempt_id, c.case_name
+     FROM case_attempts a
+     JOIN users u ON u.id = a.user_id
+     JOIN cases c ON c.case_id = a.case_id
+     WHERE a.case_id = ? AND a.status = 'COMPLETED'
+     ORDER BY u.username ASC, a.attempt_number ASC`,
+    [caseId]
+  );
+  if (!attempts.length) return null;
+
+  const zip = new AdmZip();
+  for (const { attempt_id: attemptId } of attempts) {
+    const report = await attemptReport(attemptId);
+    if (report) zip.addFile(report.filename, report.buffer);
+  }
+  return {
+    buffer: zip.toBuffer(),
+    filename: `OptoCase_${fileSafe(attempts[0].case_name)}_reports.zip`,
+    count: attempts.length
+  };
+}
+
+/**
+ * Store reports for completed attempts that have none or an outdated one
+ * (attempts closed by the timer, grades released, older attempts), a few at a
+ * time. Resolves to how many were stored.
+ */
+async function storeMissingReports(limit = 10) {
+  const [rows] = await pool.query(
+    `SELECT attempt_id
+     FROM case_attempts
+     WHERE status = 'COMPLETED'
+       AND (report_generated_at IS NULL OR report_generated_at < completed_at OR report_generated_at < released_at)
+     ORDER BY completed_at ASC
+     LIMIT ?`,
+    [limit]
+  );
+  let stored = 0;
+  for (const { attempt_id: attemptId } of rows) {
+    try {
+      if (await storeReport(attemptId)) stored++;
+    } catch (err) {
+      console.error(`report for attempt ${attemptId} failed:`, err.message);
+    }
+  }
+  return stored;
+}
+
+module.exports = {
+  reportUrl,
+  reportIsCurrent,
+  loadStudentWork,
+  loadReport,
+  renderReport,
+  storeReport,
+  attemptReport,
+  caseReportsZip,
+  storeMissingReports
+};
@@ -0,0 +1,189 @@
+const { pool } = require('../db'); // mysql2/promise
+
+// ---------- Test-type registry ----------
+// Ancillary tests (OCT, VF, ...) are rows in test_types; a case's results for
+// them are rows in case_tests. The wizard, case API and simulator all read the
+// registry, so adding a test type needs no new columns or code.
+
+const STATUSES = ['performed', 'contraindicated', 'not_performed', 'other'];
+const INPUTS = ['select', 'text', 'date', 'textarea'];
+
+// Parts of a case_tests row every test has; per-test field and slot names can't reuse them
+const RESERVED_NAMES = ['status', 'notes', 'findings_od', 'findings_os'];
+
+const KEY_PATTERN = /^[a-z][a-z0-9]{0,39}$/;
+const NAME_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+// mysql2 hands back JSON columns parsed on MySQL but as strings on MariaDB
+function parseJson(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// Form field name for one part of a test, e.g. ('oct', 'findings_od') → test_oct_findings_od.
+// Test keys have no underscores, so names never collide across tests.
+function testInputName(testKey, part) {
+  return `test_${testKey}_${part}`;
+}
+
+function toTestType(row) {
+  return {
+    test_key: row.test_key,
+    label: row.label,
+    sort_order: row.sort_order,
+    fields: parseJson(row.fields) || [],
+    per_eye: !!row.per_eye,
+    image_slots: parseJson(row.image_slots) || [],
+    active: !!row.active
+  };
+}
+
+/**
+ * Registry in display order. Inactive types are left out unless asked for;
+ * cases keep their rows for them, they just aren't offered any more.
+ */
+async function loadTestTypes({ includeInactive = false } = {}) {
+  const [rows] = await pool.query(
+    `SELECT * FROM test_types
+     ${includeInactive ? '' : 'WHERE active = 1'}
+     ORDER BY sort_order ASC, label ASC`
+  );
+  return rows.map(toTestType);
+}
+
+/**
+ * Problems with a test-type definition, empty when it can be saved.
+ */
+function validateTestType(def) {
+  const errors = [];
+  if (!def || typeof def !== 'object') return ['Definition must be an object.'];
+
+  if (!KEY_PATTERN.test(def.test_key || '')) {
+    errors.push('test_key must be lowercase letters and digits, starting with a letter.');
+  }
+  if (typeof def.label !== 'string' || !def.label.trim()) errors.push('label is required.');
+  if (def.sort_order !== undefined && !Number.isInteger(Number(def.sort_order))) {
+    errors.push('sort_order must be a whole number.');
+  }
+
+  const names = new Set(RESERVED_NAMES);
+  const fields = def.fields || [];
+  const slots = def.image_slots || [];
+  if (!Array.isArray(fields) || !Array.isArray(slots)) {
+    if (!Array.isArray(fields)) errors.push('fields must be a list.');
+    if (!Array.isArray(slots)) errors.push('image_slots must be a list.');
+    return errors;
+  }
+
+  const claim = (name, where) => {
+    if (!NAME_PATTERN.test(name || '')) {
+      errors.push(`${where}: name must be lowercase letters, digits or underscores.`);
+    } else if (names.has(name)) {
+      errors.push(`${where}: name "${name}" is already used.`);
+    }
+    names.add(name);
+  };
+
+  fields.forEach((f, i) => {
+    const where = `fields[${i}]`;
+    if (!f || typeof f !== 'object') return errors.push(`${where} must be an object.`);
+    claim(f.name, where);
+    if (typeof f.label !== 'string' || !f.label.trim()) errors.push(`${where}: label is required.`);
+    if (!INPUTS.includes(f.input)) errors.push(`${where}: input must be one of ${INPUTS.join(', ')}.`);
+    if (f.input === 'select') {
+      // Dependent selects list their options per value of the parent field
+      const lists = f.depends_on ? Object.values(f.options || {}) : [f.options];
+      if (f.depends_on && !fields.some(p => p && p.name === f.depends_on && p.input === 'select')) {
+        errors.push(`${where}: depends_on must name another select field.`);
+      }
+      if (!lists.length || lists.some(list => !Array.isArray(list) || list.some(o => !o || o.value === undefined))) {
+        errors.push(`${where}: options must list { value, label } choices.`);
+      }
+    }
+  });
+
+  slots.forEach((s, i) => {
+    const where = `image_slots[${i}]`;
+    if (!s || typeof s !== 'object') return errors.push(`${where} must be an object.`);
+    claim(s.name, where);
+    if (typeof s.label !== 'string' || !s.label.trim()) errors.push(`${where}: label is required.`);
+  });
+
+  return errors;
+}
+
+/**
+ * Create or replace a test type. Returns the errors, empty on success.
+ */
+async function saveTestType(def) {
+  const errors = validateTestType(def);
+  if (errors.length) return errors;
+
+  await pool.query(
+    `INSERT INTO test_types (test_key, label, sort_order, fields, per_eye, image_slots, active)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE label = VALUES(label), sort_order = VALUES(sort_order),
+       fields = VALUES(fields), per_eye = VALUES(per_eye), image_slots = VALUES(image_slots),
+       active = VALUES(active)`,
+    [
+      def.test_key,
+      def.label.trim(),
+      Number(def.sort_order) || 0,
+      JSON.stringify(def.fields || []),
+      def.per_eye === false ? 0 : 1,
+      JSON.stringify(def.image_slots || []),
+      def.active === false ? 0 : 1
+    ]
+  );
+  return [];
+}
+
+// ---------- Case results ----------
+
+function toCaseTest(row) {
+  return {
+    test_key: row.test_key,
+    status: row.status,
+    notes: row.notes,
+    fields: parseJson(row.field_values) || {},
+    findings_od: row.findings_od,
+    findings_os: row.findings_os,
+    images: parseJson(row.images) || {}
+  };
+}
+
+/**
+ * A case's test results, keyed by test_key.
+ * Pass a connection to read inside an open transaction.
+ */
+async function loadCaseTests(caseId, conn = pool) {
+  const [rows] = await conn.query('SELECT * FROM case_tests WHERE case_id = ?', [caseId]);
+  const tests = {};
+  rows.forEach(row => { tests[row.test_key] = toCaseTest(row); });
+  return tests;
+}
+
+/**
+ * What performing a test shows the student: status, fields and images.
+ * Notes and per-eye findings are the professor's interpretation and stay
+ * hidden until the grade is released.
+ */
+function revealedCaseTest(caseTest) {
+  if (!caseTest) return null;
+  return {
+    test_key: caseTest.test_key,
+    status: caseTest.status,
+    fields: caseTest.fields,
+    images: caseTest.images
+  };
+}
+
+module.exports = {
+  STATUSES,
+  testInputName,
+  loadTestTypes,
+  validateTestType,
+  saveTestType,
+  loadCaseTests,
+  revealedCaseTest
+};
@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../db'); // mysql2/promise
+const { ROLES } = require('./permissions');
+
+// ---------- Accounts ----------
+// Professors create accounts one at a time or from a class roster (CSV), and
+// can disable them, change roles and reset passwords. New and reset accounts
+// get a generated temporary password, shown once, that the user replaces when
+// they next sign in (must_change_password). Roles are listed in lib/permissions.
+
+// Usernames are what people type at sign-in ("Brandon Dennis", "bdennis", "b.dennis@school.edu")
+const USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 ._@'-]{1,79}$/;
+const EMAIL_PATTERN = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+
+// No 0/O, 1/l/I: temporary passwords get read off a printout
+const TEMP_PASSWORD_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const TEMP_PASSWORD_LENGTH = 10;
+
+// Each account's password is hashed with bcrypt, so very large files take a while
+const MAX_ROSTER_ROWS = 500;
+
+// Roster header → account field (case and spacing don't matter)
+const ROSTER_COLUMNS = {
+  username: 'username',
+  user: 'username',
+  login: 'username',
+  name: 'full_name',
+  full_name: 'full_name',
+  fullname: 'full_name',
+  first_name: 'first_name',
+  firstname: 'first_name',
+  last_name: 'last_name',
+  lastname: 'last_name',
+  email: 'email',
+  email_address: 'email',
+  role: 'role'
+};
+
+function toUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    full_name: row.full_name || null,
+    email: row.email || null,
+    disabled: !!row.disabled_at,
+    disabled_at: row.disabled_at || null,
+    must_change_password: !!row.must_change_password
+  };
+}
+
+function generateTempPassword() {
+  let out = '';
+  for (let i = 0; i < TEMP_PASSWORD_LENGTH; i++) {
+    out += TEMP_PASSWORD_ALPHABET[crypto.randomInt(TEMP_PASSWORD_ALPHABET.length)];
+  }
+  return out;
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+function isBcryptHash(str) {
+  return typeof str === 'string' && str.startsWith('$2');
+}
+
+// Older accounts may still hold a plain-text password
+function passwordMatches(raw, stored) {
+  return isBcryptHash(stored) ? bcrypt.compare(raw, stored) : Promise.resolve(raw === stored);
+}
+
+// ---------- Validation ----------
+
+function clean(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Problems with an account's fields ({ username, role, full_name, email }),
+ * empty when it can be saved. Pass partial: true to check only the fields given,
+ * roles to allow fewer roles than all of them.
+ */
+function validateUser(def, { partial = false, roles = ROLES } = {}) {
+  if (!def || typeof def !== 'object') return ['Account must be an object.'];
+  const errors = [];
+  const given = key => !partial || def[key] !== undefined;
+
+  if (given('username') && !USERNAME_PATTERN.test(clean(def.username))) {
+    errors.push('username must be 2–80 letters, digits, spaces or . _ @ \' - and start with a letter or digit.');
+  }
+  if (given('role') && !roles.includes(def.role)) errors.push(`role must be one of ${roles.join(', ')}.`);
+  if (def.full_name !== undefined && clean(def.full_name).length > 120) {
+    errors.push('full_name must be 120 characters or fewer.');
+  }
+  if (def.email !== undefined && clean(def.email) && !EMAIL_PATTERN.test(clean(def.email))) {
+    errors.push(`"${clean(def.email)}" is not an email address.`);
+  }
+  return errors;
+}
+
+function passwordErrors(password) {
+  if (typeof password !== 'string' || password.trim().length < MIN_PASSWORD_LENGTH) {
+    return [`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters.`];
+  }
+  return [];
+}
+
+// ---------- Reading ----------
+
+/**
+ * Accounts for the management list, optionally filtered by role and a search
+ * on username, name or email.
+ */
+async function listUsers({ role = null, q = '' } = {}) {
+  const where = [];
+  const params = [];
+  if (role) {
+    where.push('role = ?');
+    params.push(role);
+  }
+  if (clean(q)) {
+    where.push('(username LIKE ? OR full_name LIKE ? OR email LIKE ?)');
+    const like = `%${clean(q)}%`;
+    params.push(like, like, like);
+  }
+  const [rows] = await pool.query(
+    `SELECT id, username, role, full_name, email, disabled_at, must_change_password
+     FROM users
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY role ASC, username ASC`,
+    params
+  );
+  return rows.map(toUser);
+}
+
+async function getUser(userId, conn = pool) {
+  const [rows] = await conn.query(
+    'SELECT id, username, role, full_name, email, disabled_at, must_change_password FROM users WHERE id = ?',
+    [userId]
+  );
+  return rows[0] ? toUser(rows[0]) : null;
+}
+
+// Same rule as sign-in: usernames compare trimmed
+async function usernameTaken(username, conn = pool, exceptId = null) {
+  const [rows] = await conn.query(
+    'SELECT id FROM users WHERE TRIM(username) = TRIM(?) AND id <> ?',
+    [username, exceptId || 0]
+  );
+  return rows.length > 0;
+}
+
+// ---------- Writing ----------
+
+async function insertUser(conn, def, tempPassword) {
+  const [ins] = await conn.query(
+    `INSERT INTO users (username, password, role, full_name, email, must_change_password)
+     VALUES (?, ?, ?, ?, ?, 1)`,
+    [
+      clean(def.username), await hashPassword(tempPassword), def.role,
+      clean(def.full_name) || null, clean(def.email) || null
+    ]
+  );
+  return ins.insertId;
+}
+
+/**
+ * Create one account with a temporary password.
+ *  def: { username, role, full_name, email }
+ * Returns { ok: true, user, temp_password } or { ok: false, errors, taken }.
+ */
+async function createUser(def) {
+  const errors = validateUser(def);
+  if (errors.length) return { ok: false, errors };
+  if (await usernameTaken(clean(def.username))) {
+    return { ok: false, taken: true, errors: [`Username "${clean(def.username)}" is already taken.`] };
+  }
+
+  const tempPassword = generateTempPassword();
+  const id = await insertUser(pool, def, tempPassword);
+  return { ok: true, user: await getUser(id), temp_password: tempPassword };
+}
+
+/**
+ * Change an account's username, role, name, email or disabled state (only the
+ * fields given).
+ * Returns the errors, empty on success.
+ */
+async function updateUser(userId, changes) {
+  const errors = validateUser(changes, { partial: true });
+  if (errors.length) return errors;
+
+  const sets = [];
+  const params = [];
+  if (changes.username !== undefined) {
+    if (await usernameTaken(clean(changes.username), pool, userId)) {
+      return [`Username "${clean(changes.username)}" is already taken.`];
+    }
+    sets.push('username = ?');
+    params.push(clean(changes.username));
+  }
+  if (changes.role !== undefined) {
+    sets.push('role = ?');
+    params.push(changes.role);
+  }
+  ['full_name', 'email'].forEach(field => {
+    if (changes[field] === undefined) return;
+    sets.push(`${field} = ?`);
+    params.push(clean(changes[field]) || null);
+  });
+  if (changes.disabled !== undefined) {
+    sets.push(changes.disabled ? 'disabled_at = COALESCE(disabled_at, NOW())' : 'disabled_at = NULL');
+  }
+  if (!sets.length) return [];
+
+  await pool.query(`UPDATE users SET ${sets.join(', ')} WHERE id = ?`, [...params, userId]);
+  return [];
+}
+
+/**
+ * Give an account a new temporary password. Returns it, or null if there is no such account.
+ */
+async function resetPassword(userId) {
+  const tempPassword = generateTempPassword();
+  const [result] = await pool.query(
+    'UPDATE users SET password = ?, must_change_password = 1 WHERE id = ?',
+    [await hashPassword(tempPassword), userId]
+  );
+  return result.affectedRows ? tempPassword : null;
+}
+
+/**
+ * A signed-in user replacing their own password (temporary or not).
+ * Returns the errors, empty on success.
+ */
+async function changeOwnPassword(userId, currentPassword, newPassword) {
+  const [rows] = await pool.query('SELECT password FROM users WHERE id = ?', [userId]);
+  if (!rows.length) return ['Account not found.'];
+  if (!(await passwordMatches(String(currentPassword || ''), rows[0].password))) {
+    return ['Current password is incorrect.'];
+  }
+  const errors = passwordErrors(newPassword);
+  if (errors.length) return errors;
+  if (newPassword === currentPassword) return ['Choose a password different from the current one.'];
+
+  await pool.query(
+    'UPDATE users SET password = ?, must_change_password = 0 WHERE id = ?',
+    [await hashPassword(newPassword.trim()), userId]
+  );
+  return [];
+}
+
+// ---------- Roster import ----------
+
+/**
+ * Rows of a CSV document (RFC 4180: quoted fields, "" escapes, CRLF or LF).
+ * Pure: everything comes in as data.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Accounts described by a roster CSV. The header row names the columns:
+ * username (or login), name / full_name (or first_name + last_name), email
+ * and role; only a username or an email is required (the email is then the
+ * username). Rows without a role get `defaultRole`; roles limits which roles
+ * rows may have.
+ * Pure: everything comes in as data.
+ * Returns { errors, accounts: [{ line, username, full_name, email, role }] }.
+ */
+function parseRoster(text, { defaultRole = 'student', roles = ROLES } = {}) {
+  const rows = parseCsv(text);
+  if (!rows.length) return { errors: ['The roster is empty.'], accounts: [] };
+  if (rows.length - 1 > MAX_ROSTER_ROWS) {
+    return { errors: [`Rosters are limited to ${MAX_ROSTER_ROWS} students per import.`], accounts: [] };
+  }
+
+  const columns = rows[0].map(h => ROSTER_COLUMNS[h.trim().toLowerCase().replace(/[\s-]+/g, '_')] || null);
+  if (!columns.includes('username') && !columns.includes('email')) {
+    return { errors: ['The header row needs a username or email column.'], accounts: [] };
+  }
+
+  const errors = [];
+  const seen = new Map();
+  const accounts = rows.slice(1).map((cells, i) => {
+    const line = i + 2;
+    const value = {};
+    columns.forEach((col, c) => { if (col) value[col] = clean(cells[c]); });
+
+    const account = {
+      line,
+      username: value.username || value.email || '',
+      full_name: value.full_name || [value.first_name, value.last_name].filter(Boolean).join(' ') || null,
+      email: value.email || null,
+      role: (value.role || defaultRole).toLowerCase()
+    };
+    validateUser(account, { roles }).forEach(e => errors.push(`Line ${line}: ${e}`));
+
+    const key = account.username.toLowerCase();
+    if (seen.has(key)) errors.push(`Line ${line}: "${account.username}" is also on line ${seen.get(key)}.`);
+    else seen.set(key, line);
+    return account;
+  });
+
+  return { errors, accounts };
+}
+
+/**
+ * Create the roster's accounts with temporary passwords. Nothing is created if
+ * any row is invalid; usernames that already exist are skipped (re-importing a
+ * roster only adds the new students).
+ * Returns { ok: true, created: [{ username, full_name, email, role, temp_password }],
+ * skipped: [{ line, username }] } or { ok: false, errors }.
+ */
+async function importRoster(text, { defaultRole = 'student', roles = ROLES } = {}) {
+  const { errors, accounts } = parseRoster(text, { defaultRole, roles });
+  if (errors.length) return { ok: false, errors };
+
+  const created = [];
+  const skipped = [];
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    for (const account of accounts) {
+      if (await usernameTaken(account.username, conn)) {
+        skipped.push({ line: account.line, username: account.username });
+        continue;
+      }
+      const tempPassword = generateTempPassword();
+      await insertUser(conn, account, tempPassword);
+      created.push({
+        username: account.username,
+        full_name: account.full_name,
+        email: account.email,
+        role: account.role,
+        temp_password: tempPassword
+      });
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return { ok: true, created, skipped };
+}
+
+module.exports = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  isBcryptHash,
+  passwordMatches,
+  generateTempPassword,
+  hashPassword,
+  validateUser,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  resetPassword,
+  changeOwnPassword,
+  parseCsv,
+  parseRoster,
+  importRoster
+};
@@ -0,0 +1,155 @@
+const { pool } = require('../db'); // mysql2/promise
+const { syncCaseMedia } = require('./media');
+
+// ---------- Deep copy ----------
+
+// JSON columns come back parsed; write them back as JSON text
+function columnValue(value) {
+  if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+async function copyRows(conn, table, where, params, newCaseId) {
+  const [columns] = await conn.query(`SHOW COLUMNS FROM ${table}`);
+  const cols = columns.filter(c => !/auto_increment/i.test(c.Extra)).map(c => c.Field);
+
+  const [rows] = await conn.query(`SELECT * FROM ${table} WHERE ${where}`, params);
+  for (const row of rows) {
+    row.case_id = newCaseId;
+    await conn.query(
+      `INSERT INTO ${table} (${cols.map(c => `\`${c}\``).join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`,
+      cols.map(c => columnValue(row[c]))
+    );
+  }
+}
+
+/**
+ * Copy a case (Steps 1–6) into a new draft `cases` row. Images are shared with
+ * the source through the media library, not copied.
+ *  fields: column overrides for the new row (case_name, family_id, version, created_by,
+ *          owner_id, shared)
+ * Student work (attempts, notes, performed tests) is never copied.
+ * Returns the new case_id.
+ */
+async function copyCase(caseId, fields = {}) {
+  let newCaseId;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [caseRows] = await conn.query('SELECT * FROM cases WHERE case_id = ?', [caseId]);
+    if (!caseRows.length) throw new Error(`Case ${caseId} not found`);
+    const source = caseRows[0];
+
+    const [ins] = await conn.query(
+      `INSERT INTO cases (case_name, instructions, attempt_mode, max_attempts, score_policy, time_limit_minutes,
+                          status, family_id, version, created_by, owner_id, shared)
+       VALUES (?, ?, ?, ?, ?, ?, 'draft', ?, ?, ?, ?, ?)`,
+      [
+        fields.case_name ?? source.case_name,
+        source.instructions,
+        source.attempt_mode,
+        source.max_attempts,
+        source.score_policy,
+        source.time_limit_minutes,
+        fields.family_id ?? null,
+        fields.version ?? 1,
+        fields.created_by ?? source.created_by,
+        fields.owner_id ?? source.owner_id,
+        fields.shared ?? source.shared
+      ]
+    );
+    newCaseId = ins.insertId;
+    if (!fields.family_id) {
+      await conn.query('UPDATE cases SET family_id = ? WHERE case_id = ?', [newCaseId, newCaseId]);
+    }
+
+    await copyRows(conn, 'patients', 'case_id = ?', [caseId], newCaseId);
+    await copyRows(conn, 'appointments', 'case_id = ?', [caseId], newCaseId);
+    await copyRows(conn, 'histories', 'case_id = ?', [caseId], newCaseId);
+    await copyRows(conn, 'case_interview_responses', 'case_id = ?', [caseId], newCaseId);
+    await copyRows(conn, 'exam_sections', 'case_id = ?', [caseId], newCaseId);
+    await copyRows(conn, 'case_tests', 'case_id = ?', [caseId], newCaseId);
+    await copyRows(conn, 'image_hotspots', 'case_id = ?', [caseId], newCaseId);
+    // Answer key only; student submissions share assessment_plan
+    await copyRows(conn, 'assessment_plan', 'case_id = ? AND student_id IS NULL', [caseId], newCaseId);
+    await copyRows(conn, 'codes', 'case_id = ?', [caseId], newCaseId);
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  await syncCaseMedia(newCaseId);
+  return newCaseId;
+}
+
+/**
+ * "Duplicate case": an independent, unshared draft in a new family owned by
+ * `username` (users.id in `userId`).
+ */
+async function duplicateCase(caseId, username, userId = null) {
+  const [rows] = await pool.query('SELECT case_name FROM cases WHERE case_id = ?', [caseId]);
+  if (!rows.length) return null;
+  return copyCase(caseId, {
+    case_name: `${rows[0].case_name} (Copy)`, created_by: username, owner_id: userId, shared: 0
+  });
+}
+
+/**
+ * Case the wizard should write to when a professor edits `caseId`.
+ * Only a draft nobody has attempted is edited in place. A published case, or
+ * one with attempts, is edited as the next version (a draft copy, reused until
+ * Step 6 publishes it): students keep seeing the published version until then,
+ * and attempts keep pointing at the version the student actually saw.
+ */
+async function editableCaseId(caseId) {
+  const [rows] = await pool.query(
+    'SELECT case_id, family_id, version, status FROM cases WHERE case_id = ?',
+    [caseId]
+  );
+  if (!rows.length) return caseId;
+  const current = rows[0];
+
+  const [attempts] = await pool.query('SELECT COUNT(*) AS n FROM case_attempts WHERE case_id = ?', [caseId]);
+  if (current.status !== 'published' && !attempts[0].n) return current.case_id;
+
+  const [versions] = await pool.query(
+    'SELECT case_id, version, status FROM cases WHERE family_id = ? ORDER BY version DESC',
+    [current.family_id]
+  );
+  const pending = versions.find(v => v.status === 'draft' && v.version > current.version);
+  if (pending) return pending.case_id;
+
+  return copyCase(caseId, { family_id: current.family_id, version: versions[0].version + 1 });
+}
+
+/**
+ * All versions of the case's family, newest first, with how many attempts each has.
+ */
+async function caseVersions(caseId) {
+  const [rows] = await pool.query(
+    `SELECT c.case_id, c.case_name, c.version, c.status, c.published_at, c.superseded_by,
+            c.created_by, c.owner_id, c.shared, c.created_at, COUNT(a.attempt_id) AS attempts
+     FROM cases c
+     JOIN cases f ON f.family_id = c.family_id
+     LEFT JOIN case_attempts a ON a.case_id = c.case_id
+     WHERE f.case_id = ?
+     GROUP BY c.case_id
+     ORDER BY c.version DESC`,
+    [caseId]
+  );
+  return rows;
+}
+
+module.exports = {
+  copyCase,
+  duplicateCase,
+  editableCaseId,
+  caseVersions
+};
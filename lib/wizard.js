@@ -0,0 +1,238 @@
+const { pool } = require('../db'); // mysql2/promise
+const { loadCase } = require('./cases');
+const { extractIcd10 } = require('./grading');
+const { STATUSES, testInputName, loadCaseTests } = require('./tests');
+const { icd10Problems } = require('./icd10');
+const { cptProblems, parseCptText } = require('./cpt');
+
+// Step 4 exam_sections upload fields; each column holds a comma-joined list of filenames.
+// Ancillary test images are per registry slot (see testUploadFields).
+const EXAM_IMAGE_FIELDS = [
+  'anterior_image',
+  'posterior_image'
+];
+
+/**
+ * Update the case's row in `table`, or insert it if the case has none yet.
+ * `values` maps column → value; column names come from server code, never the request.
+ */
+async function upsertByCase(table, caseId, values) {
+  const cols = Object.keys(values);
+  const params = cols.map(c => values[c]);
+
+  const [rows] = await pool.query(`SELECT COUNT(*) AS n FROM ${table} WHERE case_id = ?`, [caseId]);
+  if (rows[0].n > 0) {
+    if (!cols.length) return;
+    await pool.query(
+      `UPDATE ${table} SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE case_id = ?`,
+      [...params, caseId]
+    );
+  } else {
+    await pool.query(
+      `INSERT INTO ${table} (case_id${cols.map(c => `, ${c}`).join('')}) VALUES (?${', ?'.repeat(cols.length)})`,
+      [caseId, ...params]
+    );
+  }
+}
+
+function splitList(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * New comma-joined image list for one upload field.
+ *  - keep: ordered list of existing filenames the professor kept (form field `keep_<field>`);
+ *          undefined when the form didn't send one, which keeps everything
+ *  - uploaded: multer files to append after the kept ones
+ * Filenames not already on the case are ignored so a form can't point at other uploads.
+ */
+function mergeImageList(existing, keep, uploaded = []) {
+  const current = splitList(existing);
+  const kept = keep === undefined
+    ? current
+    : splitList(Array.isArray(keep) ? keep.join(',') : keep).filter(name => current.includes(name));
+  const all = kept.concat(uploaded.map(f => f.filename));
+  return all.length ? all.join(',') : null;
+}
+
+// ---------- Ancillary tests ----------
+
+/**
+ * Upload field names for every image slot of the given test types.
+ */
+function testUploadFields(testTypes) {
+  const names = [];
+  testTypes.forEach(t => t.image_slots.forEach(slot => names.push(testInputName(t.test_key, slot.name))));
+  return names;
+}
+
+/**
+ * Save the ancillary tests posted by Step 4 (status, notes, images) or Step 5
+ * (fields, findings). Only the parts present in the form are written, so each
+ * step leaves the other's answers alone; a test with nothing posted is skipped.
+ */
+async function saveCaseTests(caseId, testTypes, body, files = {}) {
+  const existing = await loadCaseTests(caseId);
+  const posted = part => body[part] !== undefined;
+  const text = value => (value !== undefined && String(value).trim() !== '' ? value : null);
+
+  for (const type of testTypes) {
+    const name = part => testInputName(type.test_key, part);
+    const current = existing[type.test_key] || { fields: {}, images: {} };
+    const row = {
+      status: current.status ?? null,
+      notes: current.notes ?? null,
+      fields: { ...current.fields },
+      findings_od: current.findings_od ?? null,
+      findings_os: current.findings_os ?? null,
+      images: { ...current.images }
+    };
+    let changed = false;
+
+    if (posted(name('status'))) {
+      const status = text(body[name('status')]);
+      row.status = STATUSES.includes(status) ? status : null;
+      changed = true;
+    }
+    ['notes', 'findings_od', 'findings_os'].forEach(part => {
+      if (posted(name(part))) {
+        row[part] = text(body[name(part)]);
+        changed = true;
+      }
+    });
+    type.fields.forEach(field => {
+      if (posted(name(field.name))) {
+        row.fields[field.name] = text(body[name(field.name)]);
+        changed = true;
+      }
+    });
+    type.image_slots.forEach(slot => {
+      const field = name(slot.name);
+      if (body[`keep_${field}`] === undefined && !files[field]) return;
+      row.images[slot.name] = mergeImageList(current.images[slot.name], body[`keep_${field}`], files[field]);
+      changed = true;
+    });
+
+    if (!changed) continue;
+    await pool.query(
+      `INSERT INTO case_tests (case_id, test_key, status, notes, field_values, findings_od, findings_os, images)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE status = VALUES(status), notes = VALUES(notes),
+         field_values = VALUES(field_values), findings_od = VALUES(findings_od),
+         findings_os = VALUES(findings_os), images = VALUES(images)`,
+      [
+        caseId, type.test_key, row.status, row.notes, JSON.stringify(row.fields),
+        row.findings_od, row.findings_os, JSON.stringify(row.images)
+      ]
+    );
+  }
+}
+
+// ---------- Publishing ----------
+
+/**
+ * Everything a case needs before students can see it.
+ * Returns [{ step, message }], empty when the case is complete.
+ */
+function validateCase(caseData) {
+  const problems = [];
+  const add = (step, message) => problems.push({ step, message });
+
+  if (!caseData.case_name || !caseData.case_name.trim()) add(1, 'Case name is required.');
+  if (!caseData.instructions || !caseData.instructions.trim()) add(1, 'Assignment instructions are required.');
+
+  if (!caseData.patient || !caseData.patient.name) add(2, 'Patient name is required.');
+  if (!caseData.appointment) add(2, 'Appointment details are required.');
+
+  if (!caseData.history || !caseData.history.chief_complaint) add(3, 'Chief complaint is required.');
+
+  if (!caseData.exam) add(4, 'Exam findings are required.');
+
+  if (!caseData.assessments.length) add(6, 'At least one ICD-10 diagnosis is required.');
+  caseData.assessments.forEach(a => {
+    if (!extractIcd10(a.icd10_code)) add(6, `"${a.icd10_code}" is not a valid ICD-10 code.`);
+  });
+
+  if (!caseData.cpt_codes.length) add(6, 'At least one CPT code is required.');
+
+  return problems;
+}
+
+/**
+ * Publish a case in one transaction.
+ *  - answerKey ({ assessments: [{ icd10_code, plan }], cpt_codes }) replaces the
+ *    Step 6 rows first when given
+ *  - the whole case is then validated (ICD-10 and CPT codes against their catalogs too);
+ *    any problem rolls everything back
+ *  - older versions in the case's family are marked superseded
+ * Returns { ok, problems }.
+ */
+async function publishCase(caseId, answerKey = null) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    if (answerKey) {
+      // Student submissions share assessment_plan; only the answer key is replaced
+      await conn.query('DELETE FROM assessment_plan WHERE case_id = ? AND student_id IS NULL', [caseId]);
+      await conn.query('DELETE FROM codes WHERE case_id = ?', [caseId]);
+
+      for (const a of answerKey.assessments) {
+        await conn.query(
+          'INSERT INTO assessment_plan (case_id, icd10_code, plan) VALUES (?, ?, ?)',
+          [caseId, a.icd10_code, a.plan || null]
+        );
+      }
+      for (const code of answerKey.cpt_codes) {
+        await conn.query('INSERT INTO codes (case_id, cpt_code) VALUES (?, ?)', [caseId, code]);
+      }
+    }
+
+    const caseData = await loadCase(caseId, conn);
+    const problems = caseData ? validateCase(caseData) : [{ step: 1, message: 'Case not found.' }];
+    if (caseData) {
+      // Catalog checks (existence, specificity, laterality) for codes that parsed
+      (await icd10Problems(caseData.assessments))
+        .filter(p => p.code)
+        .forEach(p => problems.push({ step: 6, message: p.message }));
+      // CPT codes typed as CODE[-MOD...] must be in the CPT/HCPCS catalog
+      (await cptProblems(caseData.cpt_codes.map(parseCptText)))
+        .forEach(p => problems.push({ step: 6, message: p.message }));
+    }
+    if (problems.length) {
+      await conn.rollback();
+      return { ok: false, problems };
+    }
+
+    await conn.query(
+      `UPDATE cases SET status = 'published', published_at = COALESCE(published_at, NOW())
+       WHERE case_id = ?`,
+      [caseId]
+    );
+    // Older versions stop being offered to students; their attempts stay linked to them
+    await conn.query(
+      `UPDATE cases c
+       JOIN cases n ON n.case_id = ?
+       SET c.superseded_by = n.case_id
+       WHERE c.family_id = n.family_id AND c.version < n.version AND c.superseded_by IS NULL`,
+      [caseId]
+    );
+    await conn.commit();
+    return { ok: true, problems: [] };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+module.exports = {
+  EXAM_IMAGE_FIELDS,
+  upsertByCase,
+  mergeImageList,
+  testUploadFields,
+  saveCaseTests,
+  validateCase,
+  publishCase
+};
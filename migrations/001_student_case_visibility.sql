@@ -0,0 +1,9 @@
+-- Performed tests are recorded per student so the case payload only
+-- reveals exam findings that student has unlocked.
+ALTER TABLE performed_tests
+  ADD COLUMN student_id INT NULL AFTER case_id,
+  ADD INDEX idx_performed_tests_case_student (case_id, student_id);
+
+-- Set once an attempt has been graded; the answer key stays hidden until then.
+ALTER TABLE case_attempts
+  ADD COLUMN graded_at DATETIME NULL AFTER completed_at;
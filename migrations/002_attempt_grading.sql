@@ -0,0 +1,11 @@
+-- CPT rows carry their owner directly; a code that applies to no
+-- assessment used to have no link back to the case or the student.
+ALTER TABLE assessment_plan_cpt
+  ADD COLUMN case_id INT NULL,
+  ADD COLUMN student_id INT NULL,
+  ADD INDEX idx_assessment_plan_cpt_case_student (case_id, student_id);
+
+-- Automatic Assessment & Plan grade, filled in when the attempt is completed.
+ALTER TABLE case_attempts
+  ADD COLUMN score DECIMAL(5,2) NULL AFTER graded_at,
+  ADD COLUMN grade_json JSON NULL AFTER score;
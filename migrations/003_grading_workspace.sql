@@ -0,0 +1,13 @@
+-- Interpretations are graded per student.
+ALTER TABLE interpretations
+  ADD COLUMN student_id INT NULL AFTER case_id,
+  ADD INDEX idx_interpretations_case_student (case_id, student_id);
+
+-- Professor review: rubric points and inline comments per section,
+-- plus the release that makes them visible to the student.
+ALTER TABLE case_attempts
+  ADD COLUMN rubric_json JSON NULL AFTER grade_json,
+  ADD COLUMN feedback_json JSON NULL AFTER rubric_json,
+  ADD COLUMN final_score DECIMAL(5,2) NULL AFTER feedback_json,
+  ADD COLUMN graded_by INT NULL AFTER final_score,
+  ADD COLUMN released_at DATETIME NULL AFTER graded_by;
@@ -0,0 +1,41 @@
+-- Performed tests and interpretations belong to one student attempt.
+ALTER TABLE performed_tests
+  ADD COLUMN attempt_id INT NULL AFTER student_id,
+  ADD INDEX idx_performed_tests_attempt (attempt_id);
+
+ALTER TABLE interpretations
+  ADD COLUMN attempt_id INT NULL AFTER student_id,
+  ADD INDEX idx_interpretations_attempt (attempt_id);
+
+-- Rows saved before student_id existed: hand them to the case's only
+-- attempt when there is exactly one; otherwise the owner can't be known.
+UPDATE performed_tests t
+JOIN (
+  SELECT case_id, MIN(attempt_id) AS attempt_id, MIN(user_id) AS user_id
+  FROM case_attempts
+  GROUP BY case_id
+  HAVING COUNT(*) = 1
+) a ON a.case_id = t.case_id
+SET t.student_id = a.user_id
+WHERE t.student_id IS NULL;
+
+UPDATE interpretations i
+JOIN (
+  SELECT case_id, MIN(attempt_id) AS attempt_id, MIN(user_id) AS user_id
+  FROM case_attempts
+  GROUP BY case_id
+  HAVING COUNT(*) = 1
+) a ON a.case_id = i.case_id
+SET i.student_id = a.user_id
+WHERE i.student_id IS NULL;
+
+-- Link every owned row to that student's attempt on the case.
+UPDATE performed_tests t
+JOIN case_attempts a ON a.case_id = t.case_id AND a.user_id = t.student_id
+SET t.attempt_id = a.attempt_id
+WHERE t.attempt_id IS NULL;
+
+UPDATE interpretations i
+JOIN case_attempts a ON a.case_id = i.case_id AND a.user_id = i.student_id
+SET i.attempt_id = a.attempt_id
+WHERE i.attempt_id IS NULL;
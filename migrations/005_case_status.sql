@@ -0,0 +1,8 @@
+-- Cases start as drafts while the wizard is being filled in and only
+-- reach students once published.
+ALTER TABLE cases
+  ADD COLUMN status ENUM('draft', 'published') NOT NULL DEFAULT 'draft' AFTER instructions,
+  ADD COLUMN published_at DATETIME NULL AFTER status;
+
+-- Everything created before drafts existed was already visible to students.
+UPDATE cases SET status = 'published', published_at = created_at;
@@ -0,0 +1,10 @@
+-- Every version of a case shares a family_id (the first version's case_id).
+-- Editing a case students have already attempted creates the next version;
+-- publishing it supersedes the older ones, whose attempts stay linked to them.
+ALTER TABLE cases
+  ADD COLUMN family_id INT NULL AFTER case_id,
+  ADD COLUMN version INT NOT NULL DEFAULT 1 AFTER family_id,
+  ADD COLUMN superseded_by INT NULL AFTER published_at,
+  ADD INDEX idx_cases_family (family_id);
+
+UPDATE cases SET family_id = case_id WHERE family_id IS NULL;
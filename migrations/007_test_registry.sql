@@ -0,0 +1,242 @@
+-- Ancillary tests are defined in a registry instead of exam_sections columns.
+-- fields:      [{ name, label, input: 'select'|'text'|'date'|'textarea', options?, depends_on? }]
+--              shown to the student once the test is performed
+-- per_eye:     the test has Findings OD / OS (the answer key, hidden until release)
+-- image_slots: [{ name, label }], one upload list per slot
+CREATE TABLE IF NOT EXISTS test_types (
+  test_key VARCHAR(40) PRIMARY KEY,
+  label VARCHAR(120) NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  fields JSON NULL,
+  per_eye TINYINT(1) NOT NULL DEFAULT 1,
+  image_slots JSON NULL,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- One row per case × test. images maps slot name → comma-joined filenames.
+CREATE TABLE IF NOT EXISTS case_tests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  case_id INT NOT NULL,
+  test_key VARCHAR(40) NOT NULL,
+  status VARCHAR(30) NULL,
+  notes TEXT NULL,
+  field_values JSON NULL,
+  findings_od TEXT NULL,
+  findings_os TEXT NULL,
+  images JSON NULL,
+  UNIQUE KEY uq_case_tests_case_test (case_id, test_key)
+);
+
+-- The tests the simulator offered before the registry existed (keys match performed_tests.test).
+INSERT INTO test_types (test_key, label, sort_order, fields, per_eye, image_slots) VALUES
+('faf', 'Fundus Autofluorescence', 10,
+ '[{"name":"type","label":"Test Type","input":"select","options":[{"value":"short_wave","label":"Short Wave FAF"},{"value":"near_infrared","label":"Near-Infrared FAF"},{"value":"other","label":"Other"}]},{"name":"date","label":"Date","input":"date"},{"name":"reason","label":"Reason/Diagnosis","input":"text"},{"name":"cooperation","label":"Cooperation","input":"text"},{"name":"reliability","label":"Reliability","input":"text"}]',
+ 1, '[{"name":"images","label":"Fundus Autofluorescence Images"}]'),
+('oct', 'Optical Coherence Tomography (OCT)', 20,
+ '[{"name":"type","label":"Test Type","input":"select","options":[{"value":"anterior","label":"Anterior Segment"},{"value":"posterior","label":"Posterior Segment"},{"value":"octa","label":"OCT Angiography"},{"value":"other","label":"Other"}]},{"name":"subtype","label":"Specific OCT","input":"select","depends_on":"type","options":{"anterior":[{"value":"angle","label":"Angle"},{"value":"corneal_thickness","label":"Corneal Thickness"},{"value":"other","label":"Other"}],"posterior":[{"value":"macula","label":"Macula"},{"value":"optic_nerve","label":"Optic Nerve"},{"value":"rnfl","label":"RNFL"},{"value":"other","label":"Other"}],"octa":[{"value":"octa_macula","label":"OCTA - Macula"},{"value":"octa_optic_nerve","label":"OCTA - Optic Nerve"},{"value":"other","label":"Other"}]}},{"name":"date","label":"Date","input":"date"},{"name":"reason","label":"Reason/Diagnosis","input":"text"},{"name":"cooperation","label":"Cooperation","input":"text"},{"name":"reliability","label":"Reliability","input":"text"}]',
+ 1, '[{"name":"images","label":"OCT Images"}]'),
+('vf', 'Visual Field', 30,
+ '[{"name":"type","label":"Test Type","input":"select","options":[{"value":"24-2","label":"24-2"},{"value":"30-2","label":"30-2"},{"value":"10-2","label":"10-2"},{"value":"esterman","label":"Esterman"},{"value":"other","label":"Other"}]},{"name":"date","label":"Date","input":"date"},{"name":"reason","label":"Reason/Diagnosis","input":"text"},{"name":"cooperation","label":"Cooperation","input":"text"},{"name":"reliability","label":"Reliability","input":"text"}]',
+ 1, '[{"name":"images","label":"Visual Field Images"}]'),
+('gonio', 'Gonioscopy', 40,
+ '[{"name":"date","label":"Date","input":"date"},{"name":"reason","label":"Reason/Diagnosis","input":"text"},{"name":"cooperation","label":"Cooperation","input":"text"},{"name":"reliability","label":"Reliability","input":"text"}]',
+ 1, '[{"name":"images","label":"Gonioscopy Images"}]'),
+('topography', 'Corneal Topography', 50,
+ '[{"name":"date","label":"Date","input":"date"},{"name":"reason","label":"Reason/Diagnosis","input":"text"},{"name":"cooperation","label":"Cooperation","input":"text"},{"name":"reliability","label":"Reliability","input":"text"}]',
+ 1, '[{"name":"images","label":"Topography Images"}]'),
+('ascan', 'A-Scan', 60,
+ '[{"name":"date","label":"Date","input":"date"},{"name":"reason","label":"Reason/Diagnosis","input":"text"},{"name":"cooperation","label":"Cooperation","input":"text"},{"name":"reliability","label":"Reliability","input":"text"}]',
+ 1, '[{"name":"images","label":"A-Scan Images"}]'),
+('bscan', 'B-Scan', 70,
+ '[{"name":"date","label":"Date","input":"date"},{"name":"reason","label":"Reason/Diagnosis","input":"text"},{"name":"cooperation","label":"Cooperation","input":"text"},{"name":"reliability","label":"Reliability","input":"text"}]',
+ 1, '[{"name":"images","label":"B-Scan Images"}]'),
+('pachy', 'Pachymetry', 80,
+ '[{"name":"date","label":"Date","input":"date"},{"name":"reason","label":"Reason/Diagnosis","input":"text"},{"name":"cooperation","label":"Cooperation","input":"text"},{"name":"reliability","label":"Reliability","input":"text"}]',
+ 1, '[{"name":"images","label":"Pachymetry Images"}]'),
+('fundusphoto', 'Fundus Photography', 90,
+ '[{"name":"date","label":"Date","input":"date"},{"name":"reason","label":"Reason/Diagnosis","input":"text"},{"name":"cooperation","label":"Cooperation","input":"text"},{"name":"reliability","label":"Reliability","input":"text"}]',
+ 1, '[{"name":"images","label":"Fundus Photography Images"}]');
+
+-- Copy every case's ancillary columns into case_tests. A test with images but no
+-- status was shown to students as performed, so it keeps that status here.
+INSERT INTO case_tests (case_id, test_key, status, notes, field_values, findings_od, findings_os, images)
+SELECT case_id, 'faf',
+       COALESCE(NULLIF(fundus_autofluorescence_status, ''), IF(NULLIF(fundus_autofluorescence_images, '') IS NULL, NULL, 'performed')),
+       fundus_autofluorescence_notes,
+       JSON_OBJECT('type', fa_type, 'date', DATE_FORMAT(fa_date, '%Y-%m-%d'), 'reason', fa_reason,
+                   'cooperation', fa_cooperation, 'reliability', fa_reliability),
+       fa_findings_od, fa_findings_os,
+       JSON_OBJECT('images', NULLIF(fundus_autofluorescence_images, ''))
+FROM exam_sections;
+
+INSERT INTO case_tests (case_id, test_key, status, notes, field_values, findings_od, findings_os, images)
+SELECT case_id, 'oct',
+       COALESCE(NULLIF(oct_status, ''), IF(NULLIF(oct_images, '') IS NULL, NULL, 'performed')),
+       oct_notes,
+       JSON_OBJECT('type', CASE oct_type WHEN 'anterior_seg' THEN 'anterior' WHEN 'posterior_seg' THEN 'posterior' ELSE oct_type END,
+                   'subtype', oct_subtype, 'date', DATE_FORMAT(oct_date, '%Y-%m-%d'), 'reason', oct_reason,
+                   'cooperation', oct_cooperation, 'reliability', oct_reliability),
+       oct_findings_od, oct_findings_os,
+       JSON_OBJECT('images', NULLIF(oct_images, ''))
+FROM exam_sections;
+
+INSERT INTO case_tests (case_id, test_key, status, notes, field_values, findings_od, findings_os, images)
+SELECT case_id, 'vf',
+       COALESCE(NULLIF(vf_status, ''), IF(NULLIF(vf_images, '') IS NULL, NULL, 'performed')),
+       vf_notes,
+       JSON_OBJECT('type', LOWER(COALESCE(NULLIF(vf_type, ''), vf_subtype)), 'date', DATE_FORMAT(vf_date, '%Y-%m-%d'),
+                   'reason', vf_reason, 'cooperation', vf_cooperation, 'reliability', vf_reliability),
+       vf_findings_od, vf_findings_os,
+       JSON_OBJECT('images', NULLIF(vf_images, ''))
+FROM exam_sections;
+
+INSERT INTO case_tests (case_id, test_key, status, notes, field_values, findings_od, findings_os, images)
+SELECT case_id, 'gonio',
+       COALESCE(NULLIF(gonioscopy_status, ''), IF(NULLIF(gonioscopy_images, '') IS NULL, NULL, 'performed')),
+       gonioscopy_notes,
+       JSON_OBJECT('date', DATE_FORMAT(gonioscopy_date, '%Y-%m-%d'), 'reason', gonioscopy_reason,
+                   'cooperation', gonioscopy_cooperation, 'reliability', gonioscopy_reliability),
+       gonioscopy_findings_od, gonioscopy_findings_os,
+       JSON_OBJECT('images', NULLIF(gonioscopy_images, ''))
+FROM exam_sections;
+
+INSERT INTO case_tests (case_id, test_key, status, notes, field_values, findings_od, findings_os, images)
+SELECT case_id, 'topography',
+       COALESCE(NULLIF(topography_status, ''), IF(NULLIF(topography_images, '') IS NULL, NULL, 'performed')),
+       topography_notes,
+       JSON_OBJECT('date', DATE_FORMAT(topography_date, '%Y-%m-%d'), 'reason', topography_reason,
+                   'cooperation', topography_cooperation, 'reliability', topography_reliability),
+       topography_findings_od, topography_findings_os,
+       JSON_OBJECT('images', NULLIF(topography_images, ''))
+FROM exam_sections;
+
+INSERT INTO case_tests (case_id, test_key, status, notes, field_values, findings_od, findings_os, images)
+SELECT case_id, 'ascan',
+       COALESCE(NULLIF(ascan_status, ''), IF(NULLIF(ascan_images, '') IS NULL, NULL, 'performed')),
+       ascan_notes,
+       JSON_OBJECT('date', DATE_FORMAT(ascan_date, '%Y-%m-%d'), 'reason', ascan_reason,
+                   'cooperation', ascan_cooperation, 'reliability', ascan_reliability),
+       ascan_findings_od, ascan_findings_os,
+       JSON_OBJECT('images', NULLIF(ascan_images, ''))
+FROM exam_sections;
+
+INSERT INTO case_tests (case_id, test_key, status, notes, field_values, findings_od, findings_os, images)
+SELECT case_id, 'bscan',
+       COALESCE(NULLIF(bscan_status, ''), IF(NULLIF(bscan_images, '') IS NULL, NULL, 'performed')),
+       bscan_notes,
+       JSON_OBJECT('date', DATE_FORMAT(bscan_date, '%Y-%m-%d'), 'reason', bscan_reason,
+                   'cooperation', bscan_cooperation, 'reliability', bscan_reliability),
+       bscan_findings_od, bscan_findings_os,
+       JSON_OBJECT('images', NULLIF(bscan_images, ''))
+FROM exam_sections;
+
+INSERT INTO case_tests (case_id, test_key, status, notes, field_values, findings_od, findings_os, images)
+SELECT case_id, 'pachy',
+       COALESCE(NULLIF(pachymetry_status, ''), IF(NULLIF(pachymetry_images, '') IS NULL, NULL, 'performed')),
+       pachymetry_notes,
+       JSON_OBJECT('date', DATE_FORMAT(pachymetry_date, '%Y-%m-%d'), 'reason', pachymetry_reason,
+                   'cooperation', pachymetry_cooperation, 'reliability', pachymetry_reliability),
+       pachymetry_findings_od, pachymetry_findings_os,
+       JSON_OBJECT('images', NULLIF(pachymetry_images, ''))
+FROM exam_sections;
+
+INSERT INTO case_tests (case_id, test_key, status, notes, field_values, findings_od, findings_os, images)
+SELECT case_id, 'fundusphoto',
+       COALESCE(NULLIF(fundus_photo_status, ''), IF(NULLIF(fundus_photo_images, '') IS NULL, NULL, 'performed')),
+       fundus_photo_notes,
+       JSON_OBJECT('date', DATE_FORMAT(fundus_photo_date, '%Y-%m-%d'), 'reason', fundus_photo_reason,
+                   'cooperation', fundus_photo_cooperation, 'reliability', fundus_photo_reliability),
+       fundus_photo_findings_od, fundus_photo_findings_os,
+       JSON_OBJECT('images', NULLIF(fundus_photo_images, ''))
+FROM exam_sections;
+
+-- exam_sections keeps only the preliminary, anterior and posterior findings.
+ALTER TABLE exam_sections
+  DROP COLUMN fundus_autofluorescence_status,
+  DROP COLUMN fundus_autofluorescence_notes,
+  DROP COLUMN fundus_autofluorescence_images,
+  DROP COLUMN fa_type,
+  DROP COLUMN fa_date,
+  DROP COLUMN fa_reason,
+  DROP COLUMN fa_cooperation,
+  DROP COLUMN fa_reliability,
+  DROP COLUMN fa_findings_od,
+  DROP COLUMN fa_findings_os,
+  DROP COLUMN oct_type,
+  DROP COLUMN oct_subtype,
+  DROP COLUMN oct_status,
+  DROP COLUMN oct_notes,
+  DROP COLUMN oct_images,
+  DROP COLUMN oct_date,
+  DROP COLUMN oct_reason,
+  DROP COLUMN oct_cooperation,
+  DROP COLUMN oct_reliability,
+  DROP COLUMN oct_findings_od,
+  DROP COLUMN oct_findings_os,
+  DROP COLUMN vf_type,
+  DROP COLUMN vf_subtype,
+  DROP COLUMN vf_status,
+  DROP COLUMN vf_notes,
+  DROP COLUMN vf_images,
+  DROP COLUMN vf_date,
+  DROP COLUMN vf_reason,
+  DROP COLUMN vf_cooperation,
+  DROP COLUMN vf_reliability,
+  DROP COLUMN vf_findings_od,
+  DROP COLUMN vf_findings_os,
+  DROP COLUMN gonioscopy_status,
+  DROP COLUMN gonioscopy_notes,
+  DROP COLUMN gonioscopy_images,
+  DROP COLUMN gonioscopy_date,
+  DROP COLUMN gonioscopy_reason,
+  DROP COLUMN gonioscopy_cooperation,
+  DROP COLUMN gonioscopy_reliability,
+  DROP COLUMN gonioscopy_findings_od,
+  DROP COLUMN gonioscopy_findings_os,
+  DROP COLUMN topography_status,
+  DROP COLUMN topography_notes,
+  DROP COLUMN topography_images,
+  DROP COLUMN topography_date,
+  DROP COLUMN topography_reason,
+  DROP COLUMN topography_cooperation,
+  DROP COLUMN topography_reliability,
+  DROP COLUMN topography_findings_od,
+  DROP COLUMN topography_findings_os,
+  DROP COLUMN ascan_status,
+  DROP COLUMN ascan_notes,
+  DROP COLUMN ascan_images,
+  DROP COLUMN ascan_date,
+  DROP COLUMN ascan_reason,
+  DROP COLUMN ascan_cooperation,
+  DROP COLUMN ascan_reliability,
+  DROP COLUMN ascan_findings_od,
+  DROP COLUMN ascan_findings_os,
+  DROP COLUMN bscan_status,
+  DROP COLUMN bscan_notes,
+  DROP COLUMN bscan_images,
+  DROP COLUMN bscan_date,
+  DROP COLUMN bscan_reason,
+  DROP COLUMN bscan_cooperation,
+  DROP COLUMN bscan_reliability,
+  DROP COLUMN bscan_findings_od,
+  DROP COLUMN bscan_findings_os,
+  DROP COLUMN pachymetry_status,
+  DROP COLUMN pachymetry_notes,
+  DROP COLUMN pachymetry_images,
+  DROP COLUMN pachymetry_date,
+  DROP COLUMN pachymetry_reason,
+  DROP COLUMN pachymetry_cooperation,
+  DROP COLUMN pachymetry_reliability,
+  DROP COLUMN pachymetry_findings_od,
+  DROP COLUMN pachymetry_findings_os,
+  DROP COLUMN fundus_photo_status,
+  DROP COLUMN fundus_photo_notes,
+  DROP COLUMN fundus_photo_images,
+  DROP COLUMN fundus_photo_date,
+  DROP COLUMN fundus_photo_reason,
+  DROP COLUMN fundus_photo_cooperation,
+  DROP COLUMN fundus_photo_reliability,
+  DROP COLUMN fundus_photo_findings_od,
+  DROP COLUMN fundus_photo_findings_os;
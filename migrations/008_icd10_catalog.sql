@@ -0,0 +1,9 @@
+-- ICD-10-CM code table, filled by `npm run load-icd10 -- <icd10cm_order_YYYY.txt>`.
+-- code is stored without the dot, as CMS publishes it (H401111 → H40.1111).
+-- billable = 0 marks category/header codes that still need more characters.
+CREATE TABLE IF NOT EXISTS icd10_codes (
+  code VARCHAR(7) PRIMARY KEY,
+  billable TINYINT(1) NOT NULL DEFAULT 0,
+  short_description VARCHAR(60) NOT NULL,
+  description VARCHAR(400) NOT NULL
+);
@@ -0,0 +1,136 @@
+-- CPT / HCPCS catalog behind the student CPT picker and Step 6 answer keys.
+-- code_set:  'CPT', 'HCPCS' (Level II) or 'LOCAL' (in-house tracking codes, never billed)
+-- modifiers: ["RT","LT",...], the modifiers that may be appended to the code
+-- max_units: most units one claim line may carry
+-- fee:       local fee schedule, NULL until the clinic sets it
+CREATE TABLE IF NOT EXISTS cpt_catalog (
+  code VARCHAR(10) PRIMARY KEY,
+  code_set VARCHAR(10) NOT NULL DEFAULT 'CPT',
+  description VARCHAR(255) NOT NULL,
+  category VARCHAR(60) NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  modifiers JSON NULL,
+  max_units INT NOT NULL DEFAULT 1,
+  fee DECIMAL(10,2) NULL,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- The codes the picker offered before the catalog existed. Its made-up variants
+-- (92310-FU1, 6698L, 687RL, ...) become the real code plus a modifier.
+INSERT INTO cpt_catalog (code, code_set, description, category, sort_order, modifiers, max_units, fee) VALUES
+('92002', 'CPT', 'Intermediate Examination - NP', 'New Patient', 10, '["25"]', 1, NULL),
+('92004', 'CPT', 'Comprehensive Examination - NP', 'New Patient', 20, '["25"]', 1, NULL),
+('99201', 'CPT', 'Evaluation & Manage Level 1 - NP', 'New Patient', 30, '["25"]', 1, NULL),
+('99202', 'CPT', 'Evaluation & Manage Level 2 - NP', 'New Patient', 40, '["25"]', 1, NULL),
+('99203', 'CPT', 'Evaluation & Manage Level 3 - NP', 'New Patient', 50, '["25"]', 1, NULL),
+('99204', 'CPT', 'Evaluation & Manage Level 4 - NP', 'New Patient', 60, '["25"]', 1, NULL),
+('99205', 'CPT', 'Evaluation & Manage Level 5 - NP', 'New Patient', 70, '["25"]', 1, NULL),
+('S0620', 'HCPCS', 'Routine Ophth Ex w/Refr - NP', 'New Patient', 80, '[]', 1, NULL),
+('92012', 'CPT', 'Intermediate Examination - EP', 'Established Patient', 110, '["25"]', 1, NULL),
+('92014', 'CPT', 'Comprehensive Examination - EP', 'Established Patient', 120, '["25"]', 1, NULL),
+('99211', 'CPT', 'Evaluation & Manage Level 1 - EP', 'Established Patient', 130, '["25"]', 1, NULL),
+('99212', 'CPT', 'Evaluation & Manage Level 2 - EP', 'Established Patient', 140, '["25"]', 1, NULL),
+('99213', 'CPT', 'Evaluation & Manage Level 3 - EP', 'Established Patient', 150, '["25"]', 1, NULL),
+('99214', 'CPT', 'Evaluation & Manage Level 4 - EP', 'Established Patient', 160, '["25"]', 1, NULL),
+('99215', 'CPT', 'Evaluation & Manage Level 5 - EP', 'Established Patient', 170, '["25"]', 1, NULL),
+('S0621', 'HCPCS', 'Routine Ophth Ex w/Refr - EP', 'Established Patient', 180, '[]', 1, NULL),
+('90027', 'LOCAL', 'No Charge Office Visit', 'Established Patient', 190, '[]', 1, 0.00),
+('NC', 'LOCAL', 'Completion Of Exam No Charge', 'Established Patient', 200, '[]', 1, 0.00),
+('92015', 'CPT', 'Refraction', 'Established Patient', 210, '[]', 1, NULL),
+('CLFU', 'LOCAL', 'CL Follow Up No Charge', 'Contact Lens Services', 310, '[]', 1, 0.00),
+('92310', 'CPT', 'CL Evaluation / Fitting - Both Eyes', 'Contact Lens Services', 320, '["52"]', 1, NULL),
+('92311', 'CPT', 'CL Fitting For Aphakia - 1 Eye', 'Contact Lens Services', 330, '["RT","LT"]', 1, NULL),
+('92312', 'CPT', 'CL Fitting For Aphakia - Both Eyes', 'Contact Lens Services', 340, '[]', 1, NULL),
+('92313', 'CPT', 'CL Fitting - Corneoscleral Lens', 'Contact Lens Services', 350, '[]', 1, NULL),
+('92325', 'CPT', 'Modification Of CL', 'Contact Lens Services', 360, '["RT","LT"]', 1, NULL),
+('92326', 'CPT', 'Replacement Of CL', 'Contact Lens Services', 370, '["RT","LT"]', 2, NULL),
+('99241', 'CPT', 'Initial Consult Level 1', 'Consultation - Initial', 410, '["25"]', 1, NULL),
+('99242', 'CPT', 'Initial Consult Level 2', 'Consultation - Initial', 420, '["25"]', 1, NULL),
+('99243', 'CPT', 'Initial Consult Level 3', 'Consultation - Initial', 430, '["25"]', 1, NULL),
+('99244', 'CPT', 'Initial Consult Level 4', 'Consultation - Initial', 440, '["25"]', 1, NULL),
+('99245', 'CPT', 'Initial Consult Level 5', 'Consultation - Initial', 450, '["25"]', 1, NULL),
+('99341', 'CPT', 'Home Visit (Prob Focus) - NP', 'Domiciliary Visits', 510, '["25"]', 1, NULL),
+('99342', 'CPT', 'Home Visit (Exp Prob Focus) - NP', 'Domiciliary Visits', 520, '["25"]', 1, NULL),
+('99343', 'CPT', 'Home Visit (Detailed) - NP', 'Domiciliary Visits', 530, '["25"]', 1, NULL),
+('99344', 'CPT', 'Home Visit (Comp W/ModCmplx) - NP', 'Domiciliary Visits', 540, '["25"]', 1, NULL),
+('99345', 'CPT', 'Home Visit (Comp W/Hi Cmplx) - NP', 'Domiciliary Visits', 550, '["25"]', 1, NULL),
+('99347', 'CPT', 'Home Visit (Prob Focus) - EP', 'Domiciliary Visits', 560, '["25"]', 1, NULL),
+('99348', 'CPT', 'Home Visit (Exp Prob Focus) - EP', 'Domiciliary Visits', 570, '["25"]', 1, NULL),
+('99349', 'CPT', 'Home Visit (Detailed) - EP', 'Domiciliary Visits', 580, '["25"]', 1, NULL),
+('99350', 'CPT', 'Home Visit (Comprehensive) - EP', 'Domiciliary Visits', 590, '["25"]', 1, NULL),
+('99354', 'CPT', 'Prolonged OV Svc 1st Hour', 'Prolonged Phys Services', 610, '[]', 1, NULL),
+('99355', 'CPT', 'Prolonged OV Svc Each Addl 30', 'Prolonged Phys Services', 620, '[]', 4, NULL),
+('66984', 'CPT', 'Post Op Cataract', 'Post Op Care', 710, '["RT","LT","55"]', 1, NULL),
+('66821', 'CPT', 'Post Op YAG Laser', 'Post Op Care', 720, '["RT","LT","55"]', 1, NULL),
+('66761', 'CPT', 'Post Op LPI (10 Days)', 'Post Op Care', 730, '["RT","LT","55"]', 1, NULL),
+('66999', 'CPT', 'Post Op Lasik', 'Post Op Care', 740, '["RT","LT","55"]', 1, NULL),
+('99024', 'CPT', 'Post-Operative Care - N/C', 'Post Op Care', 750, '[]', 1, 0.00),
+('65855', 'CPT', 'Post Op Selective Laser Trabeculoplasty', 'Post Op Care', 760, '["RT","LT","55"]', 1, NULL),
+('68761', 'CPT', 'Punctal Closure - Plug (per punctum)', 'Lacrimal Drainage System', 810, '["E1","E2","E3","E4"]', 4, NULL),
+('68801', 'CPT', 'Dilate Puncta w/ or w/o Irrig', 'Lacrimal Drainage System', 820, '["E1","E2","E3","E4"]', 4, NULL),
+('92020', 'CPT', 'Gonioscopy', 'Glaucoma', 910, '[]', 1, NULL),
+('92100', 'CPT', 'Serial Tonometry', 'Glaucoma', 920, '[]', 1, NULL),
+('92145', 'CPT', 'Corneal Hysteresis', 'Glaucoma', 930, '["26","TC"]', 1, NULL),
+('92060', 'CPT', 'Sensorimotor Exam', 'Professional Services', 1010, '["26","TC"]', 1, NULL),
+('92065', 'CPT', 'In-Office Vision Therapy', 'Professional Services', 1020, '["26","TC"]', 1, NULL),
+('92070', 'CPT', 'Fit & Supply Of Bandage CL', 'Professional Services', 1030, '["RT","LT","50"]', 1, NULL),
+('92225', 'CPT', 'Extended Ophthalmoscopy - Init', 'Professional Services', 1040, '["RT","LT","50"]', 1, NULL),
+('92226', 'CPT', 'Extended Ophthalmoscopy - Subseq', 'Professional Services', 1050, '["RT","LT","50"]', 1, NULL),
+('76514', 'CPT', 'Corneal Pachymetry', 'Professional Services', 1060, '["26","TC"]', 1, NULL),
+('92081', 'CPT', 'VF Limited Gldmn 1 Isopter', 'Visual Fields', 1110, '["26","TC"]', 1, NULL),
+('92082', 'CPT', 'VF Intermediate', 'Visual Fields', 1120, '["26","TC"]', 1, NULL),
+('92083', 'CPT', 'VF Extended', 'Visual Fields', 1130, '["26","TC"]', 1, NULL),
+('92250', 'CPT', 'Fundus Photography', 'Photography', 1210, '["26","TC"]', 1, NULL),
+('92285', 'CPT', 'External Photography', 'Photography', 1220, '["26","TC"]', 1, NULL),
+('92025', 'CPT', 'Corneal Topography', 'Imaging', 1310, '["26","TC"]', 1, NULL),
+('92132', 'CPT', 'OCT Imaging - Anterior Segment', 'Imaging', 1320, '["26","TC"]', 1, NULL),
+('92133', 'CPT', 'OCT Imaging - Optic Nerve', 'Imaging', 1330, '["26","TC"]', 1, NULL),
+('92134', 'CPT', 'OCT Imaging - Retina', 'Imaging', 1340, '["26","TC"]', 1, NULL),
+('76512', 'CPT', 'Ultrasound B-Scan', 'Imaging', 1350, '["RT","LT","26","TC"]', 1, NULL),
+('92230', 'CPT', 'Fluorescein Angiography', 'Imaging', 1360, '["RT","LT","50"]', 1, NULL),
+('92283', 'CPT', 'Color Vision Extended', 'Imaging', 1370, '["26","TC"]', 1, NULL),
+('92270', 'CPT', 'Electro-Oculogram', 'Imaging', 1380, '["26","TC"]', 1, NULL),
+('92275', 'CPT', 'Electroretinography', 'Imaging', 1390, '["26","TC"]', 1, NULL),
+('95930', 'CPT', 'Visually Evoked Potential', 'Imaging', 1400, '["26","TC"]', 1, NULL),
+('92286', 'CPT', 'Endothelial Cell Analysis', 'Imaging', 1410, '["26","TC"]', 1, NULL),
+('99070', 'CPT', 'Medical Supplies & Materials', 'Miscellaneous Services', 1510, '[]', 10, NULL),
+('92062', 'CPT', 'Parent/Patient Conference', 'Miscellaneous Services', 1520, '[]', 1, NULL),
+('92063', 'CPT', 'Visual Inform Processing - New', 'Miscellaneous Services', 1530, '[]', 1, NULL),
+('92064', 'CPT', 'Visual Inform Processing - Est', 'Miscellaneous Services', 1540, '[]', 1, NULL),
+('92284', 'CPT', 'Dark Adaptation Examination', 'Miscellaneous Services', 1550, '["26","TC"]', 1, NULL),
+('VTCHK', 'LOCAL', 'VT Progress Check', 'Miscellaneous Services', 1560, '[]', 1, 0.00),
+('RSPAT', 'LOCAL', 'Research/Study Visit', 'Miscellaneous Services', 1570, '[]', 1, 0.00),
+('67820', 'CPT', 'Epilation', 'Miscellaneous Services', 1580, '["E1","E2","E3","E4"]', 4, NULL),
+('65222', 'CPT', 'Removal of Foreign Body, Corneal, with Slit Lamp', 'Miscellaneous Services', 1590, '["RT","LT"]', 1, NULL);
+
+-- Student CPT lines carry their modifiers and units next to the code.
+ALTER TABLE assessment_plan_cpt
+  ADD COLUMN modifiers VARCHAR(40) NULL AFTER cpt_code,
+  ADD COLUMN units INT NOT NULL DEFAULT 1 AFTER modifiers;
+
+-- The picker's plain post-op codes were its right-eye entries.
+UPDATE assessment_plan_cpt SET modifiers = 'RT'
+WHERE cpt_code IN ('66984', '66821', '66761', '66999') AND modifiers IS NULL;
+
+UPDATE assessment_plan_cpt SET cpt_code = '66984', modifiers = 'LT' WHERE cpt_code = '6698L';
+UPDATE assessment_plan_cpt SET cpt_code = '66821', modifiers = 'LT' WHERE cpt_code = '6682L';
+UPDATE assessment_plan_cpt SET cpt_code = '66761', modifiers = 'LT' WHERE cpt_code = '6676L';
+UPDATE assessment_plan_cpt SET cpt_code = '66999', modifiers = 'LT' WHERE cpt_code = '6699L';
+UPDATE assessment_plan_cpt SET cpt_code = '68761', modifiers = 'E4' WHERE cpt_code = '687RL';
+UPDATE assessment_plan_cpt SET cpt_code = '68761', modifiers = 'E3' WHERE cpt_code = '687RU';
+UPDATE assessment_plan_cpt SET cpt_code = '68761', modifiers = 'E2' WHERE cpt_code = '687LL';
+UPDATE assessment_plan_cpt SET cpt_code = '68761', modifiers = 'E1' WHERE cpt_code = '687LU';
+UPDATE assessment_plan_cpt SET cpt_code = '92310' WHERE cpt_code LIKE '92310-%';
+
+-- Answer keys are typed as text; modifiers there are written CODE-MOD (66984-LT).
+UPDATE codes SET cpt_code = '66984-LT' WHERE cpt_code = '6698L';
+UPDATE codes SET cpt_code = '66821-LT' WHERE cpt_code = '6682L';
+UPDATE codes SET cpt_code = '66761-LT' WHERE cpt_code = '6676L';
+UPDATE codes SET cpt_code = '66999-LT' WHERE cpt_code = '6699L';
+UPDATE codes SET cpt_code = '68761-E4' WHERE cpt_code = '687RL';
+UPDATE codes SET cpt_code = '68761-E3' WHERE cpt_code = '687RU';
+UPDATE codes SET cpt_code = '68761-E2' WHERE cpt_code = '687LL';
+UPDATE codes SET cpt_code = '68761-E1' WHERE cpt_code = '687LU';
+UPDATE codes SET cpt_code = '92310' WHERE cpt_code LIKE '92310-%';
@@ -0,0 +1,4 @@
+-- Which insurance a student billed each CPT line to ('medical' or 'vision').
+-- Lines saved before claims existed have no payer and are flagged on the claim.
+ALTER TABLE assessment_plan_cpt
+  ADD COLUMN payer VARCHAR(10) NULL AFTER units;
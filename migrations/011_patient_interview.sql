@@ -0,0 +1,64 @@
+-- Patient interview: students ask questions, the server answers for the patient.
+-- interview_vocabulary is the shared default vocabulary:
+--   kind 'topic':     something a student can ask about; history_field names the
+--                     histories column that answers it when a case has no response
+--   kind 'follow_up': a kind of follow-up question ("how long", "which eye") that
+--                     case responses can attach their own answers to
+--   phrases:          ["how long", "since when", ...], matched at word starts
+CREATE TABLE IF NOT EXISTS interview_vocabulary (
+  topic_key VARCHAR(40) PRIMARY KEY,
+  label VARCHAR(120) NOT NULL,
+  kind VARCHAR(20) NOT NULL DEFAULT 'topic',
+  history_field VARCHAR(40) NULL,
+  phrases JSON NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- A case's authored answers. topic_key (a vocabulary topic) brings its phrases
+-- along; phrases adds synonyms of the case's own. Custom questions have no topic.
+-- follow_ups: [{ topic_key, phrases, answer }], asked after this response
+CREATE TABLE IF NOT EXISTS case_interview_responses (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  case_id INT NOT NULL,
+  topic_key VARCHAR(40) NULL,
+  phrases JSON NULL,
+  answer TEXT NOT NULL,
+  follow_ups JSON NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  INDEX idx_case_interview_responses_case (case_id)
+);
+
+-- The keyword map the simulator used before answers came from the server.
+INSERT INTO interview_vocabulary (topic_key, label, kind, history_field, phrases, sort_order) VALUES
+('chief_complaint', 'Chief Complaint', 'topic', 'chief_complaint',
+ '["chief", "why", "reason", "what brings", "bring", "brought", "main concern", "reason for visit", "whats going on", "whats wrong", "whats bothering", "problem today", "symptom", "issue", "complaint"]', 10),
+('hpi', 'History of Present Illness', 'topic', 'hpi',
+ '["hpi", "how long", "when", "started", "present illness", "since", "duration", "timeframe", "timeline", "onset", "progression", "getting worse", "getting better", "describe it", "tell me more about it", "story"]', 20),
+('poh', 'Past Ocular History', 'topic', 'poh',
+ '["ocular", "eye history", "past eye", "eye surgery", "glasses", "contacts", "lasik", "cataract surgery", "retina", "eye problems", "vision history", "previous eye conditions", "previous eye disease", "previous issues with eyes", "strabismus", "lazy eye"]', 30),
+('pmh', 'Past Medical History', 'topic', 'pmh',
+ '["medical", "health problems", "conditions", "diabetes", "blood pressure", "hypertension", "heart disease", "stroke", "cholesterol", "cancer", "thyroid", "lung disease", "asthma", "systemic", "general health", "other illnesses", "chronic conditions", "previous hospitalizations"]', 40),
+('meds', 'Medications', 'topic', 'meds',
+ '["meds", "medications", "medicine", "drugs", "pills", "take regularly", "prescriptions", "drops", "eye drops", "supplements", "vitamins", "current medications", "what are you taking", "pharmacy", "inhaler", "shots"]', 50),
+('allergies', 'Allergies', 'topic', 'allergies',
+ '["allergy", "allergies", "allergic", "reaction", "sensitivity", "rash", "hives", "penicillin", "sulfa", "latex", "seasonal allergies", "drug allergies", "food allergies", "allergic reactions", "immune reaction"]', 60),
+('fhx', 'Family History', 'topic', 'fhx',
+ '["family", "genetic", "hereditary", "relatives", "parents", "siblings", "anyone in your family", "family history", "mom", "dad", "brother", "sister", "kids", "grandparents", "blindness in family", "diabetes in family", "heart disease in family"]', 70),
+('social_history', 'Social History', 'topic', 'social_history',
+ '["social", "smoke", "drink", "alcohol", "job", "work", "occupation", "lifestyle", "hobbies", "recreational drugs", "living situation", "exercise", "do you drive", "pets", "married", "single", "school", "college", "travel", "social habits", "daily routine"]', 80),
+('duration', 'How long / when it started', 'follow_up', NULL,
+ '["how long", "since when", "when did", "when was", "started", "onset", "how many days", "how many weeks", "how many months"]', 110),
+('laterality', 'Which eye', 'follow_up', NULL,
+ '["which eye", "what eye", "one eye", "both eyes", "right or left", "left or right", "right eye", "left eye"]', 120),
+('severity', 'How bad', 'follow_up', NULL,
+ '["how bad", "how severe", "severe", "scale", "rate it", "pain level", "how much does it"]', 130),
+('progression', 'Better or worse', 'follow_up', NULL,
+ '["getting worse", "getting better", "worse", "better", "changed", "change", "progress", "staying the same"]', 140),
+('frequency', 'How often', 'follow_up', NULL,
+ '["how often", "constant", "all the time", "come and go", "comes and goes", "every day", "intermittent"]', 150),
+('relief', 'What helps', 'follow_up', NULL,
+ '["anything help", "helps", "helped", "makes it better", "relief", "tried anything", "have you tried"]', 160),
+('associated', 'Other symptoms', 'follow_up', NULL,
+ '["anything else", "other symptoms", "also notice", "along with", "at the same time"]', 170);
@@ -0,0 +1,20 @@
+-- Every question a student asks the simulated patient, with the answer given.
+-- history_field: the histories column the question was about (NULL for custom
+-- questions and questions the patient didn't understand); follow-ups count
+-- toward the field of the response they follow.
+-- context: the response the patient was talking about after this answer, so a
+-- reloaded History tab picks up follow-ups where the student left off.
+CREATE TABLE IF NOT EXISTS interview_transcripts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  attempt_id INT NOT NULL,
+  case_id INT NOT NULL,
+  student_id INT NOT NULL,
+  question TEXT NOT NULL,
+  answer TEXT NOT NULL,
+  topic_key VARCHAR(40) NULL,
+  history_field VARCHAR(40) NULL,
+  matched TINYINT(1) NOT NULL DEFAULT 0,
+  context INT NULL,
+  asked_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_interview_transcripts_attempt (attempt_id)
+);
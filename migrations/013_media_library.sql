@@ -0,0 +1,31 @@
+-- Media library: one row per stored image in uploads/ (thumbnails live in
+-- uploads/thumbs/<filename>.webp). New uploads are named after their sha256,
+-- so the same image uploaded twice is stored once.
+-- uploaded_by is NULL for files from before the library (adopted on first use).
+CREATE TABLE IF NOT EXISTS media (
+  media_id INT AUTO_INCREMENT PRIMARY KEY,
+  filename VARCHAR(255) NOT NULL,
+  sha256 CHAR(64) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes INT NOT NULL,
+  width INT NULL,
+  height INT NULL,
+  original_name VARCHAR(255) NULL,
+  uploaded_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_media_filename (filename),
+  INDEX idx_media_sha256 (sha256)
+);
+
+-- Where each case shows an image. field is 'avatar', an exam_sections image
+-- column, or a test image slot (with test_key). Rebuilt whenever a case's
+-- images change; an image no case uses is an orphan (npm run media-cleanup).
+CREATE TABLE IF NOT EXISTS media_usage (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  media_id INT NOT NULL,
+  case_id INT NOT NULL,
+  field VARCHAR(80) NOT NULL,
+  test_key VARCHAR(40) NULL,
+  INDEX idx_media_usage_case (case_id),
+  INDEX idx_media_usage_media (media_id)
+);
@@ -0,0 +1,31 @@
+-- "Find the lesion": labeled regions a professor draws on a case image in
+-- wizard Step 4 (the answer key), and the marks students place on it.
+-- Coordinates are fractions of the image's width/height (0–1), so they hold
+-- for the thumbnail and the full-size image alike.
+CREATE TABLE IF NOT EXISTS image_hotspots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  case_id INT NOT NULL,
+  filename VARCHAR(255) NOT NULL,
+  label VARCHAR(80) NOT NULL,
+  x DECIMAL(6,5) NOT NULL,
+  y DECIMAL(6,5) NOT NULL,
+  w DECIMAL(6,5) NOT NULL,
+  h DECIMAL(6,5) NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  INDEX idx_image_hotspots_case (case_id)
+);
+
+-- A student's marks on one image of an attempt: a click (w = h = 0) or an outline.
+CREATE TABLE IF NOT EXISTS hotspot_marks (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  attempt_id INT NOT NULL,
+  case_id INT NOT NULL,
+  student_id INT NOT NULL,
+  filename VARCHAR(255) NOT NULL,
+  x DECIMAL(6,5) NOT NULL,
+  y DECIMAL(6,5) NOT NULL,
+  w DECIMAL(6,5) NOT NULL DEFAULT 0,
+  h DECIMAL(6,5) NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_hotspot_marks_attempt (attempt_id)
+);
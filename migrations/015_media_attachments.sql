@@ -0,0 +1,5 @@
+-- Ancillary test slots also take short videos (MP4/WebM) and PDF reports.
+-- They are media rows like images (mime_type tells them apart); PDFs record
+-- their page count for the student's pager (NULL when it can't be read).
+ALTER TABLE media
+  ADD COLUMN pages INT NULL AFTER height;
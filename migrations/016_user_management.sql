@@ -0,0 +1,8 @@
+-- User management: names and emails from class rosters, accounts a professor
+-- disabled (they can't sign in; their work is kept), and temporary passwords
+-- (new or reset accounts) the user must replace at their next sign-in.
+ALTER TABLE users
+  ADD COLUMN full_name VARCHAR(120) NULL,
+  ADD COLUMN email VARCHAR(255) NULL,
+  ADD COLUMN must_change_password TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN disabled_at DATETIME NULL;
@@ -0,0 +1,50 @@
+-- Courses are split into sections; students are enrolled in sections and cases
+-- are assigned per section. A case family assigned to no section at all stays
+-- open to every student (practice); once assigned, only students enrolled in an
+-- assigned section can start it, and only inside the assignment's window.
+CREATE TABLE IF NOT EXISTS courses (
+  course_id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(40) NOT NULL,
+  name VARCHAR(160) NOT NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS course_sections (
+  section_id INT AUTO_INCREMENT PRIMARY KEY,
+  course_id INT NOT NULL,
+  name VARCHAR(80) NOT NULL,
+  term VARCHAR(40) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_course_sections_course (course_id)
+);
+
+CREATE TABLE IF NOT EXISTS section_enrollments (
+  section_id INT NOT NULL,
+  user_id INT NOT NULL,
+  enrolled_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (section_id, user_id),
+  INDEX idx_section_enrollments_user (user_id)
+);
+
+-- case_id is the version that was assigned; attempts on any version of its
+-- family count. opens_at NULL = open now, due_at NULL = no deadline.
+-- late_policy: 'none'    nothing can be started after due_at
+--              'accept'  late work accepted (until close_at, if set) and flagged
+--              'penalty' as 'accept', minus late_penalty_pct points per day late
+CREATE TABLE IF NOT EXISTS case_assignments (
+  assignment_id INT AUTO_INCREMENT PRIMARY KEY,
+  section_id INT NOT NULL,
+  case_id INT NOT NULL,
+  opens_at DATETIME NULL,
+  due_at DATETIME NULL,
+  late_policy VARCHAR(10) NOT NULL DEFAULT 'none',
+  late_penalty_pct DECIMAL(5,2) NOT NULL DEFAULT 0,
+  close_at DATETIME NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_case_assignments (section_id, case_id),
+  INDEX idx_case_assignments_case (case_id)
+);
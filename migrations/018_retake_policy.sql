@@ -0,0 +1,33 @@
+-- Retake policy. attempt_mode: 'single' (one attempt), 'limited' (max_attempts)
+-- or 'practice' (unlimited). score_policy: which completed attempt's score
+-- counts, 'latest' or 'highest'. An assignment's columns override its case's;
+-- NULL there means "as the case says".
+ALTER TABLE cases
+  ADD COLUMN attempt_mode VARCHAR(10) NOT NULL DEFAULT 'single',
+  ADD COLUMN max_attempts INT NULL,
+  ADD COLUMN score_policy VARCHAR(10) NOT NULL DEFAULT 'latest';
+
+ALTER TABLE case_assignments
+  ADD COLUMN attempt_mode VARCHAR(10) NULL,
+  ADD COLUMN max_attempts INT NULL,
+  ADD COLUMN score_policy VARCHAR(10) NULL;
+
+-- Attempts are numbered per student across every version of a case.
+-- Notes and Assessment & Plan rows are kept per student and case; when a retake
+-- starts, the finished attempt's rows move into archived_work_json.
+-- A professor can reopen a completed attempt (reopened_* record the last time).
+ALTER TABLE case_attempts
+  ADD COLUMN attempt_number INT NOT NULL DEFAULT 1 AFTER user_id,
+  ADD COLUMN archived_work_json JSON NULL,
+  ADD COLUMN reopened_at DATETIME NULL,
+  ADD COLUMN reopened_by INT NULL,
+  ADD COLUMN reopen_reason VARCHAR(255) NULL;
+
+UPDATE case_attempts a
+JOIN (
+  SELECT x.attempt_id,
+         ROW_NUMBER() OVER (PARTITION BY x.user_id, c.family_id ORDER BY x.attempt_id) AS n
+  FROM case_attempts x
+  JOIN cases c ON c.case_id = x.case_id
+) numbered ON numbered.attempt_id = a.attempt_id
+SET a.attempt_number = numbered.n;
@@ -0,0 +1,9 @@
+-- Autosave keeps the whole simulator state on the attempt so a refresh resumes
+-- where the student left off: testing_json holds performed ancillary tests and
+-- interpretation drafts, workspace_json the active tab and unlocked tabs.
+-- save_revision goes up on every save; a save made from an older revision
+-- (another browser tab saved in between) is refused as a conflict.
+ALTER TABLE case_attempts
+  ADD COLUMN testing_json JSON NULL,
+  ADD COLUMN workspace_json JSON NULL,
+  ADD COLUMN save_revision INT NOT NULL DEFAULT 0;
@@ -0,0 +1,19 @@
+-- Timed exams. time_limit_minutes on a case (NULL = untimed) or an assignment
+-- (NULL = as the case says) is copied onto each attempt when it is opened,
+-- together with its deadline. Extensions move deadline_at and are totalled in
+-- extension_minutes. An attempt still open after its deadline is closed by the
+-- server (auto_completed); overtime_seconds is how long after the deadline an
+-- attempt was submitted or closed.
+ALTER TABLE cases
+  ADD COLUMN time_limit_minutes INT NULL;
+
+ALTER TABLE case_assignments
+  ADD COLUMN time_limit_minutes INT NULL;
+
+ALTER TABLE case_attempts
+  ADD COLUMN time_limit_minutes INT NULL,
+  ADD COLUMN deadline_at DATETIME NULL,
+  ADD COLUMN extension_minutes INT NOT NULL DEFAULT 0,
+  ADD COLUMN auto_completed TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN overtime_seconds INT NULL,
+  ADD INDEX idx_case_attempts_deadline (status, deadline_at);
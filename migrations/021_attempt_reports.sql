@@ -0,0 +1,7 @@
+-- Case reports are rendered by the server (lib/reports) when an attempt is
+-- completed and again when its grade is released, and kept in reports/ (not a
+-- public folder). pdf_url is the download route; report_generated_at tells
+-- whether the stored file still matches the attempt. Completed attempts
+-- without one are filled in by the server's background sweep.
+ALTER TABLE case_attempts
+  ADD COLUMN report_generated_at DATETIME NULL;
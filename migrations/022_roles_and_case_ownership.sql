@@ -0,0 +1,16 @@
+-- Roles are checked in one place (lib/permissions): besides students and
+-- professors there are TAs (see everything, score work, author nothing) and
+-- admins. Cases record the professor who made them (owner_id); others may
+-- only change or delete them once the owner shares them. Cases whose author
+-- can't be matched to a professor keep owner_id NULL and stay editable by all.
+ALTER TABLE users
+  MODIFY COLUMN role VARCHAR(20) NOT NULL DEFAULT 'student';
+
+ALTER TABLE cases
+  ADD COLUMN owner_id INT NULL,
+  ADD COLUMN shared TINYINT(1) NOT NULL DEFAULT 0,
+  ADD INDEX idx_cases_owner (owner_id);
+
+UPDATE cases c
+  JOIN users u ON u.username = c.created_by AND u.role = 'professor'
+   SET c.owner_id = u.id;
@@ -0,0 +1,81 @@
+// ======================
+// Test attachments (images, video clips, PDF reports)
+// ======================
+// Ancillary test slots hold images, short MP4/WebM clips and multi-page PDF
+// reports. Case payloads describe each file in `media`
+// ({ filename: { kind, pages, ... } }); the extension is the fallback for
+// files the media library hasn't recorded yet.
+
+function attachmentKind(filename, media) {
+  const info = media && media[filename];
+  if (info && info.kind) return info.kind;
+  if (/\.(mp4|webm)$/i.test(filename)) return 'video';
+  if (/\.pdf$/i.test(filename)) return 'pdf';
+  return 'image';
+}
+
+function attachmentPages(filename, media) {
+  const info = media && media[filename];
+  return info && info.pages ? Number(info.pages) : null;
+}
+
+// Small preview for lists and managers: the image thumbnail, the clip's first
+// frame, or a tile for PDFs. `style` sizes it.
+function attachmentThumbHtml(filename, media, style = '') {
+  const kind = attachmentKind(filename, media);
+  if (kind === 'video') {
+    return `<video src="/uploads/${filename}#t=0.1" preload="metadata" muted style="${style} background:#000;"></video>`;
+  }
+  if (kind === 'pdf') {
+    const pages = attachmentPages(filename, media);
+    return `
+      <div style="${style} display:flex; align-items:center; justify-content:center; flex-direction:column;
+                  background:#f2f6fa; border:1px solid #ccd6e0; color:#0b2e52; font-weight:bold;">
+        📄 PDF<small style="font-weight:normal;">${pages ? `${pages} page${pages === 1 ? '' : 's'}` : ''}</small>
+      </div>
+    `;
+  }
+  return `<img src="/api/media/thumbs/${filename}" loading="lazy" alt="${filename}" style="${style}">`;
+}
+
+// PDF report shown one page at a time (the browser's viewer renders the page)
+function attachmentPdfHtml(filename, pages, page = 1) {
+  return `
+    <div class="attachment-pdf" data-file="${filename}" data-pages="${pages || ''}" data-page="${page}"
+         style="width:100%; margin-top:12px;">
+      <iframe src="/uploads/${filename}#page=${page}&view=FitH" title="PDF report"
+              style="width:100%; height:480px; border:1px solid #ccd6e0; border-radius:8px;"></iframe>
+      <div style="display:flex; align-items:center; gap:10px; margin-top:6px;">
+        <button type="button" onclick="pageAttachment(this, -1)" ${page <= 1 ? 'disabled' : ''}>◀ Prev</button>
+        <span>Page ${page}${pages ? ` of ${pages}` : ''}</span>
+        <button type="button" onclick="pageAttachment(this, 1)" ${pages && page >= pages ? 'disabled' : ''}>Next ▶</button>
+        <a href="/uploads/${filename}" target="_blank" rel="noopener">Open full report ↗</a>
+      </div>
+    </div>
+  `;
+}
+
+function pageAttachment(button, delta) {
+  const box = button.closest('.attachment-pdf');
+  const pages = Number(box.dataset.pages) || null;
+  const page = Math.max(1, Math.min(pages || Infinity, Number(box.dataset.page) + delta));
+  box.outerHTML = attachmentPdfHtml(box.dataset.file, pages, page);
+}
+
+/**
+ * Full-size attachment for a test panel: clips play inline, PDFs page through,
+ * images show their thumbnail and call onImageClick (a JS expression taking
+ * the file's URL, e.g. "openModal") when clicked.
+ */
+function attachmentViewerHtml(filename, media, { imageClass = '', onImageClick = '' } = {}) {
+  const kind = attachmentKind(filename, media);
+  if (kind === 'video') {
+    return `
+      <video src="/uploads/${filename}" controls preload="metadata"
+             style="display:block; max-width:100%; margin-top:12px; border-radius:10px; background:#000;"></video>
+    `;
+  }
+  if (kind === 'pdf') return attachmentPdfHtml(filename, attachmentPages(filename, media));
+  const click = onImageClick ? `onclick="${onImageClick}('/uploads/${filename}')"` : '';
+  return `<img src="/api/media/thumbs/${filename}" loading="lazy" class="${imageClass}" ${click}>`;
+}
@@ -0,0 +1,63 @@
+// ======================
+// Simulated claim (CMS-1500 style)
+// ======================
+// renderClaims(result) turns GET /api/cases/:caseId/claim (or a grading
+// workspace's work.claim) into HTML: one form per payer, then what would bounce.
+
+function escapeClaimHtml(value) {
+  return String(value ?? '').replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
+
+function claimIssueList(issues, color) {
+  return `<ul style="margin:6px 0; color:${color};">${issues.map(i => `<li>${escapeClaimHtml(i.message)}</li>`).join('')}</ul>`;
+}
+
+function renderClaim(claim) {
+  const dos = d => (d ? new Date(d).toLocaleDateString() : '—');
+  return `
+    <div style="border:1px solid #ccd6e0; border-radius:8px; padding:12px; margin:10px 0; background:#fff;">
+      <h4 style="margin:0 0 6px; color:#0b2e52;">${claim.payer === 'vision' ? '👓 Vision' : '🩺 Medical'} claim</h4>
+      <p style="margin:2px 0;"><strong>Insurance (1/11):</strong> ${escapeClaimHtml(claim.insurance.name) || '—'}
+        ${claim.insurance.info ? `<small>${escapeClaimHtml(claim.insurance.info)}</small>` : ''}</p>
+      <p style="margin:2px 0;"><strong>Patient (2/3/5):</strong> ${escapeClaimHtml(claim.patient?.name) || '—'},
+        DOB ${dos(claim.patient?.dob)}, ${escapeClaimHtml(claim.patient?.address) || '—'}</p>
+      <p style="margin:2px 0;"><strong>Diagnoses (21):</strong>
+        ${claim.diagnoses.map(d => `${d.pointer}. ${escapeClaimHtml(d.code)}`).join('&nbsp;&nbsp;') || '—'}</p>
+      <table style="width:100%; border-collapse:collapse; margin-top:6px; font-size:0.9em;">
+        <tr style="background:#115680; color:#fff;">
+          <th>#</th><th>DOS (24A)</th><th>POS</th><th>CPT/HCPCS</th><th>Modifiers</th>
+          <th>Pointer (24E)</th><th>Charge</th><th>Units</th>
+        </tr>
+        ${claim.lines.map(l => `
+          <tr style="border-bottom:1px solid #e5eaf0;">
+            <td>${l.line}</td>
+            <td>${dos(l.date_of_service)}</td>
+            <td>${l.place_of_service}</td>
+            <td><strong>${escapeClaimHtml(l.code)}</strong> <small>${escapeClaimHtml(l.description)}</small></td>
+            <td>${l.modifiers.join(' ') || '—'}</td>
+            <td>${l.pointers.join('') || '—'}</td>
+            <td>$${l.charge.toFixed(2)}</td>
+            <td>${l.units}</td>
+          </tr>
+        `).join('')}
+      </table>
+      <p style="text-align:right; margin:6px 0 0;"><strong>Total charge (28):</strong> $${claim.total_charge.toFixed(2)}</p>
+    </div>
+  `;
+}
+
+function renderClaims(result) {
+  if (!result || !result.claims) return '<p>No claim available.</p>';
+  const { claims, denials, warnings } = result;
+  if (!claims.length && !denials.length) return '<p>No CPT codes billed yet.</p>';
+
+  return `
+    ${claims.map(renderClaim).join('')}
+    ${denials.length
+      ? `<h4 style="margin:10px 0 0; color:#c0392b;">❌ Would be denied (${denials.length})</h4>${claimIssueList(denials, '#c0392b')}`
+      : '<p style="color:#2e7d32;"><strong>✅ No denials.</strong></p>'}
+    ${warnings.length
+      ? `<h4 style="margin:10px 0 0; color:#b7791f;">⚠️ Warnings (${warnings.length})</h4>${claimIssueList(warnings, '#b7791f')}`
+      : ''}
+  `;
+}
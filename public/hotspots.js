@@ -0,0 +1,120 @@
+// ======================
+// Image hotspots ("find the lesion")
+// ======================
+// Shared by the Step 4 region editor, the student image viewer and grading.
+// Regions and marks are { x, y, w, h } as fractions of the image size; a click
+// is a mark with w = h = 0. A stage is a position:relative box wrapping the
+// <img> exactly, so percentages of the stage are percentages of the image.
+
+// Fractions are stored with 5 decimals
+function roundHotspot(n) {
+  return Math.round(Math.min(1, Math.max(0, n)) * 100000) / 100000;
+}
+
+function escapeHotspotHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+  ));
+}
+
+// Outline colour per kind of box
+const HOTSPOT_COLORS = {
+  'hotspot-region': '#2fc4b2',
+  'hotspot-mark': '#fad739',
+  'hotspot-drawing': '#fff'
+};
+
+// One region or mark drawn over a stage (clicks are drawn as a dot)
+function hotspotBoxHtml(box, kind, text = '') {
+  const pct = n => `${(Number(n) * 100).toFixed(3)}%`;
+  const color = HOTSPOT_COLORS[kind] || '#fad739';
+  const point = !Number(box.w) || !Number(box.h);
+  const style = point
+    ? `left:${pct(box.x)}; top:${pct(box.y)}; width:12px; height:12px; margin:-6px 0 0 -6px;
+       border-radius:50%; background:${color}; border:2px solid #0b2e52;`
+    : `left:${pct(box.x)}; top:${pct(box.y)}; width:${pct(box.w)}; height:${pct(box.h)};
+       border:2px ${kind === 'hotspot-drawing' ? 'dashed' : 'solid'} ${color}; box-sizing:border-box;`;
+  return `<div class="${kind}" style="position:absolute; pointer-events:none; ${style}">` +
+    (text
+      ? `<span style="position:absolute; left:0; bottom:100%; background:${color}; color:#0b2e52;
+           font-size:11px; line-height:normal; padding:1px 4px; white-space:nowrap;">${escapeHotspotHtml(text)}</span>`
+      : '') +
+    '</div>';
+}
+
+// Image with its regions (labeled) and marks drawn over it
+function hotspotStageHtml(src, regions, marks) {
+  return `
+    <div style="position:relative; display:inline-block; max-width:100%; line-height:0;">
+      <img src="${src}" alt="" style="max-width:100%; display:block;">
+      ${(regions || []).map(r => hotspotBoxHtml(r, 'hotspot-region', r.label)).join('')}
+      ${(marks || []).map(m => hotspotBoxHtml(m, 'hotspot-mark')).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Let the user click or drag over `img` (inside `stage`). Calls onDone with the
+ * box as fractions of the image; a click (or a tiny drag) gives w = h = 0.
+ * Returns a function that stops listening.
+ */
+function trackRegionDrawing(stage, img, onDone) {
+  let start = null;
+  let ghost = null;
+
+  const at = e => {
+    const r = img.getBoundingClientRect();
+    return { x: roundHotspot((e.clientX - r.left) / r.width), y: roundHotspot((e.clientY - r.top) / r.height) };
+  };
+  const boxBetween = (a, b) => ({
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    w: roundHotspot(Math.abs(a.x - b.x)),
+    h: roundHotspot(Math.abs(a.y - b.y))
+  });
+
+  function down(e) {
+    if (e.button !== 0 || e.target.closest('button, input')) return;
+    e.preventDefault();
+    start = at(e);
+    ghost = document.createElement('div');
+    stage.appendChild(ghost);
+  }
+
+  function move(e) {
+    if (!start) return;
+    ghost.outerHTML = hotspotBoxHtml(boxBetween(start, at(e)), 'hotspot-drawing');
+    ghost = stage.lastElementChild;
+  }
+
+  function up(e) {
+    if (!start) return;
+    const box = boxBetween(start, at(e));
+    ghost.remove();
+    start = null;
+    onDone(box.w < 0.01 && box.h < 0.01 ? { x: box.x, y: box.y, w: 0, h: 0 } : box);
+  }
+
+  stage.addEventListener('mousedown', down);
+  window.addEventListener('mousemove', move);
+  window.addEventListener('mouseup', up);
+  return () => {
+    stage.removeEventListener('mousedown', down);
+    window.removeEventListener('mousemove', move);
+    window.removeEventListener('mouseup', up);
+  };
+}
+
+// Per-image result of the auto-grade (grade.hotspots.images[i])
+function hotspotResultHtml(result) {
+  if (!result) return '';
+  const list = labels => (labels.length ? labels.map(escapeHotspotHtml).join(', ') : '—');
+  return `
+    <p class="hotspot-result">
+      <strong>${result.score ?? 'N/A'}%</strong> ·
+      ✅ Found: ${list(result.hits)} ·
+      ❌ Missed: ${list(result.misses)} ·
+      ⚠️ False positives: ${result.false_positives}
+    </p>
+  `;
+}
@@ -0,0 +1,102 @@
+// ======================
+// ICD-10-CM autocomplete
+// ======================
+// attachIcd10Picker(input) turns a text input into a search box over GET /api/icd10.
+// Typing a code prefix ("H40.11") or description words ("primary open angle") lists
+// matches; picking one puts the code in the input and shows its description below.
+// Non-billable (category) codes are listed but can't be picked.
+
+function escapeIcd10Html(value) {
+  return String(value ?? '').replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
+
+function attachIcd10Picker(input, { onPick } = {}) {
+  if (!input || input.dataset.icd10Picker) return;
+  input.dataset.icd10Picker = '1';
+  input.setAttribute('autocomplete', 'off');
+
+  const wrapper = document.createElement('div');
+  wrapper.style.position = 'relative';
+  input.parentNode.insertBefore(wrapper, input);
+  wrapper.appendChild(input);
+
+  const list = document.createElement('div');
+  list.style.cssText = 'display:none; position:absolute; left:0; right:0; top:100%; z-index:50; max-height:260px;' +
+    'overflow-y:auto; background:#fff; border:1px solid #ccd6e0; border-radius:8px; box-shadow:0 4px 12px rgba(0,0,0,0.12);';
+  wrapper.appendChild(list);
+
+  const hint = document.createElement('small');
+  hint.style.cssText = 'display:block; margin-top:4px; color:#115680;';
+  wrapper.appendChild(hint);
+
+  let timer = null;
+  let results = [];
+
+  function close() {
+    list.style.display = 'none';
+  }
+
+  function render() {
+    if (!results.length) {
+      list.innerHTML = '<div style="padding:8px 10px; color:#777;">No matching ICD-10-CM codes</div>';
+    } else {
+      list.innerHTML = results.map((r, i) => `
+        <div data-index="${i}" style="padding:8px 10px; cursor:${r.billable ? 'pointer' : 'default'};
+             border-bottom:1px solid #f0f3f6; ${r.billable ? '' : 'color:#999;'}">
+          <strong>${escapeIcd10Html(r.code)}</strong> ${escapeIcd10Html(r.description)}
+          ${r.billable ? '' : '<em>(needs more characters)</em>'}
+        </div>
+      `).join('');
+    }
+    list.style.display = 'block';
+  }
+
+  function search() {
+    const q = input.value.trim();
+    if (q.length < 2) return close();
+    fetch(`/api/icd10?q=${encodeURIComponent(q)}`, { credentials: 'include' })
+      .then(res => (res.ok ? res.json() : { results: [] }))
+      .then(data => {
+        if (input.value.trim() !== q) return; // a newer search is on its way
+        results = data.results || [];
+        render();
+      })
+      .catch(close);
+  }
+
+  input.addEventListener('input', () => {
+    hint.textContent = '';
+    input.style.borderColor = '';
+    clearTimeout(timer);
+    timer = setTimeout(search, 250);
+  });
+
+  list.addEventListener('mousedown', e => {
+    const row = e.target.closest('[data-index]');
+    if (!row) return;
+    e.preventDefault(); // keep focus so blur doesn't close the list first
+    const pick = results[Number(row.dataset.index)];
+    if (!pick || !pick.billable) return;
+    input.value = pick.code;
+    hint.style.color = '#115680';
+    hint.textContent = pick.description;
+    close();
+    if (onPick) onPick(pick);
+  });
+
+  input.addEventListener('blur', () => setTimeout(close, 150));
+}
+
+// Show server-side problems ({ index, message }) under the matching inputs
+function showIcd10Problems(inputs, problems) {
+  (problems || []).forEach(p => {
+    const input = inputs[p.index];
+    if (!input) return;
+    input.style.borderColor = '#c0392b';
+    const hint = input.parentNode.querySelector('small');
+    if (hint) {
+      hint.style.color = '#c0392b';
+      hint.textContent = p.message;
+    }
+  });
+}
@@ -0,0 +1,112 @@
+// ======================
+// Case Wizard - edit mode
+// ======================
+// Opening /wizard/stepN?case_id=X pre-fills the step from GET /api/cases/:id.
+// Each step posts back to the same handler, which updates the case in place.
+
+function wizardCaseId() {
+  return new URLSearchParams(window.location.search).get('case_id');
+}
+
+// Full case (professor view), or null when creating a new case
+function loadWizardCase() {
+  const caseId = wizardCaseId();
+  if (!caseId) return Promise.resolve(null);
+
+  return fetch(`/api/cases/${caseId}`, { credentials: 'include' })
+    .then(res => (res.ok ? res.json() : null))
+    .catch(() => null);
+}
+
+// Dates/times come back from MySQL in formats the inputs won't take
+function toInputValue(input, value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  if (input.type === 'date') return str.slice(0, 10);
+  if (input.type === 'time') return str.slice(0, 5);
+  return str;
+}
+
+// Fill every named field of the form that has a value in `values`
+function fillWizardForm(form, values) {
+  if (!values) return;
+  Object.entries(values).forEach(([name, value]) => {
+    const input = form.querySelector(`[name="${name}"]`);
+    if (!input || input.type === 'file' || input.type === 'hidden') return;
+    input.value = toInputValue(input, value);
+  });
+}
+
+// Show that Step N is editing an existing case, not creating one
+function markWizardEditing(caseData) {
+  const heading = document.querySelector('h2');
+  if (!heading || !caseData) return;
+  const banner = document.createElement('p');
+  banner.className = 'edit-banner';
+  banner.textContent = `✏️ Editing "${caseData.case_name}" — saving a step updates the case.`;
+  heading.insertAdjacentElement('afterend', banner);
+}
+
+// ======================
+// Existing uploads (keep / reorder / remove)
+// ======================
+// Renders the field's current images above its file input and keeps a hidden
+// keep_<field> input in sync with the kept filenames, in display order.
+// Pass onAnnotate(filename) to offer a 🎯 button for marking regions on an image,
+// and the case's `media` to preview videos and PDFs (needs /attachments.js).
+function setupImageManager(field, csv, { onAnnotate, media } = {}) {
+  const fileInput = document.querySelector(`input[type="file"][name="${field}"]`);
+  if (!fileInput) return;
+
+  let images = String(csv || '').split(',').map(s => s.trim()).filter(Boolean);
+
+  const keep = document.createElement('input');
+  keep.type = 'hidden';
+  keep.name = `keep_${field}`;
+
+  const list = document.createElement('div');
+  list.className = 'image-manager';
+
+  fileInput.insertAdjacentElement('beforebegin', list);
+  fileInput.insertAdjacentElement('beforebegin', keep);
+
+  function render() {
+    keep.value = images.join(',');
+    if (!images.length) {
+      list.innerHTML = '<p class="image-manager-empty">No saved images.</p>';
+      return;
+    }
+    list.innerHTML = images.map((img, i) => {
+      const isImage = !media || attachmentKind(img, media) === 'image';
+      return `
+      <div class="image-manager-item">
+        ${isImage
+          ? `<img src="/api/media/thumbs/${img}" loading="lazy" alt="${img}">`
+          : attachmentThumbHtml(img, media, 'width:100%; height:80px; border-radius:4px; box-sizing:border-box;')}
+        <div class="image-manager-actions">
+          <button type="button" data-move="-1" data-index="${i}" ${i === 0 ? 'disabled' : ''}>⬆</button>
+          <button type="button" data-move="1" data-index="${i}" ${i === images.length - 1 ? 'disabled' : ''}>⬇</button>
+          ${onAnnotate && isImage ? `<button type="button" data-annotate="${i}" title="Mark regions">🎯</button>` : ''}
+          <button type="button" data-remove="${i}">✕</button>
+        </div>
+      </div>
+    `;
+    }).join('');
+  }
+
+  list.addEventListener('click', e => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    if (btn.dataset.annotate !== undefined) return onAnnotate(images[Number(btn.dataset.annotate)]);
+    if (btn.dataset.remove !== undefined) {
+      images.splice(Number(btn.dataset.remove), 1);
+    } else {
+      const i = Number(btn.dataset.index);
+      const j = i + Number(btn.dataset.move);
+      [images[i], images[j]] = [images[j], images[i]];
+    }
+    render();
+  });
+
+  render();
+}
@@ -0,0 +1,117 @@
+// ======================
+// Case Wizard - "find the lesion" regions
+// ======================
+// Step 4 lets the professor outline labeled regions on saved case images.
+// An image with regions becomes a question: students mark where they see the
+// findings and are scored on what they found. The map of regions by filename
+// is posted as JSON in the hotspots_json field. Needs /hotspots.js.
+
+const HOTSPOT_LABELS = [
+  'Hemorrhage', 'Drusen', 'Exudate', 'Cotton wool spot', 'Microaneurysm',
+  'Neovascularization', 'Disc notch', 'Disc hemorrhage', 'Nevus', 'Retinal tear',
+  'Corneal ulcer', 'Infiltrate', 'Foreign body', 'Pterygium'
+];
+const HOTSPOT_MAX_REGIONS = 20;
+
+/**
+ * Adds the hidden hotspots_json input to `form` and the editor dialog to the page.
+ * Returns annotate(filename), which opens the editor for one saved image.
+ */
+function setupHotspotEditor(form, saved) {
+  const regions = JSON.parse(JSON.stringify(saved || {}));
+
+  const input = document.createElement('input');
+  input.type = 'hidden';
+  input.name = 'hotspots_json';
+  form.appendChild(input);
+
+  const dialog = document.createElement('div');
+  dialog.className = 'hotspot-editor';
+  dialog.hidden = true;
+  dialog.innerHTML = `
+    <div class="hotspot-editor-panel">
+      <h3>🎯 Find the Lesion</h3>
+      <p>Drag over the image to outline each finding students should locate, then name it.
+        Images without regions are not questions.</p>
+      <div class="hotspot-editor-stage"><img alt="Case image"></div>
+      <div class="hotspot-editor-list"></div>
+      <datalist id="hotspot-labels">
+        ${HOTSPOT_LABELS.map(l => `<option value="${l}">`).join('')}
+      </datalist>
+      <button type="button" class="hotspot-editor-done">Done</button>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+
+  const stage = dialog.querySelector('.hotspot-editor-stage');
+  const img = stage.querySelector('img');
+  const list = dialog.querySelector('.hotspot-editor-list');
+  let filename = null;
+
+  function sync() {
+    Object.keys(regions).forEach(f => { if (!regions[f].length) delete regions[f]; });
+    input.value = JSON.stringify(regions);
+  }
+
+  function drawBoxes() {
+    stage.querySelectorAll('.hotspot-region').forEach(el => el.remove());
+    stage.insertAdjacentHTML('beforeend', (regions[filename] || [])
+      .map((r, i) => hotspotBoxHtml(r, 'hotspot-region', r.label || `#${i + 1}`)).join(''));
+  }
+
+  function render() {
+    const boxes = regions[filename] || [];
+    drawBoxes();
+    list.innerHTML = boxes.length
+      ? boxes.map((r, i) => `
+          <div class="hotspot-region-row">
+            <strong>#${i + 1}</strong>
+            <input type="text" list="hotspot-labels" maxlength="80" data-label="${i}"
+              value="${escapeHotspotHtml(r.label)}" placeholder="Label, e.g. Drusen">
+            <button type="button" data-remove="${i}">✕</button>
+          </div>
+        `).join('')
+      : '<p class="image-manager-empty">No regions on this image.</p>';
+    sync();
+  }
+
+  trackRegionDrawing(stage, img, box => {
+    if (!filename || !box.w || !box.h) return;
+    const boxes = regions[filename] = regions[filename] || [];
+    if (boxes.length >= HOTSPOT_MAX_REGIONS) return alert(`⚠️ At most ${HOTSPOT_MAX_REGIONS} regions per image.`);
+    boxes.push({ label: '', ...box });
+    render();
+    list.querySelector(`[data-label="${boxes.length - 1}"]`).focus();
+  });
+
+  list.addEventListener('input', e => {
+    if (e.target.dataset.label === undefined) return;
+    regions[filename][Number(e.target.dataset.label)].label = e.target.value;
+    drawBoxes();
+    sync();
+  });
+
+  list.addEventListener('click', e => {
+    const btn = e.target.closest('button[data-remove]');
+    if (!btn) return;
+    regions[filename].splice(Number(btn.dataset.remove), 1);
+    render();
+  });
+
+  dialog.querySelector('.hotspot-editor-done').addEventListener('click', () => {
+    if ((regions[filename] || []).some(r => !r.label.trim())) {
+      return alert('⚠️ Give every region a label (or remove it).');
+    }
+    dialog.hidden = true;
+    filename = null;
+  });
+
+  sync();
+
+  return function annotate(file) {
+    filename = file;
+    img.src = `/uploads/${file}`;
+    render();
+    dialog.hidden = false;
+  };
+}
@@ -0,0 +1,119 @@
+// ======================
+// Case Wizard - patient interview responses
+// ======================
+// Step 3 lets the professor write how the patient answers questions. Each
+// response is a vocabulary topic (or a custom question) with extra phrases, an
+// answer and follow-ups. The list is posted as JSON in the interview_json field.
+
+// Shared topics and follow-up kinds ([] if the vocabulary can't be loaded)
+function fetchInterviewVocabulary() {
+  return fetch('/api/interview/vocabulary', { credentials: 'include' })
+    .then(res => (res.ok ? res.json() : { vocabulary: [] }))
+    .then(data => data.vocabulary || [])
+    .catch(() => []);
+}
+
+function escapeInterviewHtml(value) {
+  return String(value ?? '').replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
+
+function interviewTopicOptions(vocabulary, kind, selected) {
+  return vocabulary
+    .filter(v => v.kind === kind)
+    .map(v => `<option value="${v.topic_key}" ${v.topic_key === selected ? 'selected' : ''}>${escapeInterviewHtml(v.label)}</option>`)
+    .join('') + `<option value="" ${selected ? '' : 'selected'}>Custom question…</option>`;
+}
+
+// Shows which phrases a vocabulary entry already brings, under its select
+function interviewPhraseHint(vocabulary, key) {
+  const entry = vocabulary.find(v => v.topic_key === key);
+  return entry ? `Already understood: ${entry.phrases.slice(0, 8).join(', ')}${entry.phrases.length > 8 ? ', …' : ''}` : '';
+}
+
+function addInterviewFollowUp(card, vocabulary, followUp = {}) {
+  const row = document.createElement('div');
+  row.className = 'interview-follow-up';
+  row.innerHTML = `
+    <label>Follow-up</label>
+    <select class="iv-topic">${interviewTopicOptions(vocabulary, 'follow_up', followUp.topic_key)}</select>
+    <small class="iv-hint"></small>
+    <input type="text" class="iv-phrases" placeholder="Other ways to ask (comma separated)"
+           value="${escapeInterviewHtml((followUp.phrases || []).join(', '))}">
+    <input type="text" class="iv-answer" placeholder="Patient's answer, e.g. About three weeks."
+           value="${escapeInterviewHtml(followUp.answer)}">
+    <button type="button" class="interview-remove">✖ Remove Follow-up</button>
+  `;
+  wireInterviewRow(row, vocabulary);
+  card.querySelector('.iv-follow-ups').appendChild(row);
+}
+
+function addInterviewResponse(container, vocabulary, response = {}) {
+  const card = document.createElement('div');
+  card.className = 'interview-response';
+  card.innerHTML = `
+    <label>Question topic</label>
+    <select class="iv-topic">${interviewTopicOptions(vocabulary, 'topic', response.topic_key)}</select>
+    <small class="iv-hint"></small>
+    <input type="text" class="iv-phrases" placeholder="Other ways to ask (comma separated)"
+           value="${escapeInterviewHtml((response.phrases || []).join(', '))}">
+    <textarea class="iv-answer" placeholder="Patient's answer">${escapeInterviewHtml(response.answer)}</textarea>
+    <div class="iv-follow-ups"></div>
+    <button type="button" class="iv-add-follow-up">➕ Add Follow-up</button>
+    <button type="button" class="interview-remove">🗑 Remove Response</button>
+  `;
+  wireInterviewRow(card, vocabulary);
+  card.querySelector('.iv-add-follow-up').addEventListener('click', () => addInterviewFollowUp(card, vocabulary));
+  (response.follow_ups || []).forEach(f => addInterviewFollowUp(card, vocabulary, f));
+  container.appendChild(card);
+}
+
+// Topic hint + remove button for a response card or follow-up row
+function wireInterviewRow(row, vocabulary) {
+  const select = row.querySelector('.iv-topic');
+  const hint = row.querySelector('.iv-hint');
+  const update = () => { hint.textContent = interviewPhraseHint(vocabulary, select.value); };
+  select.addEventListener('change', update);
+  update();
+  row.querySelector(':scope > .interview-remove').addEventListener('click', () => row.remove());
+}
+
+function interviewEntryValue(row) {
+  return {
+    topic_key: row.querySelector(':scope > .iv-topic').value || null,
+    phrases: row.querySelector(':scope > .iv-phrases').value.split(',').map(p => p.trim()).filter(Boolean),
+    answer: row.querySelector(':scope > .iv-answer').value.trim()
+  };
+}
+
+// [{ topic_key, phrases, answer, follow_ups }] as the server expects it
+function interviewEditorValue(container) {
+  return Array.from(container.querySelectorAll('.interview-response')).map(card => ({
+    ...interviewEntryValue(card),
+    follow_ups: Array.from(card.querySelectorAll('.interview-follow-up')).map(interviewEntryValue)
+  }));
+}
+
+/**
+ * Render the editor into `container` and post its value with `form`.
+ * Nothing is posted if the vocabulary didn't load, so saved responses stay as they are.
+ */
+function setupInterviewEditor(form, container, addButton, responses) {
+  return fetchInterviewVocabulary().then(vocabulary => {
+    if (!vocabulary.length) {
+      container.innerHTML = '<p class="image-manager-empty">Interview vocabulary unavailable; responses can\'t be edited right now.</p>';
+      addButton.disabled = true;
+      return;
+    }
+    container.innerHTML = '';
+    (responses || []).forEach(r => addInterviewResponse(container, vocabulary, r));
+    addButton.addEventListener('click', () => addInterviewResponse(container, vocabulary));
+
+    const hidden = document.createElement('input');
+    hidden.type = 'hidden';
+    hidden.name = 'interview_json';
+    form.appendChild(hidden);
+    form.addEventListener('submit', () => {
+      hidden.value = JSON.stringify(interviewEditorValue(container));
+    });
+  });
+}
@@ -0,0 +1,138 @@
+// ======================
+// Case Wizard - ancillary tests
+// ======================
+// Steps 4 and 5 render one section per test type from GET /api/test-types.
+// Input names match the server's testInputName(): test_<key>_<part>.
+
+const TEST_STATUSES = [
+  { value: 'performed', label: 'Performed' },
+  { value: 'contraindicated', label: 'Contraindicated' },
+  { value: 'not_performed', label: 'Not Performed (Unavailable / Not Necessary)' },
+  { value: 'other', label: 'Other' }
+];
+
+function testInputName(testKey, part) {
+  return `test_${testKey}_${part}`;
+}
+
+// Active test types in display order ([] if the registry can't be loaded)
+function fetchTestTypes() {
+  return fetch('/api/test-types', { credentials: 'include' })
+    .then(res => (res.ok ? res.json() : { testTypes: [] }))
+    .then(data => data.testTypes || [])
+    .catch(() => []);
+}
+
+function testOptionsHtml(options, placeholder = '-- Select --') {
+  return `<option value="">${placeholder}</option>` +
+    (options || []).map(o => `<option value="${o.value}">${o.label || o.value}</option>`).join('');
+}
+
+// ---------- Step 4: status, notes and upload slots ----------
+function renderTestStatusSections(container, testTypes) {
+  container.innerHTML = testTypes.map(t => `
+    <!-- ${t.label} -->
+    <label>${t.label}</label><br>
+    <select name="${testInputName(t.test_key, 'status')}">
+      ${testOptionsHtml(TEST_STATUSES, '-- Select Status --')}
+    </select>
+    <input type="text" name="${testInputName(t.test_key, 'notes')}" placeholder="Notes">
+    <br>
+    ${t.image_slots.map(slot => {
+      const name = testInputName(t.test_key, slot.name);
+      return `
+        <label for="${name}">Upload ${slot.label} (images, MP4/WebM clips or PDF reports):</label>
+        <input type="file" id="${name}" name="${name}" accept="image/*,video/mp4,video/webm,application/pdf" multiple>
+        <br>
+      `;
+    }).join('')}
+    <br>
+  `).join('');
+}
+
+// ---------- Step 5: per-test fields and per-eye findings ----------
+function testFieldInput(testType, field) {
+  const name = testInputName(testType.test_key, field.name);
+  if (field.input === 'select') {
+    // Dependent selects are filled in once the parent has a value
+    return `<select name="${name}">${testOptionsHtml(field.depends_on ? [] : field.options)}</select>`;
+  }
+  if (field.input === 'textarea') return `<textarea name="${name}"></textarea>`;
+  return `<input type="${field.input === 'date' ? 'date' : 'text'}" name="${name}">`;
+}
+
+// Rebuild a dependent select's options from its parent's value (hidden while there are none)
+function updateDependentSelect(container, testType, field) {
+  const parent = container.querySelector(`[name="${testInputName(testType.test_key, field.depends_on)}"]`);
+  const select = container.querySelector(`[name="${testInputName(testType.test_key, field.name)}"]`);
+  if (!parent || !select) return;
+
+  const options = (field.options || {})[parent.value] || [];
+  const current = select.value;
+  select.innerHTML = testOptionsHtml(options);
+  if (options.some(o => o.value === current)) select.value = current;
+  select.parentElement.style.display = options.length ? '' : 'none';
+}
+
+function renderTestResultSections(container, testTypes) {
+  container.innerHTML = testTypes.map(t => `
+    <!-- ${t.label} -->
+    <div class="test-section">
+      <h3>${t.label}</h3>
+      <div class="form-grid">
+        ${t.fields.map(f => `
+          <div>
+            <label>${f.label}:</label>
+            ${testFieldInput(t, f)}
+          </div>
+        `).join('')}
+      </div>
+      ${t.per_eye ? `
+        <div class="form-grid">
+          <div>
+            <label>Findings OD:</label>
+            <textarea name="${testInputName(t.test_key, 'findings_od')}"></textarea>
+          </div>
+          <div>
+            <label>Findings OS:</label>
+            <textarea name="${testInputName(t.test_key, 'findings_os')}"></textarea>
+          </div>
+        </div>
+      ` : ''}
+    </div>
+  `).join('');
+
+  testTypes.forEach(t => t.fields.filter(f => f.depends_on).forEach(f => {
+    const parent = container.querySelector(`[name="${testInputName(t.test_key, f.depends_on)}"]`);
+    if (parent) parent.addEventListener('change', () => updateDependentSelect(container, t, f));
+    updateDependentSelect(container, t, f);
+  }));
+}
+
+// ---------- Edit mode ----------
+
+// Flat { input name → value } for a case's saved tests
+function testFormValues(tests) {
+  const values = {};
+  Object.values(tests || {}).forEach(test => {
+    const name = part => testInputName(test.test_key, part);
+    values[name('status')] = test.status;
+    values[name('notes')] = test.notes;
+    values[name('findings_od')] = test.findings_od;
+    values[name('findings_os')] = test.findings_os;
+    Object.entries(test.fields || {}).forEach(([field, value]) => { values[name(field)] = value; });
+  });
+  return values;
+}
+
+// Pre-fill the rendered sections (dependent selects once their parent is set)
+function fillTestSections(container, testTypes, tests) {
+  const values = testFormValues(tests);
+  fillWizardForm(container, values);
+  testTypes.forEach(t => t.fields.filter(f => f.depends_on).forEach(f => {
+    updateDependentSelect(container, t, f);
+    const select = container.querySelector(`[name="${testInputName(t.test_key, f.name)}"]`);
+    const value = values[testInputName(t.test_key, f.name)];
+    if (select && value) select.value = value;
+  }));
+}
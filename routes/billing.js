@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db'); // mysql2/promise
+const { studentClaims } = require('../lib/billing');
+const { can, requirePermission } = require('../lib/permissions');
+
+// ---------- ROUTES ----------
+
+/**
+ * 1) Simulated CMS-1500 claims for a student's Assessment & Plan coding.
+ *    Students get their own; staff pass ?student_id=.
+ *    Returns { claims: [{ payer, insurance, patient, diagnoses, lines, total_charge }], denials, warnings }
+ */
+router.get('/cases/:caseId/claim', requirePermission('cases:work', 'work:view-any'), async (req, res) => {
+  try {
+    const studentId = can(req.user, 'work:view-any') ? Number(req.query.student_id) : req.user.user_id;
+    if (!studentId) return res.status(400).json({ error: 'MISSING_STUDENT_ID' });
+
+    const [cases] = await pool.execute('SELECT case_id FROM cases WHERE case_id=?', [req.params.caseId]);
+    if (!cases.length) return res.status(404).json({ error: 'CASE_NOT_FOUND' });
+
+    const result = await studentClaims(req.params.caseId, studentId);
+    return res.json({ caseId: Number(req.params.caseId), studentId, ...result });
+  } catch (err) {
+    console.error('claim error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+module.exports = router;
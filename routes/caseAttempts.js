@@ -1,57 +1,118 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../db'); // mysql2/promise
-
-// ---------- Auth middleware (uses cookie-session set in server.js) ----------
-function requireAuth(req, res, next) {
-  const u = req.session && req.session.user;
-  if (!u || !u.id) {
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
-  // normalize shape
-  req.user = { user_id: u.id, username: u.username, role: u.role };
-  next();
-}
+const { RUBRIC, gradeAttempt, withoutAnswerKey, parseJson } = require('../lib/grading');
+const { caseAvailability, retakesLeft } = require('../lib/courses');
+const { storeReport } = require('../lib/reports');
+const {
+  TIME_LIMIT_MAX, attemptsLeft, keptAttempt, loadRetakePolicy, familyAttempts, attemptTimer,
+  createAttempt, expireIfOverdue, completeAttempt, startRetake, reopenAttempt, extendAttempt
+} = require('../lib/attempts');
+const { can, requirePermission } = require('../lib/permissions');
 
 // ---------- Helpers ----------
+// (timed attempts past their deadline come back closed)
 async function getAttemptByIdForUser(attemptId, userId) {
   const [rows] = await pool.execute(
     'SELECT * FROM case_attempts WHERE attempt_id=? AND user_id=?',
     [attemptId, userId]
   );
-  return rows[0] || null;
+  return expireIfOverdue(rows[0] || null);
 }
 
 async function getAttemptByCaseForUser(caseId, userId) {
   const [rows] = await pool.execute(
-    'SELECT * FROM case_attempts WHERE case_id=? AND user_id=? LIMIT 1',
+    'SELECT * FROM case_attempts WHERE case_id=? AND user_id=? ORDER BY attempt_id DESC LIMIT 1',
     [caseId, userId]
   );
-  return rows[0] || null;
+  return expireIfOverdue(rows[0] || null);
+}
+
+// Why a closed attempt can't take more work
+function closedError(attempt) {
+  return attempt.auto_completed
+    ? { error: 'TIME_EXPIRED', message: 'Time is up for this case; your work was submitted.' }
+    : { error: 'CASE_COMPLETED' };
+}
+
+// Autosaved simulator sections → their column
+const SAVE_SECTIONS = {
+  history: 'history_json',
+  exam: 'exam_json',
+  testing: 'testing_json',
+  assessment: 'assessment_json',
+  plan: 'plan_json',
+  attachments: 'attachments_json',
+  workspace: 'workspace_json'
+};
+
+// What autosave last stored on an attempt, section by section
+function savedState(attempt) {
+  const state = {};
+  Object.entries(SAVE_SECTIONS).forEach(([section, col]) => {
+    state[section] = parseJson(attempt[col]);
+  });
+  return state;
+}
+
+// Retake policy that applies and how many attempts it leaves
+async function retakeSummary(caseId, assignment, used) {
+  const policy = await loadRetakePolicy(caseId, assignment);
+  return { policy, attemptsUsed: used, attemptsLeft: attemptsLeft(policy, used) };
 }
 
+// Students work cases; staff may open any case (drafts included) to try it out
+const requireCaseWork = requirePermission('cases:work', 'cases:view-all');
+
 // ---------- ROUTES ----------
 
+// Why a student can't work on an assigned case right now, or null
+const WINDOW_ERRORS = {
+  unassigned: { error: 'NOT_ASSIGNED', message: 'This case is not assigned to any of your sections.' },
+  upcoming: { error: 'ASSIGNMENT_NOT_OPEN', message: 'This assignment is not open yet.' },
+  closed: { error: 'ASSIGNMENT_CLOSED', message: 'This assignment is closed.' }
+};
+
 /**
- * 1) Ensure a single attempt per student×case.
- *    - If an IN_PROGRESS attempt exists: return it.
- *    - If COMPLETED: 403 and block re-entry.
+ * 1) Ensure the student has an attempt on the case to work in.
+ *    Body: { caseId, lastPage?, retake? }
+ *    - Assigned cases: 403 NOT_ASSIGNED / ASSIGNMENT_NOT_OPEN / ASSIGNMENT_CLOSED
+ *      outside the student's assignment window (staff are exempt).
+ *    - If an IN_PROGRESS attempt exists: return it (409 ATTEMPT_IN_PROGRESS with
+ *      its caseId when it is on another version of the case).
+ *    - If the latest is COMPLETED: 403 CASE_COMPLETED with canRetake; with
+ *      retake: true and attempts left under the retake policy, start the next one.
  *    - If none: create IN_PROGRESS (optionally set last_page).
+ *    Responses carry { policy, attemptsUsed, attemptsLeft (null = unlimited) } and
+ *    the applicable assignment (or null) as { assignment, window }.
+ *    - Timed cases (policy.time_limit_minutes): a new attempt gets its deadline
+ *      now; responses carry timer { deadline_at, seconds_left, ... } (null if untimed).
  */
-router.post('/case-attempts/ensure', requireAuth, async (req, res) => {
+router.post('/case-attempts/ensure', requireCaseWork, async (req, res) => {
   try {
-    const { caseId, lastPage } = req.body || {};
+    const { caseId, lastPage, retake } = req.body || {};
     const userId = req.user.user_id;
     if (!caseId) return res.status(400).json({ error: 'MISSING_CASE_ID' });
 
-    const existing = await getAttemptByCaseForUser(caseId, userId);
-    if (existing) {
-      if (existing.status === 'COMPLETED') {
-        return res.status(403).json({
-          error: 'CASE_COMPLETED',
-          message: 'You already completed this case.',
-          attempt: existing
-        });
+    // Drafts aren't visible to students yet
+    const [cases] = await pool.execute('SELECT status, superseded_by FROM cases WHERE case_id=?', [caseId]);
+    if (!cases.length || (cases[0].status !== 'published' && !can(req.user, 'cases:view-all'))) {
+      return res.status(404).json({ error: 'CASE_NOT_FOUND' });
+    }
+
+    const availability = can(req.user, 'cases:view-all') ? null : await caseAvailability(caseId, userId);
+    if (availability && WINDOW_ERRORS[availability.window]) {
+      return res.status(403).json({ ...WINDOW_ERRORS[availability.window], assignment: availability.assignment });
+    }
+
+    // Attempts on every version of the case count toward the retake policy
+    const attempts = await familyAttempts(caseId, userId);
+    const existing = await expireIfOverdue(attempts[attempts.length - 1] || null);
+    const summary = await retakeSummary(caseId, availability && availability.assignment, attempts.length);
+
+    if (existing && existing.status === 'IN_PROGRESS') {
+      if (String(existing.case_id) !== String(caseId)) {
+        return res.status(409).json({ error: 'ATTEMPT_IN_PROGRESS', caseId: existing.case_id });
       }
       if (lastPage) {
         await pool.execute(
@@ -60,18 +121,44 @@ router.post('/case-attempts/ensure', requireAuth, async (req, res) => {
         );
         existing.last_page = lastPage;
       }
-      return res.json({ attempt: existing });
+      return res.json({ attempt: existing, ...availability, ...summary, timer: attemptTimer(existing) });
     }
 
-    const [ins] = await pool.execute(
-      'INSERT INTO case_attempts (case_id, user_id, last_page, status) VALUES (?,?,?,?)',
-      [caseId, userId, lastPage || 'history', 'IN_PROGRESS']
-    );
-    const [createdRows] = await pool.execute(
-      'SELECT * FROM case_attempts WHERE attempt_id=?',
-      [ins.insertId]
-    );
-    return res.json({ attempt: createdRows[0] });
+    // Older versions can be finished but not started
+    if (cases[0].superseded_by) {
+      return res.status(409).json({ error: 'CASE_SUPERSEDED', caseId: cases[0].superseded_by });
+    }
+
+    if (existing) {
+      if (!retake || summary.attemptsLeft === 0) {
+        return res.status(403).json({
+          error: 'CASE_COMPLETED',
+          message: summary.attemptsLeft === 0
+            ? 'You already completed this case.'
+            : 'You completed this case. You can start another attempt.',
+          attempt: existing,
+          timedOut: !!existing.auto_completed,
+          canRetake: summary.attemptsLeft !== 0,
+          ...summary
+        });
+      }
+      const timeLimit = summary.policy.time_limit_minutes;
+      const attempt = await startRetake(existing, caseId, userId, { lastPage, timeLimit });
+      return res.json({
+        attempt,
+        ...availability,
+        ...(await retakeSummary(caseId, availability && availability.assignment, attempts.length + 1)),
+        timer: attemptTimer(attempt)
+      });
+    }
+
+    const attempt = await createAttempt(caseId, userId, { lastPage, timeLimit: summary.policy.time_limit_minutes });
+    return res.json({
+      attempt,
+      ...availability,
+      ...(await retakeSummary(caseId, availability && availability.assignment, 1)),
+      timer: attemptTimer(attempt)
+    });
   } catch (err) {
     console.error('ensure attempt error:', err);
     return res.status(500).json({ error: 'SERVER_ERROR' });
@@ -82,9 +169,12 @@ router.post('/case-attempts/ensure', requireAuth, async (req, res) => {
  * 1b) Guard endpoint by caseId.
  *     Use this before loading a case to hard-block completed cases.
  *     - 200 with { attempt } if IN_PROGRESS (or null if none yet)
- *     - 403 with error CASE_COMPLETED if already finished
+ *     - 403 with error CASE_COMPLETED if already finished (canRetake says
+ *       whether ensure with retake: true would start another attempt)
+ *     Both carry the autosaved { state, revision } to restore the simulator from,
+ *     and the timer of a timed attempt (see ensure).
  */
-router.get('/case-attempts/by-case/:caseId', requireAuth, async (req, res) => {
+router.get('/case-attempts/by-case/:caseId', requireCaseWork, async (req, res) => {
   try {
     const caseId = req.params.caseId;
     const userId = req.user.user_id;
@@ -92,13 +182,27 @@ router.get('/case-attempts/by-case/:caseId', requireAuth, async (req, res) => {
 
     const attempt = await getAttemptByCaseForUser(caseId, userId);
     if (attempt && attempt.status === 'COMPLETED') {
+      const availability = can(req.user, 'cases:view-all') ? null : await caseAvailability(caseId, userId);
+      const attempts = await familyAttempts(caseId, userId);
+      const summary = await retakeSummary(caseId, availability && availability.assignment, attempts.length);
       return res.status(403).json({
         error: 'CASE_COMPLETED',
         message: 'You already completed this case.',
-        attempt
+        attempt,
+        timedOut: !!attempt.auto_completed,
+        canRetake: summary.attemptsLeft !== 0,
+        ...summary,
+        state: savedState(attempt),
+        revision: attempt.save_revision,
+        timer: attemptTimer(attempt)
       });
     }
-    return res.json({ attempt: attempt || null });
+    return res.json({
+      attempt: attempt || null,
+      state: attempt ? savedState(attempt) : null,
+      revision: attempt ? attempt.save_revision : 0,
+      timer: attemptTimer(attempt)
+    });
   } catch (err) {
     console.error('by-case guard error:', err);
     return res.status(500).json({ error: 'SERVER_ERROR' });
@@ -107,37 +211,59 @@ router.get('/case-attempts/by-case/:caseId', requireAuth, async (req, res) => {
 
 /**
  * 2) Autosave progress for a given attempt.
- *    Body: { section: 'history'|'exam'|'assessment'|'plan'|'attachments', data: {...}, lastPage? }
+ *    Body: { sections: { history: {...}, exam: {...}, ... }, revision?, lastPage? }
+ *      or  { section: 'history'|'exam'|'testing'|'assessment'|'plan'|'attachments'|'workspace', data: {...}, ... }
+ *    - revision: the save_revision the client last loaded or saved. If another
+ *      tab has saved since, nothing is written: 409 SAVE_CONFLICT with the
+ *      newer { state, revision }. Omit it to save unconditionally.
+ *    - 403 TIME_EXPIRED once a timed attempt's deadline has passed
+ *    - 200 { ok, revision, savedAt, timer } (timer as in ensure, picks up extensions)
  */
-router.put('/case-attempts/:attemptId/save', requireAuth, async (req, res) => {
+router.put('/case-attempts/:attemptId/save', requireCaseWork, async (req, res) => {
   try {
     const { attemptId } = req.params;
-    const { section, data, lastPage } = req.body || {};
+    const { section, data, lastPage, revision } = req.body || {};
+    const sections = (req.body || {}).sections || (section ? { [section]: data } : {});
     const userId = req.user.user_id;
 
     const attempt = await getAttemptByIdForUser(attemptId, userId);
     if (!attempt) return res.status(404).json({ error: 'NOT_FOUND' });
-    if (attempt.status === 'COMPLETED') {
-      return res.status(403).json({ error: 'CASE_COMPLETED' });
-    }
+    if (attempt.status === 'COMPLETED') return res.status(403).json(closedError(attempt));
 
-    const colMap = {
-      history: 'history_json',
-      exam: 'exam_json',
-      assessment: 'assessment_json',
-      plan: 'plan_json',
-      attachments: 'attachments_json'
-    };
-    const col = colMap[section];
-    if (!col) return res.status(400).json({ error: 'BAD_SECTION' });
+    const names = Object.keys(sections);
+    if (!names.length || names.some(name => !SAVE_SECTIONS[name])) {
+      return res.status(400).json({ error: 'BAD_SECTION' });
+    }
+    const hasRevision = revision !== undefined && revision !== null;
+    if (hasRevision && !Number.isInteger(Number(revision))) {
+      return res.status(400).json({ error: 'BAD_REVISION' });
+    }
 
-    await pool.execute(
+    const [result] = await pool.execute(
       `UPDATE case_attempts
-       SET ${col}=?, last_page=COALESCE(?, last_page), updated_at=NOW()
-       WHERE attempt_id=? AND user_id=?`,
-      [JSON.stringify(data || {}), lastPage || null, attemptId, userId]
+       SET ${names.map(name => `${SAVE_SECTIONS[name]}=?`).join(', ')},
+           last_page=COALESCE(?, last_page), save_revision=save_revision+1, updated_at=NOW()
+       WHERE attempt_id=? AND user_id=? AND status='IN_PROGRESS'
+         ${hasRevision ? 'AND save_revision=?' : ''}`,
+      [
+        ...names.map(name => JSON.stringify(sections[name] || {})),
+        lastPage || null, attemptId, userId,
+        ...(hasRevision ? [Number(revision)] : [])
+      ]
     );
-    return res.json({ ok: true });
+
+    const saved = await getAttemptByIdForUser(attemptId, userId);
+    if (!result.affectedRows) {
+      if (saved.status === 'COMPLETED') return res.status(403).json(closedError(saved));
+      return res.status(409).json({
+        error: 'SAVE_CONFLICT',
+        message: 'This case was saved from another tab or window.',
+        state: savedState(saved),
+        revision: saved.save_revision,
+        savedAt: saved.updated_at
+      });
+    }
+    return res.json({ ok: true, revision: saved.save_revision, savedAt: saved.updated_at, timer: attemptTimer(saved) });
   } catch (err) {
     console.error('autosave error:', err);
     return res.status(500).json({ error: 'SERVER_ERROR' });
@@ -145,26 +271,30 @@ router.put('/case-attempts/:attemptId/save', requireAuth, async (req, res) => {
 });
 
 /**
- * 3) Mark complete & lock attempt.
- *    Body: { pdfUrl? }
+ * 3) Mark complete & lock attempt, then grade it and store its report.
+ *    Timed attempts submitted just after their deadline record the overtime;
+ *    later than that the server has already closed them (timedOut: true).
  */
-router.post('/case-attempts/:attemptId/complete', requireAuth, async (req, res) => {
+router.post('/case-attempts/:attemptId/complete', requireCaseWork, async (req, res) => {
   try {
     const { attemptId } = req.params;
-    const { pdfUrl } = req.body || {};
     const userId = req.user.user_id;
 
     const attempt = await getAttemptByIdForUser(attemptId, userId);
     if (!attempt) return res.status(404).json({ error: 'NOT_FOUND' });
 
-    if (attempt.status === 'COMPLETED') {
-      return res.json({ ok: true, alreadyCompleted: true });
+    if (attempt.status === 'COMPLETED' || !(await completeAttempt(attemptId, userId))) {
+      return res.json({ ok: true, alreadyCompleted: true, timedOut: !!attempt.auto_completed });
     }
 
-    await pool.execute(
-      'UPDATE case_attempts SET status="COMPLETED", pdf_url=?, completed_at=NOW(), updated_at=NOW() WHERE attempt_id=? AND user_id=?',
-      [pdfUrl || null, attemptId, userId]
-    );
+    // Completion stands even if auto-grading fails; it can be re-run later
+    try {
+      await gradeAttempt(attemptId);
+    } catch (e) {
+      console.error('auto-grade error:', e);
+    }
+    // Rendered in the background; the server's report sweep retries failures
+    storeReport(attemptId).catch(e => console.error('report error:', e));
     return res.json({ ok: true });
   } catch (err) {
     console.error('complete attempt error:', err);
@@ -172,23 +302,171 @@ router.post('/case-attempts/:attemptId/complete', requireAuth, async (req, res)
   }
 });
 
+/**
+ * 3b) Grade breakdown for a completed attempt.
+ *     Students can read their own once the professor releases it; staff can read any.
+ *     While the retake policy leaves the student attempts, the missed codes and
+ *     lesions (the answer key) are left out.
+ *     - 409 NOT_COMPLETED while the attempt is still in progress
+ *     - 403 NOT_RELEASED for students before release
+ */
+router.get('/case-attempts/:attemptId/grade', requirePermission('cases:work', 'work:view-any'), async (req, res) => {
+  try {
+    const { attemptId } = req.params;
+    const isStaff = can(req.user, 'work:view-any');
+
+    const [rows] = await pool.execute(
+      'SELECT attempt_id, case_id, user_id, status, score, grade_json, graded_at, released_at FROM case_attempts WHERE attempt_id=?',
+      [attemptId]
+    );
+    const attempt = rows[0];
+    if (!attempt || (!isStaff && attempt.user_id !== req.user.user_id)) {
+      return res.status(404).json({ error: 'NOT_FOUND' });
+    }
+    if (attempt.status !== 'COMPLETED') {
+      return res.status(409).json({ error: 'NOT_COMPLETED' });
+    }
+    if (!isStaff && !attempt.released_at) {
+      return res.status(403).json({ error: 'NOT_RELEASED' });
+    }
+
+    // Attempts completed before auto-grading existed get graded on first read
+    const grade = parseJson(attempt.grade_json) || await gradeAttempt(attempt.attempt_id);
+    const keyHidden = !isStaff && (await retakesLeft(attempt.case_id, req.user.user_id)) !== 0;
+
+    return res.json({
+      attemptId: attempt.attempt_id,
+      caseId: attempt.case_id,
+      grade: keyHidden ? withoutAnswerKey(grade) : grade
+    });
+  } catch (err) {
+    console.error('grade fetch error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 3c) Re-run auto-grading (staff), e.g. after fixing the answer key.
+ */
+router.post('/case-attempts/:attemptId/grade', requirePermission('grading:score'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      'SELECT status FROM case_attempts WHERE attempt_id=?',
+      [req.params.attemptId]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'NOT_FOUND' });
+    if (rows[0].status !== 'COMPLETED') return res.status(409).json({ error: 'NOT_COMPLETED' });
+
+    const grade = await gradeAttempt(req.params.attemptId);
+    return res.json({ attemptId: Number(req.params.attemptId), grade });
+  } catch (err) {
+    console.error('regrade error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 3d) Reopen a completed attempt (professors), e.g. after a technical problem.
+ *     Body: { reason? }. The grade and its release are cleared until the
+ *     student completes it again.
+ *     - 409 NOT_COMPLETED, 409 NOT_LATEST (a later attempt exists)
+ */
+router.post('/case-attempts/:attemptId/reopen', requirePermission('grading:release'), async (req, res) => {
+  try {
+    const result = await reopenAttempt(req.params.attemptId, req.user.user_id, (req.body || {}).reason);
+    if (!result.ok) {
+      return res.status(result.error === 'NOT_FOUND' ? 404 : 409).json({ error: result.error });
+    }
+    return res.json({ ok: true, attempt: result.attempt });
+  } catch (err) {
+    console.error('reopen attempt error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 3e) Give a student's timed attempt more time (professors). Body: { minutes }
+ *     An attempt the timer closed is reopened if the new deadline is ahead.
+ *     - 400 BAD_MINUTES
+ *     - 409 NOT_TIMED, 409 ALREADY_SUBMITTED (the student submitted it)
+ */
+router.post('/case-attempts/:attemptId/extend', requirePermission('grading:release'), async (req, res) => {
+  try {
+    const minutes = Number((req.body || {}).minutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > TIME_LIMIT_MAX) {
+      return res.status(400).json({ error: 'BAD_MINUTES', max: TIME_LIMIT_MAX });
+    }
+    const result = await extendAttempt(req.params.attemptId, minutes);
+    if (!result.ok) {
+      return res.status(result.error === 'NOT_FOUND' ? 404 : 409).json({ error: result.error });
+    }
+    return res.json({ ok: true, attempt: result.attempt, timer: attemptTimer(result.attempt) });
+  } catch (err) {
+    console.error('extend attempt error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
 /**
  * 4) My Progress list (completed first or last_page recency)
+ *    Grade + professor feedback are included only once released.
+ *    `cases` groups the attempts by case (all versions) with the retake policy,
+ *    attempts left and which released attempt counts under the score policy.
  */
-router.get('/my-progress', requireAuth, async (req, res) => {
+router.get('/my-progress', requirePermission('cases:work'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     const [rows] = await pool.execute(
-      `SELECT a.attempt_id, a.case_id, a.status, a.last_page,
-              a.started_at, a.updated_at, a.completed_at, a.pdf_url,
-              c.case_name
+      `SELECT a.attempt_id, a.case_id, a.attempt_number, a.status, a.last_page,
+              a.started_at, a.updated_at, a.completed_at, a.pdf_url, a.reopened_at,
+              a.final_score, a.rubric_json, a.feedback_json, a.released_at,
+              c.case_name, c.family_id,
+              (SELECT v.case_id FROM cases v
+               WHERE v.family_id = c.family_id AND v.status = 'published' AND v.superseded_by IS NULL
+               LIMIT 1) AS current_case_id
        FROM case_attempts a
        JOIN cases c ON c.case_id = a.case_id
        WHERE a.user_id=?
        ORDER BY (a.status='IN_PROGRESS') DESC, a.updated_at DESC`,
       [userId]
     );
-    return res.json({ attempts: rows });
+    const attempts = rows.map(({ final_score, rubric_json, feedback_json, ...a }) => ({
+      ...a,
+      feedback: a.released_at
+        ? {
+            final_score,
+            scores: parseJson(rubric_json) || {},
+            comments: parseJson(feedback_json) || {}
+          }
+        : null
+    }));
+
+    const families = [...new Set(attempts.map(a => a.family_id))];
+    const cases = await Promise.all(families.map(async familyId => {
+      const history = attempts
+        .filter(a => a.family_id === familyId)
+        .sort((x, y) => x.attempt_number - y.attempt_number);
+      const latest = history[history.length - 1];
+      const caseId = latest.current_case_id || latest.case_id;
+      const availability = await caseAvailability(caseId, userId);
+      const summary = await retakeSummary(caseId, availability && availability.assignment, history.length);
+      // Unreleased grades stay hidden, so only released attempts can count
+      const kept = keptAttempt(
+        history.filter(a => a.released_at).map(a => ({ ...a, final_score: a.feedback.final_score })),
+        summary.policy.score_policy
+      );
+      return {
+        case_id: caseId,
+        case_name: latest.case_name,
+        attempts: history,
+        kept_attempt_id: kept ? kept.attempt_id : null,
+        canRetake: latest.status === 'COMPLETED' && summary.attemptsLeft !== 0 && !!latest.current_case_id &&
+          !(availability && WINDOW_ERRORS[availability.window]),
+        ...summary
+      };
+    }));
+
+    return res.json({ attempts, cases, rubric: RUBRIC });
   } catch (err) {
     console.error('my-progress error:', err);
     return res.status(500).json({ error: 'SERVER_ERROR' });
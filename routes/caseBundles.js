@@ -0,0 +1,72 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { pool } = require('../db'); // mysql2/promise
+const { exportCase, importCase } = require('../lib/bundles');
+const { requirePermission } = require('../lib/permissions');
+
+// Bundles are read straight from memory; nothing lands in /uploads until validated
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 * 1024 }
+});
+
+// ---------- Helpers ----------
+function bundleName(caseRow) {
+  const slug = String(caseRow.case_name || 'case')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${slug || 'case'}-v${caseRow.version || 1}.optocase.zip`;
+}
+
+// ---------- ROUTES ----------
+
+/**
+ * 1) Download a case as a portable bundle (case.json + referenced uploads).
+ */
+router.get('/cases/:caseId/export', requirePermission('cases:author'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      'SELECT case_id, case_name, version FROM cases WHERE case_id=?',
+      [req.params.caseId]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'NOT_FOUND' });
+
+    const archive = await exportCase(rows[0].case_id);
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${bundleName(rows[0])}"`);
+    return res.send(archive);
+  } catch (err) {
+    console.error('case export error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 2) Import a bundle as a new draft case.
+ *    Multipart field: bundle
+ *    - 400 MISSING_FILE when no file was sent
+ *    - 400 INVALID_BUNDLE with { details: [...] } when validation fails
+ */
+router.post('/cases/import', requirePermission('cases:author'), (req, res, next) => {
+  bundleUpload.single('bundle')(req, res, err => {
+    if (err) return res.status(400).json({ error: 'INVALID_BUNDLE', details: [err.message] });
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'MISSING_FILE' });
+
+    const result = await importCase(req.file.buffer, req.user.username, req.user.user_id);
+    if (!result.ok) {
+      return res.status(400).json({ error: 'INVALID_BUNDLE', details: result.errors });
+    }
+    return res.json({ ok: true, caseId: result.case_id });
+  } catch (err) {
+    console.error('case import error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const router = express.Router();
+const {
+  LATE_POLICIES, listCourses, saveCourse, saveSection, getSection, setEnrollment,
+  saveAssignment, deleteAssignment, studentAssignments, assignmentSubmissions
+} = require('../lib/courses');
+const { requirePermission } = require('../lib/permissions');
+
+// ---------- Helpers ----------
+// Failed saves: 404 when the parent/record is missing, 409 for duplicates, else 400
+function sendSaveError(res, result, code) {
+  if (result.taken) return res.status(409).json({ error: 'ALREADY_ASSIGNED', details: result.errors });
+  if (/not found/.test(result.errors[0])) return res.status(404).json({ error: 'NOT_FOUND', details: result.errors });
+  return res.status(400).json({ error: code, details: result.errors });
+}
+
+// ---------- ROUTES ----------
+
+/**
+ * 1) Courses with their sections (enrollment and assignment counts).
+ */
+router.get('/courses', requirePermission('courses:view'), async (req, res) => {
+  try {
+    return res.json({ courses: await listCourses(), latePolicies: LATE_POLICIES });
+  } catch (err) {
+    console.error('list courses error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 2) Create or rename a course. Body: { code, name }
+ *    - 400 INVALID_COURSE with { details: [...] }
+ */
+router.post('/courses', requirePermission('courses:manage'), async (req, res) => {
+  try {
+    const result = await saveCourse(req.body || {}, null, req.user.user_id);
+    if (!result.ok) return sendSaveError(res, result, 'INVALID_COURSE');
+    return res.json({ ok: true, courseId: result.course_id });
+  } catch (err) {
+    console.error('create course error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+router.put('/courses/:courseId', requirePermission('courses:manage'), async (req, res) => {
+  try {
+    const result = await saveCourse(req.body || {}, req.params.courseId);
+    if (!result.ok) return sendSaveError(res, result, 'INVALID_COURSE');
+    return res.json({ ok: true, courseId: result.course_id });
+  } catch (err) {
+    console.error('update course error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 3) Add a section to a course, or change one. Body: { name, term }
+ *    - 400 INVALID_SECTION with { details: [...] }
+ *    - 404 NOT_FOUND
+ */
+router.post('/courses/:courseId/sections', requirePermission('courses:manage'), async (req, res) => {
+  try {
+    const result = await saveSection(req.params.courseId, req.body || {});
+    if (!result.ok) return sendSaveError(res, result, 'INVALID_SECTION');
+    return res.json({ ok: true, sectionId: result.section_id });
+  } catch (err) {
+    console.error('create section error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+router.put('/sections/:sectionId', requirePermission('courses:manage'), async (req, res) => {
+  try {
+    const result = await saveSection(null, req.body || {}, req.params.sectionId);
+    if (!result.ok) return sendSaveError(res, result, 'INVALID_SECTION');
+    return res.json({ ok: true, sectionId: result.section_id });
+  } catch (err) {
+    console.error('update section error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 4) One section: its course, students and assignments (with their window).
+ */
+router.get('/sections/:sectionId', requirePermission('courses:view'), async (req, res) => {
+  try {
+    const section = await getSection(req.params.sectionId);
+    if (!section) return res.status(404).json({ error: 'NOT_FOUND' });
+    return res.json({ section, latePolicies: LATE_POLICIES });
+  } catch (err) {
+    console.error('section fetch error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 5) Replace a section's students. Body: { usernames: [...] }
+ *    - 400 INVALID_ENROLLMENT with { details: [...] } (nobody is changed)
+ */
+router.put('/sections/:sectionId/students', requirePermission('courses:manage'), async (req, res) => {
+  try {
+    const { usernames } = req.body || {};
+    if (!Array.isArray(usernames)) {
+      return res.status(400).json({ error: 'INVALID_ENROLLMENT', details: ['usernames must be a list.'] });
+    }
+    const result = await setEnrollment(req.params.sectionId, usernames);
+    if (!result.ok) return sendSaveError(res, result, 'INVALID_ENROLLMENT');
+    return res.json({ ok: true, enrolled: result.enrolled });
+  } catch (err) {
+    console.error('enrollment error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 6) Assign a case to a section, change or remove an assignment.
+ *    Body: { case_id, opens_at, due_at, late_policy, late_penalty_pct, close_at,
+ *            attempt_mode, max_attempts, score_policy, time_limit_minutes }
+ *    (dates as ISO strings, blank for none; blank retake fields keep the case's policy)
+ *    - 400 INVALID_ASSIGNMENT with { details: [...] }
+ *    - 409 ALREADY_ASSIGNED
+ */
+router.post('/sections/:sectionId/assignments', requirePermission('courses:manage'), async (req, res) => {
+  try {
+    const result = await saveAssignment(req.params.sectionId, req.body || {}, null, req.user.user_id);
+    if (!result.ok) return sendSaveError(res, result, 'INVALID_ASSIGNMENT');
+    return res.json({ ok: true, assignmentId: result.assignment_id });
+  } catch (err) {
+    console.error('create assignment error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+router.put('/assignments/:assignmentId', requirePermission('courses:manage'), async (req, res) => {
+  try {
+    const result = await saveAssignment(null, req.body || {}, req.params.assignmentId);
+    if (!result.ok) return sendSaveError(res, result, 'INVALID_ASSIGNMENT');
+    return res.json({ ok: true, assignmentId: result.assignment_id });
+  } catch (err) {
+    console.error('update assignment error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+router.delete('/assignments/:assignmentId', requirePermission('courses:manage'), async (req, res) => {
+  try {
+    if (!(await deleteAssignment(req.params.assignmentId))) return res.status(404).json({ error: 'NOT_FOUND' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('delete assignment error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 7) Submissions for an assignment: every student in the section with their
+ *    latest attempt and how early or late it was handed in.
+ */
+router.get('/assignments/:assignmentId/submissions', requirePermission('courses:view'), async (req, res) => {
+  try {
+    const result = await assignmentSubmissions(req.params.assignmentId);
+    if (!result) return res.status(404).json({ error: 'NOT_FOUND' });
+    return res.json(result);
+  } catch (err) {
+    console.error('submissions error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 8) Student dashboard: my assigned cases with their deadlines and my attempt.
+ */
+router.get('/my-assignments', requirePermission('cases:work'), async (req, res) => {
+  try {
+    return res.json({ assignments: await studentAssignments(req.user.user_id) });
+  } catch (err) {
+    console.error('my-assignments error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+module.exports = router;
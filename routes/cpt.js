@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const { loadCptCatalog, saveCptEntry, cptProblems, parseCptText } = require('../lib/cpt');
+const { can, requireAuth, requirePermission } = require('../lib/permissions');
+
+// ---------- ROUTES ----------
+
+/**
+ * 1) CPT/HCPCS catalog in picker order (feeds the student CPT picker).
+ *    Professors may pass ?all=1 to include retired codes.
+ */
+router.get('/cpt-codes', requireAuth, async (req, res) => {
+  try {
+    const includeInactive = can(req.user, 'catalog:manage') && req.query.all === '1';
+    const codes = await loadCptCatalog({ includeInactive });
+    return res.json({ codes });
+  } catch (err) {
+    console.error('cpt catalog error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 2) Validate typed codes ("92004, 66984-RT") against the catalog.
+ *    Query: ?codes=92004,66984-RT → { problems: [{ index, code, message }] }
+ */
+router.get('/cpt-codes/check', requireAuth, async (req, res) => {
+  try {
+    const lines = String(req.query.codes || '').split(',').map(c => c.trim()).filter(Boolean).map(parseCptText);
+    if (!lines.length) return res.status(400).json({ error: 'MISSING_CODES' });
+    return res.json({ problems: await cptProblems(lines) });
+  } catch (err) {
+    console.error('cpt check error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 3) Create or update a catalog entry.
+ *    Body: { code_set, description, category, sort_order, modifiers: [...], max_units, fee, active }
+ *    - 400 INVALID_CPT_CODE with { details: [...] } when the entry is rejected
+ *    Retire a code with active: false; saved answers that used it are kept.
+ */
+router.put('/cpt-codes/:code', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const def = { ...req.body, code: String(req.params.code).toUpperCase() };
+    const errors = await saveCptEntry(def);
+    if (errors.length) {
+      return res.status(400).json({ error: 'INVALID_CPT_CODE', details: errors });
+    }
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('save cpt code error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db'); // mysql2/promise
+const { loadCase } = require('../lib/cases');
+const { RUBRIC, gradeAttempt, parseJson } = require('../lib/grading');
+const { loadStudentWork, storeReport } = require('../lib/reports');
+const { can, requirePermission } = require('../lib/permissions');
+
+// ---------- Helpers ----------
+async function getAttempt(attemptId) {
+  const [rows] = await pool.execute(
+    `SELECT a.*, u.username
+     FROM case_attempts a
+     JOIN users u ON u.id = a.user_id
+     WHERE a.attempt_id=?`,
+    [attemptId]
+  );
+  return rows[0] || null;
+}
+
+function reviewOf(attempt) {
+  return {
+    scores: parseJson(attempt.rubric_json) || {},
+    comments: parseJson(attempt.feedback_json) || {},
+    final_score: attempt.final_score,
+    graded_by: attempt.graded_by,
+    released_at: attempt.released_at
+  };
+}
+
+// ---------- ROUTES ----------
+
+/**
+ * 1) Completed attempts for one case (the grading queue).
+ */
+router.get('/grading/cases/:caseId/attempts', requirePermission('work:view-any'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT a.attempt_id, a.user_id, u.username, a.status, a.attempt_number,
+              a.auto_completed, a.overtime_seconds, a.completed_at, a.score, a.final_score, a.released_at
+       FROM case_attempts a
+       JOIN users u ON u.id = a.user_id
+       WHERE a.case_id=? AND a.status='COMPLETED'
+       ORDER BY a.released_at IS NOT NULL, a.completed_at ASC`,
+      [req.params.caseId]
+    );
+    return res.json({ attempts: rows });
+  } catch (err) {
+    console.error('grading queue error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 2) Grading workspace: the student's work next to the answer key.
+ */
+router.get('/grading/attempts/:attemptId', requirePermission('work:view-any'), async (req, res) => {
+  try {
+    const attempt = await getAttempt(req.params.attemptId);
+    if (!attempt) return res.status(404).json({ error: 'NOT_FOUND' });
+    if (attempt.status !== 'COMPLETED') return res.status(409).json({ error: 'NOT_COMPLETED' });
+
+    const answerKey = await loadCase(attempt.case_id);
+    const work = await loadStudentWork(attempt);
+    const autoGrade = parseJson(attempt.grade_json) || await gradeAttempt(attempt.attempt_id);
+
+    return res.json({
+      attempt: {
+        attempt_id: attempt.attempt_id,
+        case_id: attempt.case_id,
+        status: attempt.status,
+        started_at: attempt.started_at,
+        completed_at: attempt.completed_at,
+        score: attempt.score,
+        attempt_number: attempt.attempt_number,
+        reopened_at: attempt.reopened_at,
+        reopen_reason: attempt.reopen_reason,
+        time_limit_minutes: attempt.time_limit_minutes,
+        extension_minutes: attempt.extension_minutes,
+        auto_completed: !!attempt.auto_completed,
+        overtime_seconds: attempt.overtime_seconds
+      },
+      student: { id: attempt.user_id, username: attempt.username },
+      answerKey,
+      work,
+      autoGrade,
+      rubric: RUBRIC,
+      review: reviewOf(attempt)
+    });
+  } catch (err) {
+    console.error('grading workspace error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 3) Save rubric scores + inline comments.
+ *    Body: { scores: { history: 18, ... }, comments: { history: '...', overall: '...' } }
+ *    Once released, only those who may release grades change it (409
+ *    ALREADY_RELEASED otherwise); the stored report is rendered again.
+ */
+router.put('/grading/attempts/:attemptId', requirePermission('grading:score'), async (req, res) => {
+  try {
+    const { scores = {}, comments = {} } = req.body || {};
+    const attempt = await getAttempt(req.params.attemptId);
+    if (!attempt) return res.status(404).json({ error: 'NOT_FOUND' });
+    if (attempt.status !== 'COMPLETED') return res.status(409).json({ error: 'NOT_COMPLETED' });
+    if (attempt.released_at && !can(req.user, 'grading:release')) {
+      return res.status(409).json({ error: 'ALREADY_RELEASED' });
+    }
+
+    const cleanScores = {};
+    for (const item of RUBRIC) {
+      if (scores[item.key] === undefined || scores[item.key] === null || scores[item.key] === '') continue;
+      const value = Number(scores[item.key]);
+      if (!Number.isFinite(value) || value < 0 || value > item.max) {
+        return res.status(400).json({ error: 'BAD_SCORE', section: item.key, max: item.max });
+      }
+      cleanScores[item.key] = value;
+    }
+
+    const cleanComments = {};
+    Object.entries(comments).forEach(([section, text]) => {
+      if (typeof text === 'string' && text.trim()) cleanComments[section] = text.trim();
+    });
+
+    // Final score only once every rubric section has points
+    const complete = RUBRIC.every(item => cleanScores[item.key] !== undefined);
+    const possible = RUBRIC.reduce((sum, item) => sum + item.max, 0);
+    const earned = RUBRIC.reduce((sum, item) => sum + (cleanScores[item.key] || 0), 0);
+    const finalScore = complete ? Math.round((earned / possible) * 10000) / 100 : null;
+
+    await pool.execute(
+      `UPDATE case_attempts
+       SET rubric_json=?, feedback_json=?, final_score=?, graded_by=?
+       WHERE attempt_id=?`,
+      [JSON.stringify(cleanScores), JSON.stringify(cleanComments), finalScore, req.user.user_id, attempt.attempt_id]
+    );
+    if (attempt.released_at) storeReport(attempt.attempt_id).catch(e => console.error('report error:', e));
+
+    const updated = await getAttempt(attempt.attempt_id);
+    return res.json({ ok: true, review: reviewOf(updated) });
+  } catch (err) {
+    console.error('grading save error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 4) Release the grade + feedback to the student.
+ *    Falls back to the auto-grade when no rubric score was given.
+ *    The stored report is rendered again to include them.
+ */
+router.post('/grading/attempts/:attemptId/release', requirePermission('grading:release'), async (req, res) => {
+  try {
+    const attempt = await getAttempt(req.params.attemptId);
+    if (!attempt) return res.status(404).json({ error: 'NOT_FOUND' });
+    if (attempt.status !== 'COMPLETED') return res.status(409).json({ error: 'NOT_COMPLETED' });
+
+    if (!attempt.graded_at) await gradeAttempt(attempt.attempt_id);
+
+    await pool.execute(
+      `UPDATE case_attempts
+       SET final_score=COALESCE(final_score, score), graded_by=COALESCE(graded_by, ?), released_at=NOW()
+       WHERE attempt_id=?`,
+      [req.user.user_id, attempt.attempt_id]
+    );
+    storeReport(attempt.attempt_id).catch(e => console.error('report error:', e));
+
+    const updated = await getAttempt(attempt.attempt_id);
+    return res.json({ ok: true, review: reviewOf(updated) });
+  } catch (err) {
+    console.error('grading release error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const { loadCaseForUser } = require('../lib/cases');
+const { attemptForWork, readableAttempt } = require('../lib/attempts');
+const { validateMarks, saveMarks, loadMarks } = require('../lib/hotspots');
+const { requirePermission } = require('../lib/permissions');
+
+// ---------- Helpers ----------
+// Is this image a "find the lesion" question the student has unlocked?
+async function isQuestionImage(caseId, filename, user) {
+  const caseData = await loadCaseForUser(caseId, { id: user.user_id, role: user.role });
+  return !!caseData && (caseData.hotspot_images || []).includes(filename);
+}
+
+// ---------- ROUTES ----------
+
+/**
+ * 1) The signed-in student's marks on one image (the image viewer restores them).
+ *    - 404 NOT_A_QUESTION when the image has no regions or isn't unlocked yet
+ *    Returns { marks: [{ x, y, w, h }] } (empty before the first save).
+ */
+router.get('/cases/:caseId/hotspots/:filename/marks', requirePermission('cases:work'), async (req, res) => {
+  try {
+    const { caseId, filename } = req.params;
+    if (!(await isQuestionImage(caseId, filename, req.user))) {
+      return res.status(404).json({ error: 'NOT_A_QUESTION' });
+    }
+
+    const attempt = await readableAttempt(caseId, { id: req.user.user_id, role: req.user.role });
+    const marks = attempt ? (await loadMarks(attempt.attempt_id))[filename] || [] : [];
+    return res.json({ marks });
+  } catch (err) {
+    console.error('hotspot marks error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 2) Save the student's marks on one image (replaces earlier ones).
+ *    Body: { marks: [{ x, y, w, h }] } — fractions of the image; w = h = 0 for a click
+ *    - 400 INVALID_MARKS with { details: [...] }
+ *    - 404 NOT_A_QUESTION, 409 NO_ATTEMPT before the case is opened (ensure),
+ *      403 CASE_COMPLETED once the attempt is finished
+ */
+router.put('/cases/:caseId/hotspots/:filename/marks', requirePermission('cases:work'), async (req, res) => {
+  try {
+    const { caseId, filename } = req.params;
+    const marks = (req.body || {}).marks;
+    const errors = validateMarks(marks);
+    if (errors.length) return res.status(400).json({ error: 'INVALID_MARKS', details: errors });
+
+    if (!(await isQuestionImage(caseId, filename, req.user))) {
+      return res.status(404).json({ error: 'NOT_A_QUESTION' });
+    }
+
+    const attempt = await attemptForWork(caseId, req.user.user_id);
+    if (!attempt) return res.status(409).json({ error: 'NO_ATTEMPT' });
+    if (attempt.status === 'COMPLETED') return res.status(403).json({ error: 'CASE_COMPLETED' });
+
+    await saveMarks(attempt, filename, marks);
+    return res.json({ ok: true, marks: marks.length });
+  } catch (err) {
+    console.error('save hotspot marks error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { searchIcd10, checkIcd10 } = require('../lib/icd10');
+const { requireAuth } = require('../lib/permissions');
+
+// ---------- ROUTES ----------
+
+/**
+ * 1) Autocomplete for the Step 6 wizard and the student Assessment & Plan tab.
+ *    Query: ?q=H40.11 (code prefix) or ?q=primary open angle (description words), &limit=20
+ */
+router.get('/icd10', requireAuth, async (req, res) => {
+  try {
+    const results = await searchIcd10(req.query.q, req.query.limit);
+    return res.json({ results });
+  } catch (err) {
+    console.error('icd10 search error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 2) Validate one code (existence, specificity, laterality) before saving.
+ *    Query: ?code=H40.1111
+ */
+router.get('/icd10/check', requireAuth, async (req, res) => {
+  try {
+    if (!req.query.code) return res.status(400).json({ error: 'MISSING_CODE' });
+    return res.json(await checkIcd10(req.query.code));
+  } catch (err) {
+    console.error('icd10 check error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+module.exports = router;
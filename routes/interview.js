@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db'); // mysql2/promise
+const { attemptForWork, readableAttempt } = require('../lib/attempts');
+const {
+  loadVocabulary, saveVocabularyEntry, answerQuestion, recordQuestion, loadTranscript
+} = require('../lib/interview');
+const { can, requirePermission } = require('../lib/permissions');
+
+// ---------- ROUTES ----------
+
+/**
+ * 1) Ask the patient a question (History tab).
+ *    Body: { question, context } — context is the value the previous answer
+ *    returned, so follow-ups ("how long?") are answered about the same topic.
+ *    Returns { answer, topic_key, history_field, context, matched }.
+ *    Students' questions are added to their attempt's transcript; 409 NO_ATTEMPT
+ *    before they have opened one (ensure), 403 CASE_COMPLETED once it is finished.
+ *    Staff may ask on drafts to try out their responses; nothing is recorded.
+ */
+router.post('/cases/:caseId/interview', requirePermission('cases:work', 'cases:view-all'), async (req, res) => {
+  try {
+    const { question, context } = req.body || {};
+    if (!question || !String(question).trim()) return res.status(400).json({ error: 'MISSING_QUESTION' });
+
+    const [cases] = await pool.execute('SELECT status FROM cases WHERE case_id=?', [req.params.caseId]);
+    if (!cases.length || (cases[0].status !== 'published' && !can(req.user, 'cases:view-all'))) {
+      return res.status(404).json({ error: 'CASE_NOT_FOUND' });
+    }
+
+    let attempt = null;
+    if (can(req.user, 'cases:work')) {
+      attempt = await attemptForWork(req.params.caseId, req.user.user_id);
+      if (!attempt) return res.status(409).json({ error: 'NO_ATTEMPT' });
+      if (attempt.status === 'COMPLETED') return res.status(403).json({ error: 'CASE_COMPLETED' });
+    }
+
+    const text = String(question).trim();
+    const reply = await answerQuestion(req.params.caseId, text, context ?? null);
+    if (attempt) await recordQuestion(attempt, text, reply);
+    return res.json(reply);
+  } catch (err) {
+    console.error('interview error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 1b) Interview transcript of an attempt, oldest question first.
+ *     Students get their latest attempt (to restore the History chat);
+ *     ?attempt_id= picks another attempt the user may read.
+ *     Returns { transcript: [...], context } — context is where follow-ups
+ *     pick up again (the last answer's context).
+ */
+router.get('/cases/:caseId/interview/transcript', requirePermission('cases:work', 'work:view-any'), async (req, res) => {
+  try {
+    const attempt = await readableAttempt(
+      req.params.caseId,
+      { id: req.user.user_id, role: req.user.role },
+      req.query.attempt_id || null
+    );
+    if (!attempt) return res.json({ transcript: [], context: null });
+
+    const transcript = await loadTranscript(attempt.attempt_id);
+    const last = transcript[transcript.length - 1];
+    return res.json({ transcript, context: last ? last.context : null });
+  } catch (err) {
+    console.error('interview transcript error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 2) Shared interview vocabulary (topics and follow-up kinds), for wizard Step 3.
+ */
+router.get('/interview/vocabulary', requirePermission('cases:author'), async (req, res) => {
+  try {
+    return res.json({ vocabulary: await loadVocabulary() });
+  } catch (err) {
+    console.error('interview vocabulary error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 3) Create or update a vocabulary entry.
+ *    Body: { label, kind: 'topic' | 'follow_up', history_field, phrases: [...], sort_order }
+ *    - 400 INVALID_VOCABULARY with { details: [...] } when the entry is rejected
+ */
+router.put('/interview/vocabulary/:topicKey', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const def = { ...req.body, topic_key: req.params.topicKey };
+    const errors = await saveVocabularyEntry(def);
+    if (errors.length) {
+      return res.status(400).json({ error: 'INVALID_VOCABULARY', details: errors });
+    }
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('save interview vocabulary error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { thumbnailFor, caseMedia } = require('../lib/media');
+const { requireAuth, requirePermission } = require('../lib/permissions');
+
+// ---------- ROUTES ----------
+
+/**
+ * 1) Thumbnail of an uploaded image (case views show these first and open
+ *    /uploads/<filename> at full resolution on demand).
+ *    Created on first request for older uploads; falls back to the original
+ *    when no thumbnail can be made.
+ */
+router.get('/media/thumbs/:filename', requireAuth, async (req, res) => {
+  try {
+    const thumb = await thumbnailFor(req.params.filename);
+    if (!thumb) return res.redirect(`/uploads/${encodeURIComponent(req.params.filename)}`);
+    return res.sendFile(thumb, { maxAge: '7d' });
+  } catch (err) {
+    console.error('media thumbnail error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 2) A case's images with their metadata (type, size, dimensions, uploader)
+ *    and the fields/tests that show them.
+ */
+router.get('/cases/:caseId/media', requirePermission('cases:view-all'), async (req, res) => {
+  try {
+    return res.json({ media: await caseMedia(req.params.caseId) });
+  } catch (err) {
+    console.error('case media error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db'); // mysql2/promise
+const { requirePermission } = require('../lib/permissions');
+
+// ---------- Helpers ----------
+const STATUSES = ['NOT_STARTED', 'IN_PROGRESS', 'COMPLETED'];
+
+// Seconds between starting and the last recorded activity (or completion)
+const TIME_ON_CASE = 'TIMESTAMPDIFF(SECOND, a.started_at, COALESCE(a.completed_at, a.updated_at, a.started_at))';
+
+// ---------- ROUTES ----------
+
+/**
+ * 1) Cohort view: every student × published case, including cases not started yet.
+ *    Attempts on any version of a case count toward its current version; the
+ *    row shows the latest one and how many the student has made.
+ *    Query: ?case_id=12&status=in_progress
+ */
+router.get('/progress', requirePermission('work:view-any'), async (req, res) => {
+  try {
+    const caseId = req.query.case_id || null;
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'BAD_STATUS' });
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT * FROM (
+         SELECT u.id AS user_id, u.username,
+                c.case_id, c.case_name,
+                a.attempt_id, a.attempt_number, COALESCE(a.status, 'NOT_STARTED') AS status, a.last_page,
+                a.started_at, a.updated_at, a.completed_at,
+                ${TIME_ON_CASE} AS time_on_case_seconds,
+                a.score, a.final_score, a.released_at,
+                a.deadline_at, a.extension_minutes, a.auto_completed, a.overtime_seconds,
+                (SELECT COUNT(*)
+                 FROM case_attempts x
+                 JOIN cases xc ON xc.case_id = x.case_id
+                 WHERE x.user_id = u.id AND xc.family_id = c.family_id) AS attempt_count
+         FROM users u
+         CROSS JOIN cases c
+         LEFT JOIN case_attempts a ON a.attempt_id = (
+           SELECT MAX(x.attempt_id)
+           FROM case_attempts x
+           JOIN cases xc ON xc.case_id = x.case_id
+           WHERE x.user_id = u.id AND xc.family_id = c.family_id
+         )
+         WHERE u.role = 'student'
+           AND c.status = 'published'
+           AND c.superseded_by IS NULL
+           AND (? IS NULL OR c.case_id = ?)
+       ) p
+       WHERE (? IS NULL OR p.status = ?)
+       ORDER BY p.username ASC, p.case_name ASC`,
+      [caseId, caseId, status, status]
+    );
+
+    const summary = { NOT_STARTED: 0, IN_PROGRESS: 0, COMPLETED: 0 };
+    rows.forEach(r => { summary[r.status] = (summary[r.status] || 0) + 1; });
+
+    return res.json({ progress: rows, summary });
+  } catch (err) {
+    console.error('progress error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 2) Drill-down: one student's attempts and activity in time order.
+ */
+router.get('/progress/students/:userId', requirePermission('work:view-any'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const [users] = await pool.execute(
+      'SELECT id, username, role FROM users WHERE id=?',
+      [userId]
+    );
+    if (!users.length) return res.status(404).json({ error: 'NOT_FOUND' });
+
+    const [attempts] = await pool.execute(
+      `SELECT a.attempt_id, a.attempt_number, a.case_id, c.case_name, a.status, a.last_page,
+              a.started_at, a.updated_at, a.completed_at,
+              ${TIME_ON_CASE} AS time_on_case_seconds,
+              a.score, a.final_score, a.graded_at, a.released_at,
+              a.deadline_at, a.extension_minutes, a.auto_completed, a.overtime_seconds
+       FROM case_attempts a
+       JOIN cases c ON c.case_id = a.case_id
+       WHERE a.user_id=?
+       ORDER BY a.started_at ASC`,
+      [userId]
+    );
+    const [notes] = await pool.execute(
+      `SELECT n.case_id, c.case_name, n.section, n.submitted_at
+       FROM student_notes n
+       JOIN cases c ON c.case_id = n.case_id
+       WHERE n.student_id=?`,
+      [userId]
+    );
+    const [tests] = await pool.execute(
+      `SELECT t.case_id, c.case_name, t.kind, t.test, t.performed_at
+       FROM performed_tests t
+       JOIN cases c ON c.case_id = t.case_id
+       WHERE t.student_id=?`,
+      [userId]
+    );
+
+    const timeline = [];
+    attempts.forEach(a => {
+      const base = { case_id: a.case_id, case_name: a.case_name, attempt_id: a.attempt_id };
+      timeline.push({ ...base, at: a.started_at, event: 'started' });
+      if (a.completed_at) timeline.push({ ...base, at: a.completed_at, event: 'completed' });
+      if (a.released_at) timeline.push({ ...base, at: a.released_at, event: 'grade_released', detail: a.final_score });
+    });
+    notes.forEach(n => {
+      timeline.push({ case_id: n.case_id, case_name: n.case_name, at: n.submitted_at, event: 'notes_saved', detail: n.section });
+    });
+    tests.forEach(t => {
+      timeline.push({ case_id: t.case_id, case_name: t.case_name, at: t.performed_at, event: 'test_performed', detail: `${t.kind}:${t.test}` });
+    });
+    timeline.sort((x, y) => new Date(x.at) - new Date(y.at));
+
+    return res.json({ student: users[0], attempts, timeline });
+  } catch (err) {
+    console.error('student timeline error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+module.exports = router;
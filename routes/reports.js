@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db'); // mysql2/promise
+const { attemptReport, caseReportsZip } = require('../lib/reports');
+const { can, requirePermission } = require('../lib/permissions');
+
+// ---------- Helpers ----------
+function sendFile(res, { buffer, filename }, type, disposition) {
+  res.set('Content-Type', type);
+  res.set('Content-Disposition', `${disposition}; filename="${filename}"`);
+  res.set('Cache-Control', 'private, no-store');
+  return res.send(buffer);
+}
+
+// ---------- ROUTES ----------
+
+/**
+ * 1) One attempt's case report (PDF). Students get their own attempts,
+ *    staff any. An attempt still in progress gets a draft.
+ *    Opens in the browser; ?download=1 saves it instead.
+ */
+router.get('/reports/attempts/:attemptId.pdf', requirePermission('cases:work', 'work:view-any'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      'SELECT user_id FROM case_attempts WHERE attempt_id=?',
+      [req.params.attemptId]
+    );
+    const attempt = rows[0];
+    if (!attempt || (!can(req.user, 'work:view-any') && attempt.user_id !== req.user.user_id)) {
+      return res.status(404).json({ error: 'NOT_FOUND' });
+    }
+
+    const report = await attemptReport(req.params.attemptId);
+    if (!report) return res.status(404).json({ error: 'NOT_FOUND' });
+    return sendFile(res, report, 'application/pdf', req.query.download ? 'attachment' : 'inline');
+  } catch (err) {
+    console.error('report download error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 2) Zip of the reports for every completed attempt on a case (staff).
+ *    - 404 NO_REPORTS when nobody has completed it
+ */
+router.get('/reports/cases/:caseId.zip', requirePermission('work:view-any'), async (req, res) => {
+  try {
+    const zip = await caseReportsZip(req.params.caseId);
+    if (!zip) return res.status(404).json({ error: 'NO_REPORTS' });
+    return sendFile(res, zip, 'application/zip', 'attachment');
+  } catch (err) {
+    console.error('report zip error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { loadTestTypes, saveTestType } = require('../lib/tests');
+const { can, requireAuth, requirePermission } = require('../lib/permissions');
+
+// ---------- ROUTES ----------
+
+/**
+ * 1) Ancillary test registry, in display order.
+ *    Drives the wizard (Steps 4–5) and the simulator's Testing tab.
+ *    Professors may pass ?all=1 to include retired (inactive) types.
+ */
+router.get('/test-types', requireAuth, async (req, res) => {
+  try {
+    const includeInactive = can(req.user, 'catalog:manage') && req.query.all === '1';
+    const testTypes = await loadTestTypes({ includeInactive });
+    return res.json({ testTypes });
+  } catch (err) {
+    console.error('test types error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 2) Create or update a test type.
+ *    Body: { label, sort_order, fields: [...], per_eye, image_slots: [...], active }
+ *    - 400 INVALID_TEST_TYPE with { details: [...] } when the definition is rejected
+ *    Retire a type with active: false; cases that used it keep their results.
+ */
+router.put('/test-types/:testKey', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const def = { ...req.body, test_key: req.params.testKey };
+    const errors = await saveTestType(def);
+    if (errors.length) {
+      return res.status(400).json({ error: 'INVALID_TEST_TYPE', details: errors });
+    }
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('save test type error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const {
+  ROLES, listUsers, getUser, createUser, updateUser, resetPassword, changeOwnPassword, importRoster
+} = require('../lib/users');
+const { can, requireAuth, requirePermission } = require('../lib/permissions');
+
+// Rosters are read straight from memory
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }
+});
+
+// Roles of the accounts this user may create and change: professors manage
+// students; staff accounts (a peer's password, role or access) are left to admins
+function grantableRoles(user) {
+  return can(user, 'users:manage-staff') ? ROLES : ['student'];
+}
+
+// ---------- ROUTES ----------
+
+/**
+ * 1) Accounts for the user-management list.
+ *    Query: ?role=student&q=smith (both optional)
+ */
+router.get('/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const role = ROLES.includes(req.query.role) ? req.query.role : null;
+    return res.json({ users: await listUsers({ role, q: req.query.q }), roles: grantableRoles(req.user) });
+  } catch (err) {
+    console.error('list users error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 2) Create one account with a temporary password (returned once, never stored).
+ *    Body: { username, role, full_name, email }
+ *    - 400 INVALID_USER with { details: [...] }
+ *    - 403 FORBIDDEN for a staff account unless the user is an admin
+ *    - 409 USERNAME_TAKEN
+ */
+router.post('/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (req.body && ROLES.includes(req.body.role) && !grantableRoles(req.user).includes(req.body.role)) {
+      return res.status(403).json({ error: 'FORBIDDEN' });
+    }
+    const result = await createUser(req.body || {});
+    if (!result.ok) {
+      return res.status(result.taken ? 409 : 400)
+        .json({ error: result.taken ? 'USERNAME_TAKEN' : 'INVALID_USER', details: result.errors });
+    }
+    return res.json({ ok: true, user: result.user, temp_password: result.temp_password });
+  } catch (err) {
+    console.error('create user error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 3) Change an account: { username, role, full_name, email, disabled } (any subset).
+ *    - 400 INVALID_USER with { details: [...] }
+ *    - 403 FORBIDDEN when a non-admin would change a staff account or make one
+ *    - 404 NOT_FOUND
+ *    - 409 OWN_ACCOUNT when someone would disable or demote themselves
+ */
+router.put('/users/:userId', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const changes = req.body || {};
+    const user = await getUser(req.params.userId);
+    if (!user) return res.status(404).json({ error: 'NOT_FOUND' });
+    const grantable = grantableRoles(req.user);
+    if (!grantable.includes(user.role) || (ROLES.includes(changes.role) && !grantable.includes(changes.role))) {
+      return res.status(403).json({ error: 'FORBIDDEN' });
+    }
+
+    const self = user.id === req.user.user_id;
+    if (self && (changes.disabled || (changes.role !== undefined && changes.role !== user.role))) {
+      return res.status(409).json({ error: 'OWN_ACCOUNT' });
+    }
+
+    const errors = await updateUser(user.id, changes);
+    if (errors.length) return res.status(400).json({ error: 'INVALID_USER', details: errors });
+    return res.json({ ok: true, user: await getUser(user.id) });
+  } catch (err) {
+    console.error('update user error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 4) Reset an account's password to a new temporary one (returned once).
+ *    - 403 FORBIDDEN for a staff account unless the user is an admin
+ *    - 404 NOT_FOUND
+ */
+router.post('/users/:userId/reset-password', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await getUser(req.params.userId);
+    if (!user) return res.status(404).json({ error: 'NOT_FOUND' });
+    if (!grantableRoles(req.user).includes(user.role)) return res.status(403).json({ error: 'FORBIDDEN' });
+
+    const tempPassword = await resetPassword(user.id);
+    return res.json({ ok: true, username: user.username, temp_password: tempPassword });
+  } catch (err) {
+    console.error('reset password error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 5) Import a class roster (multipart form, file field "roster", CSV).
+ *    Optional field "role" for rows without a role column (default student);
+ *    only admins may import staff.
+ *    Returns { created: [{ username, full_name, email, role, temp_password }], skipped }
+ *    so the professor can download the credentials; passwords aren't kept.
+ *    - 400 MISSING_FILE, 400 INVALID_ROSTER with { details: [...] } (nothing is created)
+ */
+router.post('/users/import', requirePermission('users:manage'), (req, res, next) => {
+  rosterUpload.single('roster')(req, res, err => {
+    if (err) return res.status(400).json({ error: 'INVALID_ROSTER', details: [err.message] });
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'MISSING_FILE' });
+
+    const roles = grantableRoles(req.user);
+    const defaultRole = roles.includes(req.body.role) ? req.body.role : 'student';
+    const result = await importRoster(req.file.buffer.toString('utf8'), { defaultRole, roles });
+    if (!result.ok) return res.status(400).json({ error: 'INVALID_ROSTER', details: result.errors });
+    return res.json({ ok: true, created: result.created, skipped: result.skipped });
+  } catch (err) {
+    console.error('roster import error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * 6) Signed-in user changes their own password (required after a temporary one).
+ *    Body: { current_password, new_password }
+ *    - 400 INVALID_PASSWORD with { details: [...] }
+ */
+router.put('/account/password', requireAuth, async (req, res) => {
+  try {
+    const { current_password: current, new_password: next } = req.body || {};
+    const errors = await changeOwnPassword(req.user.user_id, current, next);
+    if (errors.length) return res.status(400).json({ error: 'INVALID_PASSWORD', details: errors });
+
+    req.session.user = { ...req.session.user, must_change_password: false };
+    return res.json({ ok: true, role: req.user.role });
+  } catch (err) {
+    console.error('change password error:', err);
+    return res.status(500).json({ error: 'SERVER_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -1,33 +1,37 @@
-const bcrypt = require('bcryptjs');
 const { pool } = require('../db'); // this assumes db.js is one folder above scripts/
+const { ROLES, createUser, resetPassword } = require('../lib/users');
+
+// Creates an account (e.g. the first professor) with a temporary password that
+// must be changed at first login. Everyone else is added from the dashboard.
+//   npm run create-user -- <username> [student|professor]
+//   npm run create-user -- <username> --reset   new temporary password
 
 (async () => {
-  const username = 'Brandon Dennis';
-  const rawPassword = '123456';
-  const role = 'student';
+  const [username, roleArg] = process.argv.slice(2);
+  const reset = roleArg === '--reset';
+  const role = reset ? null : (roleArg || 'student');
 
   try {
-    // check if table uses "password_hash" or "password"
-    const [pwColCheck] = await pool.query("SHOW COLUMNS FROM `users` LIKE 'password_hash'");
-    const passwordCol = pwColCheck.length ? 'password_hash' : 'password';
-
-    // hash the password before saving
-    const hash = await bcrypt.hash(rawPassword, 10);
-
-    // ensure unique username key (optional)
-    await pool.query("ALTER TABLE `users` ADD UNIQUE KEY `uniq_username` (`username`)").catch(() => {});
+    if (!username || (!reset && !ROLES.includes(role))) {
+      console.error(`Usage: npm run create-user -- <username> [${ROLES.join('|')}] | --reset`);
+      process.exitCode = 1;
+      return;
+    }
 
-    // insert or update
-    await pool.execute(
-      `INSERT INTO users (username, ${passwordCol}, role)
-       VALUES (?, ?, ?)
-       ON DUPLICATE KEY UPDATE ${passwordCol}=VALUES(${passwordCol}), role=VALUES(role)`,
-      [username, hash, role]
-    );
+    if (reset) {
+      const [rows] = await pool.query('SELECT id FROM users WHERE TRIM(username) = TRIM(?)', [username]);
+      const tempPassword = rows.length ? await resetPassword(rows[0].id) : null;
+      if (!tempPassword) throw new Error(`no user "${username}"`);
+      console.log(`✅ Reset password for ${username}. Temporary password: ${tempPassword}`);
+      return;
+    }
 
-    console.log(`✅ Created/updated user: ${username} (role: ${role})`);
+    const result = await createUser({ username, role });
+    if (!result.ok) throw new Error(result.errors.join(' '));
+    console.log(`✅ Created ${result.user.username} (role: ${role}). Temporary password: ${result.temp_password}`);
   } catch (e) {
     console.error('❌ Failed to create user:', e.message);
+    process.exitCode = 1;
   } finally {
     pool.end();
   }
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../db'); // this assumes db.js is one folder above scripts/
+
+// Loads the CMS ICD-10-CM "order" file (icd10cm_order_YYYY.txt from the yearly
+// code release) into icd10_codes, replacing whatever was there.
+//   npm run load-icd10 -- /path/to/icd10cm_order_2025.txt
+//
+// Fixed-width layout:
+//   1-5 order number · 7-13 code · 15 billable (0/1) · 17-76 short description · 78- long description
+
+const BATCH_SIZE = 1000;
+
+function parseLine(line) {
+  if (line.length < 78) return null;
+  const code = line.slice(6, 13).trim();
+  if (!code) return null;
+  return [
+    code,
+    line.charAt(14) === '1' ? 1 : 0,
+    line.slice(16, 76).trim(),
+    line.slice(77).trim()
+  ];
+}
+
+(async () => {
+  const file = process.argv[2];
+  try {
+    if (!file) throw new Error('Usage: npm run load-icd10 -- <icd10cm_order_YYYY.txt>');
+
+    const rows = fs.readFileSync(path.resolve(file), 'latin1')
+      .split(/\r?\n/)
+      .map(parseLine)
+      .filter(Boolean);
+    if (!rows.length) throw new Error(`No codes found in ${file}`);
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await conn.query('DELETE FROM icd10_codes');
+      for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+        await conn.query(
+          'INSERT INTO icd10_codes (code, billable, short_description, description) VALUES ?',
+          [rows.slice(i, i + BATCH_SIZE)]
+        );
+      }
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+
+    console.log(`✅ Loaded ${rows.length} ICD-10-CM codes (${rows.filter(r => r[1]).length} billable)`);
+  } catch (e) {
+    console.error('❌ ICD-10 load failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    pool.end();
+  }
+})();
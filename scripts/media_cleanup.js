@@ -0,0 +1,22 @@
+const { pool } = require('../db'); // this assumes db.js is one folder above scripts/
+const { cleanupOrphans } = require('../lib/media');
+
+// Removes images in uploads/ that no case shows any more (with their
+// thumbnails and media rows). Files from the last hour are left alone.
+//   npm run media-cleanup               remove orphans
+//   npm run media-cleanup -- --dry-run  only list them
+
+(async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    const { removed, bytes } = await cleanupOrphans({ dryRun });
+    removed.forEach(name => console.log(`${dryRun ? '  would remove' : '  removed'} ${name}`));
+    const mb = (bytes / 1024 / 1024).toFixed(1);
+    console.log(`✅ ${removed.length} orphaned image(s), ${mb} MB${dryRun ? ' (dry run, nothing removed)' : ' freed'}`);
+  } catch (e) {
+    console.error('❌ Media cleanup failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    pool.end();
+  }
+})();
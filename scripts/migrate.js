@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../db'); // this assumes db.js is one folder above scripts/
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Split a .sql file into single statements (the pool does not allow multipleStatements)
+function splitStatements(sql) {
+  return sql
+    .split('\n')
+    .filter(line => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(/;\s*$/m)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+(async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name VARCHAR(191) PRIMARY KEY,
+        applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const [appliedRows] = await pool.query('SELECT name FROM schema_migrations');
+    const applied = new Set(appliedRows.map(r => r.name));
+
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(f => f.endsWith('.sql'))
+      .sort();
+
+    for (const file of files) {
+      if (applied.has(file)) continue;
+
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      for (const statement of splitStatements(sql)) {
+        await pool.query(statement);
+      }
+      await pool.query('INSERT INTO schema_migrations (name) VALUES (?)', [file]);
+      console.log(`✅ Applied ${file}`);
+    }
+
+    console.log('✅ Schema is up to date');
+  } catch (e) {
+    console.error('❌ Migration failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    pool.end();
+  }
+})();
@@ -9,10 +9,40 @@ const path = require('path');
 const mysql = require('mysql2');           // only if you use mysql.format / escape helpers
 const bcrypt = require('bcryptjs');        // use bcryptjs consistently
 const cookieSession = require('cookie-session'); // choose cookie-session (not express-session)
-const multer = require('multer');
 const { pool } = require('./db');          // mysql2/promise pool
 
 const caseAttemptsRouter = require('./routes/caseAttempts');
+const gradingRouter = require('./routes/grading');
+const progressRouter = require('./routes/progress');
+const caseBundlesRouter = require('./routes/caseBundles');
+const testTypesRouter = require('./routes/testTypes');
+const icd10Router = require('./routes/icd10');
+const cptRouter = require('./routes/cpt');
+const billingRouter = require('./routes/billing');
+const interviewRouter = require('./routes/interview');
+const mediaRouter = require('./routes/media');
+const hotspotsRouter = require('./routes/hotspots');
+const usersRouter = require('./routes/users');
+const coursesRouter = require('./routes/courses');
+const reportsRouter = require('./routes/reports');
+const { loadCaseForUser, revealedExamFields, mediaDetails, shownMedia } = require('./lib/cases');
+const { gradeAttempt } = require('./lib/grading');
+const { storeReport, storeMissingReports } = require('./lib/reports');
+const {
+  validateRetakePolicy, attemptForWork, completeAttempt, expireOverdueAttempts, readableAttempt
+} = require('./lib/attempts');
+const { EXAM_IMAGE_FIELDS, upsertByCase, mergeImageList, testUploadFields, saveCaseTests, publishCase } = require('./lib/wizard');
+const { loadTestTypes, loadCaseTests, revealedCaseTest } = require('./lib/tests');
+const { duplicateCase, editableCaseId, caseVersions } = require('./lib/versions');
+const { icd10Problems } = require('./lib/icd10');
+const { cptProblems, modifierList } = require('./lib/cpt');
+const { PAYERS } = require('./lib/billing');
+const { saveCaseInterview } = require('./lib/interview');
+const { mediaUpload, syncCaseMedia, caseMediaRefs, releaseCaseMedia } = require('./lib/media');
+const { validateHotspots, saveCaseHotspots } = require('./lib/hotspots');
+const {
+  STAFF_ROLES, can, permissionsOf, canEditCase, canShareCase, requireAuth, requirePermission, requireCaseAuthor
+} = require('./lib/permissions');
 
 
 // ─── App bootstrap ─────────────────────────────────────────────────────────────
@@ -49,6 +79,10 @@ function isBcryptHash(str) {
   return typeof str === 'string' && str.startsWith('$2');
 }
 
+// Student work needs an attempt, which only POST /api/case-attempts/ensure opens
+// (it checks the assignment window, retake policy and time limit)
+const NO_ATTEMPT = { success: false, error: 'NO_ATTEMPT', message: 'Open the case to start an attempt first.' };
+
 // ─── Core middleware (order matters) ───────────────────────────────────────────
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -81,13 +115,11 @@ app.use((req, res, next) => {
   if (req.path.startsWith('/api')) {
     const allowlist = [
       { method: 'GET', regex: /^\/api\/cases\/?$/ },
-      { method: 'GET', regex: /^\/api\/cases\/\d+\/?$/ },
       { method: 'GET', regex: /^\/api\/health-db(?:\/)?$/ }, // tolerate trailing slash
     ];
     const whitelisted = allowlist.some(r => r.method === req.method && r.regex.test(req.path));
-    if (!req.session?.user && !whitelisted) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
+    // checks the account (disabled, role, temporary password) against the database
+    if (!whitelisted) return requireAuth(req, res, next);
   }
   next();
 });
@@ -95,35 +127,28 @@ app.use((req, res, next) => {
 
 
 // ✅ Adapter: frontend POST /api/cases/:id/complete → updates attempt
-app.post('/api/cases/:id/complete', async (req, res) => {
+app.post('/api/cases/:id/complete', requirePermission('cases:work', 'cases:view-all'), async (req, res) => {
   try {
     const caseId = req.params.id;
-    const pdfUrl = req.body?.pdfUrl || null;
-    const user = req.session?.user;
-    if (!user) return res.status(401).json({ error: 'Not authenticated' });
-
-    // find or create attempt
-    const [rows] = await pool.query(
-      'SELECT attempt_id, status FROM case_attempts WHERE case_id=? AND user_id=? LIMIT 1',
-      [caseId, user.id]
-    );
-
-    let attemptId;
-    if (rows.length) {
-      attemptId = rows[0].attempt_id;
-    } else {
-      const [ins] = await pool.query(
-        'INSERT INTO case_attempts (case_id, user_id, last_page, status) VALUES (?, ?, ?, ?)',
-        [caseId, user.id, 'finalize', 'IN_PROGRESS']
-      );
-      attemptId = ins.insertId;
+    const user = req.session.user;
+
+    // the student's latest attempt (opened by ensure when they started the case)
+    const attempt = await attemptForWork(caseId, user.id);
+    if (!attempt) return res.status(409).json(NO_ATTEMPT);
+    const attemptId = attempt.attempt_id;
+    // mark complete (a timed attempt past its deadline was closed by the server)
+    if (attempt.status === 'COMPLETED' || !(await completeAttempt(attemptId, user.id))) {
+      return res.json({ ok: true, alreadyCompleted: true, timedOut: !!attempt.auto_completed, attemptId, caseId });
     }
 
-    // mark complete
-    await pool.query(
-      'UPDATE case_attempts SET status="COMPLETED", pdf_url=?, completed_at=NOW() WHERE attempt_id=? AND user_id=?',
-      [pdfUrl, attemptId, user.id]
-    );
+    // grade Assessment & Plan against the answer key (completion stands even if this fails)
+    try {
+      await gradeAttempt(attemptId);
+    } catch (e) {
+      console.error('auto-grade error:', e);
+    }
+    // the canonical PDF report (rendered in the background, retried by the sweep)
+    storeReport(attemptId).catch(e => console.error('report error:', e));
 
     return res.json({ ok: true, attemptId, caseId });
   } catch (e) {
@@ -135,17 +160,27 @@ app.post('/api/cases/:id/complete', async (req, res) => {
 // ─── API routes ───────────────────────────────────────────────────────────────
 // ✅ mount router at just `/api` since it already defines /case-attempts/...
 app.use('/api', caseAttemptsRouter);
+app.use('/api', gradingRouter);
+app.use('/api', progressRouter);
+app.use('/api', caseBundlesRouter);
+app.use('/api', testTypesRouter);
+app.use('/api', icd10Router);
+app.use('/api', cptRouter);
+app.use('/api', billingRouter);
+app.use('/api', interviewRouter);
+app.use('/api', mediaRouter);
+app.use('/api', hotspotsRouter);
+app.use('/api', usersRouter);
+app.use('/api', coursesRouter);
+app.use('/api', reportsRouter);
 
 
 // Static files (serve your public/)
 app.use(express.static(path.join(__dirname, 'public')));
 
-// ─── Multer (uploads) ──────────────────────────────────────────────────────────
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, 'uploads/'),
-  filename:   (req, file, cb) => cb(null, Date.now() + path.extname(file.originalname)),
-});
-const upload = multer({ storage });
+// ─── Uploads (media library, lib/media.js) ─────────────────────────────────────
+// Wizard uploads are validated, deduped and thumbnailed by mediaUpload;
+// thumbnails are served by /api/media/thumbs/:filename.
 app.use('/uploads', express.static('uploads'));
 
 // ─── DB helper (callback wrapper over promise pool) ────────────────────────────
@@ -190,7 +225,8 @@ app.post('/auth/student', async (req, res) => {
     if (!rawUser || !rawPass) return res.status(400).send('❌ Missing username or password');
 
     const [rows] = await pool.query(
-      'SELECT id, username, role, password FROM users WHERE TRIM(username)=TRIM(?) LIMIT 5',
+      `SELECT id, username, role, password, disabled_at, must_change_password
+       FROM users WHERE TRIM(username)=TRIM(?) LIMIT 5`,
       [rawUser]
     );
     if (rows.length === 0) return res.status(401).send('❌ Invalid student credentials');
@@ -208,10 +244,17 @@ app.post('/auth/student', async (req, res) => {
       : rawPass === user.password;
 
     if (!ok) return res.status(401).send('❌ Invalid student credentials');
+    if (user.disabled_at) return res.status(401).send('❌ This account has been disabled. Ask your professor.');
 
     // store user in session
     req.session.user = { id: user.id, username: user.username, role: 'student' };
 
+    // ✅ Temporary password (new or reset account): choose a new one first
+    if (user.must_change_password) {
+      req.session.user.must_change_password = true;
+      return res.redirect('/account/password');
+    }
+
     // If you serve static HTML files:
     // return res.redirect('/student-dashboard.html');
     return res.redirect('/student/dashboard'); // keep this if you already route it
@@ -233,15 +276,18 @@ app.post('/auth/professor', async (req, res) => {
     if (!rawUser || !rawPass) return res.status(400).send('❌ Missing username or password');
 
     const [rows] = await pool.query(
-      'SELECT id, username, role, password FROM users WHERE TRIM(username)=TRIM(?) LIMIT 5',
+      `SELECT id, username, role, password, disabled_at, must_change_password
+       FROM users WHERE TRIM(username)=TRIM(?) LIMIT 5`,
       [rawUser]
     );
     console.log('[PROF] rows:', rows);
 
     if (rows.length === 0) return res.status(401).send('❌ Invalid professor credentials (no such username)');
 
-    const prof = rows.find(r => String(r.role).toLowerCase() === 'professor') || rows[0];
-    if (String(prof.role).toLowerCase() !== 'professor') {
+    // TAs and admins sign in here too and get the staff dashboard
+    const isStaff = r => STAFF_ROLES.includes(String(r.role).toLowerCase());
+    const prof = rows.find(isStaff) || rows[0];
+    if (!isStaff(prof)) {
       return res.status(401).send('❌ Invalid professor credentials (not a professor)');
     }
 
@@ -252,9 +298,14 @@ app.post('/auth/professor', async (req, res) => {
     console.log('[PROF] pass ok?', ok);
 
     if (!ok) return res.status(401).send('❌ Invalid professor credentials (password mismatch)');
+    if (prof.disabled_at) return res.status(401).send('❌ This account has been disabled.');
 
     // success
-    req.session && (req.session.user = { id: prof.id, username: prof.username, role: 'professor' });
+    req.session && (req.session.user = { id: prof.id, username: prof.username, role: String(prof.role).toLowerCase() });
+    if (prof.must_change_password) {
+      req.session.user.must_change_password = true;
+      return res.redirect('/account/password');
+    }
     return res.redirect('/professor-dashboard.html'); // your file exists in /public
   } catch (e) {
     console.error('[PROF] error:', e);
@@ -267,42 +318,51 @@ app.post('/auth/professor', async (req, res) => {
 
 
 
-app.post('/api/student-notes', (req, res) => {
+app.post('/api/student-notes', requirePermission('cases:work'), (req, res) => {
   const { case_id, section, notes, interpretations } = req.body;
 
-  if (!req.session.user || req.session.user.role !== 'student') {
-    return res.status(403).json({ success: false, message: '❌ Unauthorized' });
-  }
-
   const student_id = req.session.user.id;
 
   if (section === "testing" && Array.isArray(interpretations)) {
     const sql = `
       INSERT INTO interpretations 
-        (case_id, test_type, date, reason, cooperation, findings_od, findings_os)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+        (case_id, student_id, attempt_id, test_type, date, reason, cooperation, findings_od, findings_os)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
-    // Wrap db.query in a Promise
-    const queries = interpretations.map(interp => {
-      return new Promise((resolve, reject) => {
-        db.query(sql, [
-          case_id,
-          interp.test_type,
-          interp.date || null,
-          interp.reason || null,
-          interp.cooperation || null,
-          interp.findings_od || null,
-          interp.findings_os || null
-        ], (err) => {
-          if (err) return reject(err);
-          resolve();
+    attemptForWork(case_id, student_id)
+      .then(attempt => {
+        if (!attempt) {
+          res.status(409).json(NO_ATTEMPT);
+          return;
+        }
+        if (attempt.status === 'COMPLETED') {
+          res.status(403).json({ success: false, message: 'Case already completed' });
+          return;
+        }
+
+        // Wrap db.query in a Promise
+        const queries = interpretations.map(interp => {
+          return new Promise((resolve, reject) => {
+            db.query(sql, [
+              case_id,
+              student_id,
+              attempt.attempt_id,
+              interp.test_type,
+              interp.date || null,
+              interp.reason || null,
+              interp.cooperation || null,
+              interp.findings_od || null,
+              interp.findings_os || null
+            ], (err) => {
+              if (err) return reject(err);
+              resolve();
+            });
+          });
         });
-      });
-    });
 
-    Promise.all(queries)
-      .then(() => res.json({ success: true }))
+        return Promise.all(queries).then(() => res.json({ success: true }));
+      })
       .catch(err => {
         console.error("❌ Error saving interpretation:", err);
         res.status(500).json({
@@ -322,93 +382,127 @@ app.post('/api/student-notes', (req, res) => {
     ON DUPLICATE KEY UPDATE notes = VALUES(notes), submitted_at = CURRENT_TIMESTAMP
   `;
 
-  db.query(sql, [case_id, student_id, section, notes], (err) => {
-    if (err) {
-      console.error("❌ Error saving notes:", err);
-      return res.status(500).json({
-        success: false,
-        error: err.code,
-        message: err.sqlMessage
+  attemptForWork(case_id, student_id)
+    .then(attempt => {
+      if (!attempt) {
+        res.status(409).json(NO_ATTEMPT);
+        return;
+      }
+      if (attempt.status === 'COMPLETED') {
+        res.status(403).json({ success: false, message: 'Case already completed' });
+        return;
+      }
+
+      db.query(sql, [case_id, student_id, section, notes], (err) => {
+        if (err) {
+          console.error("❌ Error saving notes:", err);
+          return res.status(500).json({
+            success: false,
+            error: err.code,
+            message: err.sqlMessage
+          });
+        }
+        res.json({ success: true });
       });
-    }
-    res.json({ success: true });
-  });
+    })
+    .catch(err => {
+      console.error("❌ Error saving notes:", err);
+      res.status(500).json({ success: false, error: err.code, message: err.sqlMessage });
+    });
 });
 
-app.post('/api/assessment-plan', (req, res) => {
+app.post('/api/assessment-plan', requirePermission('cases:work'), async (req, res) => {
   const { case_id, assessments } = req.body;
 
-  if (!req.session.user || req.session.user.role !== 'student') {
-    return res.status(403).json({ success: false, message: '❌ Unauthorized' });
+  if (!Array.isArray(assessments) || !assessments.length) {
+    return res.status(400).json({ success: false, message: 'No assessments to save' });
   }
 
   const student_id = req.session.user.id;
 
-  const sql = `
-  INSERT INTO assessment_plan (case_id, student_id, icd10_code, plan)
-  VALUES ?
-`;
-const values = assessments.map(a => [case_id, student_id, a.icd10_code, a.plan]);
-
+  try {
+    // Nothing more once the case is submitted (or a timed attempt ran out)
+    const attempt = await attemptForWork(case_id, student_id);
+    if (!attempt) return res.status(409).json(NO_ATTEMPT);
+    if (attempt.status === 'COMPLETED') {
+      return res.status(403).json({ success: false, message: 'Case already completed' });
+    }
 
-  db.query(sql, [values], (err, result) => {
-    if (err) {
-      console.error("❌ Error saving assessments:", err);
-      return res.status(500).json({ success: false, message: err.sqlMessage });
+    // ✅ Codes must exist in ICD-10-CM, be billable and name the side
+    const problems = await icd10Problems(assessments);
+    if (problems.length) {
+      return res.status(400).json({ success: false, message: 'Some ICD-10 codes are not valid', problems });
     }
 
+    const values = assessments.map(a => [case_id, student_id, a.icd10_code, a.plan]);
+    const [result] = await pool.query(
+      'INSERT INTO assessment_plan (case_id, student_id, icd10_code, plan) VALUES ?',
+      [values]
+    );
+
     // Return the IDs of inserted rows
     res.json({ success: true, insertedIds: Array.from({ length: result.affectedRows }, (_, i) => result.insertId + i) });
-  });
+  } catch (err) {
+    console.error("❌ Error saving assessments:", err);
+    return res.status(500).json({ success: false, message: err.sqlMessage });
+  }
 });
 
 // Save CPT codes linked to assessments
-app.post('/api/assessment-plan-cpt', (req, res) => {
+app.post('/api/assessment-plan-cpt', requirePermission('cases:work'), async (req, res) => {
   const { case_id, cpt_codes } = req.body;
 
-  if (!req.session.user || req.session.user.role !== 'student') {
-    return res.status(403).json({ success: false, message: '❌ Unauthorized' });
-  }
-
   const student_id = req.session.user.id;
 
   if (!cpt_codes || cpt_codes.length === 0) {
     return res.json({ success: true, message: "No CPT codes to save" });
   }
 
-  const sql = `
-    INSERT INTO assessment_plan_cpt (assessment_plan_id, cpt_code, applies_to)
-    VALUES ?
-  `;
-
-  // Flatten CPT mapping rows
-  const values = cpt_codes.map(c => [
-    // store as JSON which assessment_plan IDs this CPT applies to
-    c.applies_to.length > 0 ? c.applies_to[0] : null,
-    c.code,
-    JSON.stringify(c.applies_to)
-  ]);
+  try {
+    const attempt = await attemptForWork(case_id, student_id);
+    if (!attempt) return res.status(409).json(NO_ATTEMPT);
+    if (attempt.status === 'COMPLETED') {
+      return res.status(403).json({ success: false, message: 'Case already completed' });
+    }
 
-  db.query(sql, [values], (err) => {
-    if (err) {
-      console.error("❌ Error saving CPT codes:", err);
-      return res.status(500).json({ success: false, message: err.sqlMessage });
+    // ✅ Codes must be in the catalog, with allowed modifiers and units
+    const problems = await cptProblems(cpt_codes);
+    if (problems.length) {
+      return res.status(400).json({ success: false, message: 'Some CPT codes are not valid', problems });
     }
+
+    // Flatten CPT mapping rows
+    const values = cpt_codes.map(c => [
+      // store as JSON which assessment_plan IDs this CPT applies to
+      c.applies_to.length > 0 ? c.applies_to[0] : null,
+      String(c.code).trim().toUpperCase(),
+      modifierList(c.modifiers).join(',') || null,
+      Number(c.units) || 1,
+      PAYERS.includes(c.payer) ? c.payer : null,
+      JSON.stringify(c.applies_to),
+      case_id,
+      student_id
+    ]);
+
+    await pool.query(
+      `INSERT INTO assessment_plan_cpt (assessment_plan_id, cpt_code, modifiers, units, payer, applies_to, case_id, student_id)
+       VALUES ?`,
+      [values]
+    );
     res.json({ success: true });
-  });
+  } catch (err) {
+    console.error("❌ Error saving CPT codes:", err);
+    return res.status(500).json({ success: false, message: err.sqlMessage });
+  }
 });
 
 
 
 
 // ✅ Get student notes by case + section
-app.get('/api/student-notes', (req, res) => {
+app.get('/api/student-notes', requirePermission('cases:work'), (req, res) => {
   const { case_id, section } = req.query;
 
-  if (!req.session.user) {
-    return res.status(403).json({ success: false, message: '❌ Unauthorized' });
-  }
-
   const sql = `
     SELECT *
     FROM student_notes
@@ -431,21 +525,20 @@ app.get('/api/student-notes', (req, res) => {
 
 
 // Student dashboard (protected)
-app.get('/student/dashboard', (req, res) => {
-  if (!req.session.user || req.session.user.role !== 'student') {
-    return res.redirect('/login/student');
-  }
+app.get('/student/dashboard', requirePermission('cases:work', { login: '/login/student' }), (req, res) => {
   res.sendFile(__dirname + '/public/student-dashboard.html');
 });
 
-// Professor dashboard (protected)
-app.get('/professor/dashboard', (req, res) => {
-  if (!req.session.user || req.session.user.role !== 'professor') {
-    return res.redirect('/login/professor');
-  }
+// Professor dashboard (protected; TAs and admins use it too)
+app.get('/professor/dashboard', requirePermission('cases:view-all', { login: '/login/professor' }), (req, res) => {
   res.sendFile(__dirname + '/public/professor-dashboard.html');
 });
 
+// Change password (required after signing in with a temporary one)
+app.get('/account/password', requireAuth, (req, res) => {
+  res.sendFile(__dirname + '/public/change-password.html');
+});
+
 // Logout
 app.get('/logout', (req, res) => {
   req.session.destroy(err => {
@@ -454,35 +547,33 @@ app.get('/logout', (req, res) => {
   });
 });
 
-// Get logged in user info
-app.get('/api/user', (req, res) => {
-  if (req.session.user) {
-    res.json(req.session.user);
-  } else {
-    res.status(401).json({ error: 'Not logged in' });
-  }
+// Get logged in user info (with what they may do, so pages show the right controls)
+app.get('/api/user', requireAuth, (req, res) => {
+  res.json({ ...req.session.user, permissions: permissionsOf(req.session.user.role) });
 });
 
 // Step 1 page
-app.get('/wizard/step1', (req, res) => {
-  if (!req.session.user || req.session.user.role !== 'professor') {
-    return res.status(403).send('❌ Unauthorized');
-  }
+app.get('/wizard/step1', requirePermission('cases:author'), (req, res) => {
   res.sendFile(__dirname + '/public/wizard-step1.html');
 });
 
 // ======================
 // View Cases Page
 // ======================
-app.get('/view-cases', (req, res) => {
+app.get('/view-cases', requirePermission('cases:view-all'), (req, res) => {
   res.sendFile(__dirname + '/public/view-cases.html');
 });
 
-// Fetch all cases
+// Fetch all cases (drafts only for staff, who also learn which ones they may edit or share)
+// Public: the API gate lets signed-out visitors list published cases
 app.get('/api/cases', (req, res) => {
+  const user = req.session?.user || null;
+  const isStaff = can(user, 'cases:view-all');
   const sql = `
-    SELECT case_id, case_name, instructions, created_by, created_at
+    SELECT case_id, family_id, version, case_name, instructions, status, published_at, created_by,
+           owner_id, shared, created_at
     FROM cases
+    WHERE superseded_by IS NULL ${isStaff ? '' : "AND status = 'published'"}
     ORDER BY case_id DESC
   `;
   db.query(sql, (err, results) => {
@@ -490,101 +581,125 @@ app.get('/api/cases', (req, res) => {
       console.error("❌ Error fetching cases:", err);
       return res.status(500).json({ error: "Database error" });
     }
-    res.json(results);
+    if (!isStaff) return res.json(results.map(({ owner_id, shared, ...c }) => c));
+    res.json(results.map(c => ({ ...c, can_edit: canEditCase(user, c), can_share: canShareCase(user, c) })));
   });
 });
 
 
-// Delete a case
-app.delete('/api/cases/:id', (req, res) => {
+// Delete a case (its owner, or anyone once it's shared)
+app.delete('/api/cases/:id', requireCaseAuthor(), async (req, res) => {
   const caseId = req.params.id;
-  const sql = "DELETE FROM cases WHERE case_id = ?";
-  db.query(sql, [caseId], (err, result) => {
-    if (err) {
-      console.error("❌ Error deleting case:", err);
-      return res.status(500).json({ error: "Database error" });
+  try {
+    // Images are read first: the ones no other case shows go with the case
+    const files = (await caseMediaRefs(caseId)).map(r => r.filename);
+
+    // The answer-key tables added by migrations have no foreign keys to cascade
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      for (const table of ['case_tests', 'case_interview_responses', 'image_hotspots']) {
+        await conn.query(`DELETE FROM ${table} WHERE case_id = ?`, [caseId]);
+      }
+      await conn.query('DELETE FROM cases WHERE case_id = ?', [caseId]);
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    try {
+      await releaseCaseMedia(caseId, files);
+    } catch (e) {
+      console.error('⚠️ Media of deleted case not cleaned up (npm run media-cleanup will):', e);
     }
     res.json({ success: true });
-  });
+  } catch (err) {
+    console.error("❌ Error deleting case:", err);
+    return res.status(500).json({ error: "Database error" });
+  }
 });
 
-// ======================
-// Fetch a single case by ID (Step 1–6)
-// ======================
-app.get('/api/cases/:id', (req, res) => {
-  const caseId = req.params.id;
+// Duplicate a case (deep copy; images are shared through the media library) as a new draft
+// (any case can be duplicated; the copy belongs to whoever made it)
+app.post('/api/cases/:id/duplicate', requirePermission('cases:author'), async (req, res) => {
+  try {
+    const caseId = await duplicateCase(req.params.id, req.user.username, req.user.user_id);
+    if (!caseId) return res.status(404).json({ success: false, message: 'Case not found' });
+    res.json({ success: true, case_id: caseId });
+  } catch (err) {
+    console.error("❌ Error duplicating case:", err);
+    res.status(500).json({ success: false, message: err.sqlMessage || 'Database error' });
+  }
+});
 
-  const caseQuery = `
-    SELECT case_id, case_name, instructions, created_by, created_at
-    FROM cases
-    WHERE case_id = ?
-  `;
+// Version history of a case (every version in its family)
+app.get('/api/cases/:id/versions', requirePermission('cases:view-all'), async (req, res) => {
+  try {
+    res.json(await caseVersions(req.params.id));
+  } catch (err) {
+    console.error("❌ Error fetching case versions:", err);
+    res.status(500).json({ success: false, message: err.sqlMessage || 'Database error' });
+  }
+});
 
-  db.query(caseQuery, [caseId], (err, results) => {
-    if (err) {
-      console.error("❌ Error fetching case:", err);
-      return res.status(500).json({ error: "Database error" });
+// Publish a draft whose wizard steps are already saved
+app.post('/api/cases/:id/publish', requireCaseAuthor(), async (req, res) => {
+  try {
+    const result = await publishCase(req.params.id);
+    if (!result.ok) {
+      return res.status(400).json({ success: false, message: 'Case is incomplete', problems: result.problems });
     }
-    if (results.length === 0) {
-      return res.status(404).json({ error: "Case not found" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Error publishing case:", err);
+    res.status(500).json({ success: false, message: err.sqlMessage || 'Database error' });
+  }
+});
+
+// Share a case with the other authors, or stop sharing it (its owner; every version follows)
+app.put('/api/cases/:id/sharing', requirePermission('cases:author'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT family_id, owner_id, shared FROM cases WHERE case_id = ?', [req.params.id]);
+    if (!rows.length) return res.status(404).json({ success: false, message: 'Case not found' });
+    if (!canShareCase(req.user, rows[0])) {
+      return res.status(403).json({ error: 'FORBIDDEN', message: '❌ Only the case owner can change sharing' });
     }
 
-    const caseData = results[0];
-
-    // Patients
-    db.query("SELECT * FROM patients WHERE case_id = ?", [caseId], (err, patientResults) => {
-      if (err) return res.status(500).json({ error: "Database error" });
-      caseData.patient = patientResults[0] || null;
-
-      // Appointments
-      db.query("SELECT * FROM appointments WHERE case_id = ?", [caseId], (err, apptResults) => {
-        if (err) return res.status(500).json({ error: "Database error" });
-        caseData.appointment = apptResults[0] || null;
-
-        // Histories
-        db.query("SELECT * FROM histories WHERE case_id = ?", [caseId], (err, historyResults) => {
-          if (err) return res.status(500).json({ error: "Database error" });
-          caseData.history = historyResults[0] || null;
-
-          // Exam Findings (Step 4 + 5)
-          db.query("SELECT * FROM exam_sections WHERE case_id = ?", [caseId], (err, examResults) => {
-            if (err) return res.status(500).json({ error: "Database error" });
-            caseData.exam = examResults[0] || null;
-
-            // Assessments & Plan (Step 6 - ICD10 codes + plans)
-db.query(
-  "SELECT icd10_code, plan FROM assessment_plan WHERE case_id = ?",
-  [caseId],
-  (err, planResults) => {
-    if (err) return res.status(500).json({ error: "Database error" });
-
-    // 🔑 Fix: Convert MySQL RowDataPackets into plain objects
-    caseData.assessments = planResults && planResults.length > 0 
-      ? JSON.parse(JSON.stringify(planResults)) 
-      : [];
-
-    // CPT Codes (Step 6 - procedures)
-    db.query(
-      "SELECT cpt_code FROM codes WHERE case_id = ?",
-      [caseId],
-      (err, cptResults) => {
-        if (err) return res.status(500).json({ error: "Database error" });
-        caseData.cpt_codes = cptResults.map(row => row.cpt_code);
-
-        // ✅ Send final combined data
-        res.json(caseData);
-              });
-            });
-          });
-        });
-      });
-    });
-  });
+    const shared = req.body?.shared ? 1 : 0;
+    await pool.query('UPDATE cases SET shared = ? WHERE family_id = ?', [shared, rows[0].family_id]);
+    res.json({ success: true, shared: !!shared });
+  } catch (err) {
+    console.error("❌ Error sharing case:", err);
+    res.status(500).json({ success: false, message: err.sqlMessage || 'Database error' });
+  }
+});
+
+// ======================
+// Fetch a single case by ID (Step 1–6)
+// Staff get the full case; students only what they have unlocked.
+// ======================
+app.get('/api/cases/:id', requirePermission('cases:work', 'cases:view-all'), async (req, res) => {
+  try {
+    const caseData = await loadCaseForUser(req.params.id, req.session.user);
+    if (!caseData) {
+      return res.status(404).json({ error: "Case not found" });
+    }
+    res.json(caseData);
+  } catch (err) {
+    console.error("❌ Error fetching case:", err);
+    res.status(500).json({ error: "Database error" });
+  }
 });
 
 
 // ✅ Fetch simplified case list for students
-app.get('/api/student-cases', (req, res) => {
+// Practice cases (assigned to no section) plus cases assigned to one of the
+// student's sections that have opened; deadlines are on /api/my-assignments.
+app.get('/api/student-cases', requirePermission('cases:work'), (req, res) => {
+  const userId = req.session.user.id;
   const query = `
     SELECT c.case_id, c.case_name, c.created_by, c.created_at,
            DATE_FORMAT(a.date, '%Y-%m-%d') AS appt_date,
@@ -599,9 +714,24 @@ app.get('/api/student-cases', (req, res) => {
     FROM cases c
     LEFT JOIN appointments a ON c.case_id = a.case_id
     LEFT JOIN patients p ON c.case_id = p.case_id
+    WHERE c.status = 'published' AND c.superseded_by IS NULL
+      AND (
+        NOT EXISTS (
+          SELECT 1 FROM case_assignments ca
+          JOIN cases ac ON ac.case_id = ca.case_id
+          WHERE ac.family_id = c.family_id
+        )
+        OR EXISTS (
+          SELECT 1 FROM case_assignments ca
+          JOIN cases ac ON ac.case_id = ca.case_id
+          JOIN section_enrollments e ON e.section_id = ca.section_id
+          WHERE ac.family_id = c.family_id AND e.user_id = ?
+            AND (ca.opens_at IS NULL OR ca.opens_at <= NOW())
+        )
+      )
     ORDER BY c.created_at DESC
   `;
-  db.query(query, (err, results) => {
+  db.query(query, [userId], (err, results) => {
     if (err) {
       console.error("❌ Error fetching student cases:", err.sqlMessage || err);
       return res.status(500).json({ error: "Database error" });
@@ -622,44 +752,75 @@ app.get('/api/student-cases', (req, res) => {
 // ======================
 
 // Serve Step 1 page (keep protected)
-app.get('/wizard/step1', (req, res) => {
-  if (!req.session.user || req.session.user.role !== 'professor') {
-    return res.status(403).send('❌ Unauthorized');
-  }
+app.get('/wizard/step1', requirePermission('cases:author'), (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'wizard-step1.html'));
 });
 
-// Handle Step 1 submit
-app.post('/wizard/step1', (req, res) => {
-  const { case_name, instructions } = req.body;
+// Handle Step 1 submit (case_id set → editing an existing case, which the user must be allowed to edit)
+app.post('/wizard/step1', requireCaseAuthor(req => req.body.case_id), async (req, res) => {
+  const { case_name, instructions, attempt_mode, max_attempts, score_policy, time_limit_minutes } = req.body;
 
-  if (!req.session.user || req.session.user.role !== 'professor') {
-    return res.status(403).send('❌ Unauthorized');
-  }
   if (!case_name || !case_name.trim()) {
     return res.status(400).send('case_name required');
   }
+  const policyErrors = validateRetakePolicy(req.body);
+  if (policyErrors.length) {
+    return res.status(400).send(`❌ ${policyErrors.join(' ')}`);
+  }
+  const maxAttempts = attempt_mode === 'limited' ? Number(max_attempts) : null;
+  const timeLimit = time_limit_minutes ? Number(time_limit_minutes) : null;
+
+  try {
+    if (req.body.case_id) {
+      // Published cases (and ones students have attempted) are edited as a new draft version
+      const case_id = await editableCaseId(req.body.case_id);
+      const [result] = await pool.query(
+        `UPDATE cases
+         SET case_name = ?, instructions = ?, attempt_mode = ?, max_attempts = ?, score_policy = ?,
+             time_limit_minutes = ?
+         WHERE case_id = ?`,
+        [case_name.trim(), instructions || null, attempt_mode, maxAttempts, score_policy, timeLimit, case_id]
+      );
+      if (!result.affectedRows) return res.status(404).send('Case not found');
+      console.log('✅ Step 1 OK — updated case_id:', case_id);
+      return res.redirect(`/wizard/step2?case_id=${case_id}`);
+    }
 
-  const sql = 'INSERT INTO cases (case_name, instructions, created_by) VALUES (?, ?, ?)';
-  const params = [case_name.trim(), instructions || null, req.session.user.username];
+    const sql = `INSERT INTO cases
+                   (case_name, instructions, attempt_mode, max_attempts, score_policy, time_limit_minutes,
+                    created_by, owner_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+    const params = [
+      case_name.trim(), instructions || null, attempt_mode, maxAttempts, score_policy, timeLimit,
+      req.user.username, req.user.user_id
+    ];
 
-  console.log('STEP1 INSERT SQL:', sql, params);
-  db.query(sql, params, (err, result) => {
-    if (err) {
-      console.error('❌ STEP1 DB ERROR:', err.code, err.sqlMessage || err.message);
-      return res.status(500).send(err.sqlMessage || 'Database error');
+    console.log('STEP1 INSERT SQL:', sql, params);
+    // A new case starts its own family; both writes land together or not at all
+    let caseId;
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [result] = await conn.query(sql, params);
+      caseId = result.insertId;
+      await conn.query('UPDATE cases SET family_id = ? WHERE case_id = ?', [caseId, caseId]);
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
     }
-    const caseId = result.insertId;
     console.log('✅ Step 1 OK — new case_id:', caseId);
     return res.redirect(`/wizard/step2?case_id=${caseId}`);
-  });
+  } catch (err) {
+    console.error('❌ STEP1 DB ERROR:', err.code, err.sqlMessage || err.message);
+    return res.status(500).send(err.sqlMessage || 'Database error');
+  }
 });
 
 // Serve Step 2 page
-app.get('/wizard/step2', (req, res) => {
-  if (!req.session.user || req.session.user.role !== 'professor') {
-    return res.status(403).send('❌ Unauthorized');
-  }
+app.get('/wizard/step2', requirePermission('cases:author'), (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'wizard-step2.html'));
 });
 
@@ -667,99 +828,91 @@ app.get('/wizard/step2', (req, res) => {
 // ======================
 // Case Wizard - Step 2
 // ======================
-app.post('/wizard/step2', (req, res) => {
+app.post('/wizard/step2', requireCaseAuthor(req => req.body.case_id), async (req, res) => {
   const {
-    case_id,
     patient_name, address, dob, race,
     vision_insurance, vision_insurance_info,
     medical_insurance, medical_insurance_info,
     appt_date, appt_time, exam_type
   } = req.body;
 
-  if (!req.session.user || req.session.user.role !== 'professor') {
-    return res.status(403).send('❌ Unauthorized');
-  }
+  try {
+    const case_id = await editableCaseId(req.body.case_id);
 
-  // Insert patient info
-  db.query(
-    `INSERT INTO patients 
-      (case_id, name, address, dob, race, vision_insurance, vision_insurance_info, medical_insurance, medical_insurance_info)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [case_id, patient_name, address, dob, race, vision_insurance, vision_insurance_info, medical_insurance, medical_insurance_info],
-    (err) => {
-      if (err) {
-        console.error('❌ Error inserting patient:', err);
-        return res.status(500).send('Database error');
-      }
+    // Patient info (one row per case; re-submitting updates it)
+    await upsertByCase('patients', case_id, {
+      name: patient_name, address, dob, race,
+      vision_insurance, vision_insurance_info,
+      medical_insurance, medical_insurance_info
+    });
 
-      // Insert appointment info
-      db.query(
-        `INSERT INTO appointments (case_id, date, time, exam_type, patient_name)
-         VALUES (?, ?, ?, ?, ?)`,
-        [case_id, appt_date, appt_time, exam_type, patient_name],
-        (err2) => {
-          if (err2) {
-            console.error('❌ Error inserting appointment:', err2);
-            return res.status(500).send('Database error');
-          }
-
-          res.redirect(`/wizard/step3?case_id=${case_id}`);
-        }
-      );
-    }
-  );
+    // Appointment info
+    await upsertByCase('appointments', case_id, {
+      date: appt_date, time: appt_time, exam_type, patient_name
+    });
+
+    res.redirect(`/wizard/step3?case_id=${case_id}`);
+  } catch (err) {
+    console.error('❌ Error saving patient/appointment:', err);
+    return res.status(500).send('Database error');
+  }
 });
 
-app.get('/wizard/step3', (req, res) => {
+app.get('/wizard/step3', requirePermission('cases:author'), (req, res) => {
   res.sendFile(__dirname + '/public/wizard-step3.html');
 });
 
 // ======================
 // Case Wizard - Step 3
 // ======================
-app.post('/wizard/step3', upload.single('patient_avatar'), (req, res) => {
+// (the case is only known once the multipart body is read, so it's checked after the upload)
+const step3Upload = mediaUpload([{ name: 'patient_avatar', maxCount: 1 }]);
+app.post('/wizard/step3', step3Upload, requireCaseAuthor(req => req.body.case_id), async (req, res) => {
   const {
-    case_id,
-    chief_complaint, hpi, poh, pmh, fhx, meds, allergies, social_history
+    chief_complaint, hpi, poh, pmh, fhx, meds, allergies, social_history,
+    remove_patient_avatar
   } = req.body;
 
-  if (!req.session.user || req.session.user.role !== 'professor') {
-    return res.status(403).send('❌ Unauthorized');
-  }
-
-  // ✅ Avatar upload goes to patients table
-  const avatarPath = req.file ? `/uploads/${req.file.filename}` : null;
-
-  // Insert into histories (same as before)
-  db.query(
-    `INSERT INTO histories 
-      (case_id, chief_complaint, hpi, poh, pmh, fhx, meds, allergies, social_history)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [case_id, chief_complaint, hpi, poh, pmh, fhx, meds, allergies, social_history],
-    (err) => {
-      if (err) {
-        console.error('❌ Error inserting history:', err);
-        return res.status(500).send('Database error');
+  try {
+    const case_id = await editableCaseId(req.body.case_id);
+
+    // ✅ Interview responses (sent as JSON by the Step 3 editor; replaces the case's set).
+    // Checked first so a rejected set leaves the whole step unsaved
+    if (req.body.interview_json !== undefined) {
+      let responses;
+      try {
+        responses = JSON.parse(req.body.interview_json || '[]');
+      } catch (e) {
+        return res.status(400).send('❌ Interview responses could not be read.');
       }
-
-      // ✅ Update patient avatar separately
-      if (avatarPath) {
-        db.query(
-          `UPDATE patients SET avatar = ? WHERE case_id = ?`,
-          [avatarPath, case_id],
-          (err2) => {
-            if (err2) console.error("⚠️ Avatar not saved:", err2);
-          }
-        );
+      const errors = await saveCaseInterview(case_id, responses);
+      if (errors.length) {
+        return res.status(400).send(`❌ Interview responses not saved: ${errors.join(' ').replace(/</g, '&lt;')}`);
       }
+    }
+
+    await upsertByCase('histories', case_id, {
+      chief_complaint, hpi, poh, pmh, fhx, meds, allergies, social_history
+    });
 
-      res.redirect(`/wizard/step4?case_id=${case_id}`);
+    // ✅ Avatar lives on the patients table: replace on upload, clear on request, else keep
+    const avatar = req.files?.patient_avatar?.[0];
+    if (avatar) {
+      await pool.query('UPDATE patients SET avatar = ? WHERE case_id = ?', [`/uploads/${avatar.filename}`, case_id]);
+    } else if (remove_patient_avatar) {
+      await pool.query('UPDATE patients SET avatar = NULL WHERE case_id = ?', [case_id]);
     }
-  );
+    await syncCaseMedia(case_id);
+
+    res.redirect(`/wizard/step4?case_id=${case_id}`);
+  } catch (err) {
+    console.error('❌ Error saving history:', err);
+    return res.status(500).send('Database error');
+  }
 });
 
 // Step 4 page loader (same as before)
-app.get('/wizard/step4', (req, res) => {
+app.get('/wizard/step4', requirePermission('cases:author'), (req, res) => {
   res.sendFile(__dirname + '/public/wizard-step4.html');
 });
 
@@ -770,164 +923,95 @@ app.get('/wizard/step4', (req, res) => {
 // ======================
 // Case Wizard - Step 4
 // ======================
-app.post('/wizard/step4', upload.fields([
-  { name: 'anterior_image', maxCount: 10 },
-  { name: 'posterior_image', maxCount: 10 },
-  { name: 'fundus_autofluorescence_images', maxCount: 10 },
-  { name: 'oct_images', maxCount: 10 },
-  { name: 'vf_images', maxCount: 10 },
-  { name: 'gonioscopy_images', maxCount: 10 },
-  { name: 'topography_images', maxCount: 10 },
-  { name: 'ascan_images', maxCount: 10 },
-  { name: 'bscan_images', maxCount: 10 },
-  { name: 'pachymetry_images', maxCount: 10 },
-  { name: 'fundus_photo_images', maxCount: 10 }
-]), (req, res) => {
-
-  if (!req.session.user || req.session.user.role !== 'professor') {
-    return res.status(403).send('❌ Unauthorized');
+// Upload fields come from the test-type registry, so the multer config is built per request
+async function step4Upload(req, res, next) {
+  try {
+    const testTypes = await loadTestTypes();
+    // Exam fields take images; test slots also take video clips and PDF reports
+    const fields = EXAM_IMAGE_FIELDS.map(name => ({ name, maxCount: 10 })).concat(
+      testUploadFields(testTypes).map(name => ({ name, maxCount: 10, kinds: ['image', 'video', 'pdf'] }))
+    );
+    req.testTypes = testTypes;
+    mediaUpload(fields)(req, res, next);
+  } catch (err) {
+    next(err);
   }
+}
 
-  const {
-  case_id,
-  va_type, va_od, va_os,
-  eoms, pupils, fields,
-  iop_method, iop_od, iop_os,
-  redcap, prelim_other,
-  // anterior
-  od_adnexa, os_adnexa,
-  od_lids_lashes, os_lids_lashes,
-  od_conjunctiva, os_conjunctiva,
-  od_cornea, os_cornea,
-  od_anterior_chamber, os_anterior_chamber,
-  od_iris, os_iris,
-  od_lens, os_lens,
-  od_anterior_vitreous, os_anterior_vitreous,
-  // posterior
-  od_posterior_vitreous, os_posterior_vitreous,
-  od_cd, os_cd,
-  od_disc, os_disc,
-  od_macula, os_macula,
-  od_vessels, os_vessels,
-  od_periphery, os_periphery,
-  // ancillary statuses + notes
-  fundus_autofluorescence_status, fundus_autofluorescence_notes,
-  oct_type, oct_subtype, oct_status, oct_notes,
-  vf_status, vf_subtype, vf_notes,
-  gonioscopy_status, gonioscopy_notes,
-  topography_status, topography_notes,
-  ascan_status, ascan_notes,
-  bscan_status, bscan_notes,
-  pachymetry_status, pachymetry_notes,
-  fundus_photo_status, fundus_photo_notes,
-  // new fields
-  fa_type, fa_date, fa_reason, fa_cooperation, fa_reliability, fa_findings_od, fa_findings_os,
-  vf_type, vf_date, vf_reason, vf_cooperation, vf_reliability, vf_findings_od, vf_findings_os,
-  oct_date, oct_reason, oct_cooperation, oct_reliability, oct_findings_od, oct_findings_os
-} = req.body
-
-  // Uploaded images (joined filenames)
-  const anteriorImages = req.files['anterior_image']?.map(f => f.filename).join(',') || null;
-  const posteriorImages = req.files['posterior_image']?.map(f => f.filename).join(',') || null;
-
-  const fundusAutofluorescenceImages = req.files['fundus_autofluorescence_images']?.map(f => f.filename).join(',') || null;
-  const octImages = req.files['oct_images']?.map(f => f.filename).join(',') || null;
-  const vfImages = req.files['vf_images']?.map(f => f.filename).join(',') || null;
-  const gonioscopyImages = req.files['gonioscopy_images']?.map(f => f.filename).join(',') || null;
-  const topographyImages = req.files['topography_images']?.map(f => f.filename).join(',') || null;
-  const ascanImages = req.files['ascan_images']?.map(f => f.filename).join(',') || null;
-  const bscanImages = req.files['bscan_images']?.map(f => f.filename).join(',') || null;
-  const pachymetryImages = req.files['pachymetry_images']?.map(f => f.filename).join(',') || null;
-  const fundusPhotoImages = req.files['fundus_photo_images']?.map(f => f.filename).join(',') || null;
-
-  // ======================
-  // Save into exam_sections
-  // ======================
-  db.query(
-  `INSERT INTO exam_sections (
-    case_id,
-    od_adnexa, os_adnexa,
-    od_lids_lashes, os_lids_lashes,
-    od_conjunctiva, os_conjunctiva,
-    od_cornea, os_cornea,
-    od_anterior_chamber, os_anterior_chamber,
-    od_iris, os_iris,
-    od_lens, os_lens,
-    od_anterior_vitreous, os_anterior_vitreous,
-    od_posterior_vitreous, os_posterior_vitreous,
-    od_cd, os_cd,
-    od_disc, os_disc,
-    od_macula, os_macula,
-    od_vessels, os_vessels,
-    od_periphery, os_periphery,
-    anterior_image, posterior_image,
-    va_type, va_od, va_os,
-    eoms, pupils, fields,
-    iop_method, iop_od, iop_os,
-    redcap, prelim_other,
-    fundus_autofluorescence_status, fundus_autofluorescence_notes, fundus_autofluorescence_images,
-    oct_type, oct_subtype, oct_status, oct_notes, oct_images,
-    vf_status, vf_subtype, vf_notes, vf_images,
-    fa_type, fa_date, fa_reason, fa_cooperation, fa_reliability, fa_findings_od, fa_findings_os,
-    vf_type, vf_date, vf_reason, vf_cooperation, vf_reliability, vf_findings_od, vf_findings_os,
-    oct_date, oct_reason, oct_cooperation, oct_reliability, oct_findings_od, oct_findings_os,
-    gonioscopy_status, gonioscopy_notes, gonioscopy_images,
-    topography_status, topography_notes, topography_images,
-    ascan_status, ascan_notes, ascan_images,
-    bscan_status, bscan_notes, bscan_images,
-    pachymetry_status, pachymetry_notes, pachymetry_images,
-    fundus_photo_status, fundus_photo_notes, fundus_photo_images
-  ) VALUES (
-    ${Array(92).fill('?').join(', ')}
-
-  )`,
-  [
-    case_id,
-    od_adnexa, os_adnexa,
-    od_lids_lashes, os_lids_lashes,
-    od_conjunctiva, os_conjunctiva,
-    od_cornea, os_cornea,
-    od_anterior_chamber, os_anterior_chamber,
-    od_iris, os_iris,
-    od_lens, os_lens,
-    od_anterior_vitreous, os_anterior_vitreous,
-    od_posterior_vitreous, os_posterior_vitreous,
-    od_cd, os_cd,
-    od_disc, os_disc,
-    od_macula, os_macula,
-    od_vessels, os_vessels,
-    od_periphery, os_periphery,
-    anteriorImages, posteriorImages,
-    va_type, va_od, va_os,
-    eoms, pupils, fields,
-    iop_method, iop_od, iop_os,
-    redcap, prelim_other,
-    fundus_autofluorescence_status, fundus_autofluorescence_notes, fundusAutofluorescenceImages,
-    oct_type, oct_subtype, oct_status, oct_notes, octImages,
-    vf_status, vf_subtype, vf_notes, vfImages,
-    fa_type, fa_date, fa_reason, fa_cooperation, fa_reliability, fa_findings_od, fa_findings_os,
-    vf_type, vf_date, vf_reason, vf_cooperation, vf_reliability, vf_findings_od, vf_findings_os,
-    oct_date, oct_reason, oct_cooperation, oct_reliability, oct_findings_od, oct_findings_os,
-    gonioscopy_status, gonioscopy_notes, gonioscopyImages,
-    topography_status, topography_notes, topographyImages,
-    ascan_status, ascan_notes, ascanImages,
-    bscan_status, bscan_notes, bscanImages,
-    pachymetry_status, pachymetry_notes, pachymetryImages,
-    fundus_photo_status, fundus_photo_notes, fundusPhotoImages
-  ],
-  (err) => {
-    if (err) {
-      console.error('❌ Error inserting exam findings:', err);
-      return res.status(500).send("Database error");
+app.post('/wizard/step4', step4Upload, requireCaseAuthor(req => req.body.case_id), async (req, res) => {
+  // Text columns Step 4 may post; only the ones present in the form are written.
+  // Ancillary tests (status, notes, images) are saved from the registry below.
+  const examFields = [
+    'va_type', 'va_od', 'va_os',
+    'eoms', 'pupils', 'fields',
+    'iop_method', 'iop_od', 'iop_os',
+    'redcap', 'prelim_other',
+    // anterior
+    'od_adnexa', 'os_adnexa',
+    'od_lids_lashes', 'os_lids_lashes',
+    'od_conjunctiva', 'os_conjunctiva',
+    'od_cornea', 'os_cornea',
+    'od_anterior_chamber', 'os_anterior_chamber',
+    'od_iris', 'os_iris',
+    'od_lens', 'os_lens',
+    'od_anterior_vitreous', 'os_anterior_vitreous',
+    // posterior
+    'od_posterior_vitreous', 'os_posterior_vitreous',
+    'od_cd', 'os_cd',
+    'od_disc', 'os_disc',
+    'od_macula', 'os_macula',
+    'od_vessels', 'os_vessels',
+    'od_periphery', 'os_periphery'
+  ];
+
+  try {
+    const case_id = await editableCaseId(req.body.case_id);
+
+    // ✅ "Find the lesion" regions (sent as JSON by the Step 4 hotspot editor).
+    // Checked first so rejected regions leave the whole step unsaved
+    let hotspots = null;
+    if (req.body.hotspots_json !== undefined) {
+      try {
+        hotspots = JSON.parse(req.body.hotspots_json || '{}');
+      } catch (e) {
+        return res.status(400).send('❌ Image regions could not be read.');
+      }
+      const errors = validateHotspots(hotspots);
+      if (errors.length) {
+        return res.status(400).send(`❌ Image regions not saved: ${errors.join(' ').replace(/</g, '&lt;')}`);
+      }
     }
-    res.redirect(`/wizard/step5?case_id=${case_id}`);
-  }
-);
 
+    const values = {};
+    examFields.forEach(col => {
+      if (req.body[col] !== undefined) values[col] = req.body[col];
+    });
+
+    // Uploaded images: keep/reorder/remove existing ones (keep_<field>), then append new uploads
+    const [existingRows] = await pool.query('SELECT * FROM exam_sections WHERE case_id = ?', [case_id]);
+    const existing = existingRows[0] || {};
+    EXAM_IMAGE_FIELDS.forEach(field => {
+      values[field] = mergeImageList(existing[field], req.body[`keep_${field}`], req.files?.[field]);
+    });
+
+    // ======================
+    // Save into exam_sections
+    // ======================
+    await upsertByCase('exam_sections', case_id, values);
+    await saveCaseTests(case_id, req.testTypes, req.body, req.files || {});
+    await syncCaseMedia(case_id);
 
+    // Regions belong to images: those on removed images go with them
+    const filenames = (await caseMediaRefs(case_id)).map(r => r.filename);
+    await saveCaseHotspots(case_id, hotspots, filenames);
+    res.redirect(`/wizard/step5?case_id=${case_id}`);
+  } catch (err) {
+    console.error('❌ Error saving exam findings:', err);
+    return res.status(500).send("Database error");
+  }
 });
 
-app.get('/wizard/step5', (req, res) => {
+app.get('/wizard/step5', requirePermission('cases:author'), (req, res) => {
   res.sendFile(__dirname + '/public/wizard-step5.html');
 });
 
@@ -935,110 +1019,17 @@ app.get('/wizard/step5', (req, res) => {
 // ======================
 // Case Wizard - Step 5
 // ======================
-app.post('/wizard/step5', (req, res) => {
-  if (!req.session.user || req.session.user.role !== 'professor') {
-    return res.status(403).send('❌ Unauthorized');
-  }
+app.post('/wizard/step5', requireCaseAuthor(req => req.body.case_id || req.query.case_id), async (req, res) => {
+  try {
+    const case_id = await editableCaseId(req.body.case_id || req.query.case_id);
 
-    // Helper: Convert blank strings to NULL for MySQL
-  function toNull(val) {
-    return val && val.trim() !== "" ? val : null;
+    // ✅ Save each registry test's fields and per-eye findings
+    await saveCaseTests(case_id, await loadTestTypes(), req.body);
+    res.redirect(`/wizard/step6?case_id=${case_id}`);
+  } catch (err) {
+    console.error('❌ Error saving interpretations:', err);
+    return res.status(500).send("Database error");
   }
-
-
-  const case_id = req.body.case_id || req.query.case_id;
-
-  const {
-    // Fundus Autofluorescence
-    fa_type, fa_date, fa_reason, fa_cooperation, fa_reliability, fa_findings_od, fa_findings_os,
-    // OCT
-    oct_type, oct_subtype, oct_status, oct_notes,
-    oct_date, oct_reason, oct_cooperation, oct_reliability, oct_findings_od, oct_findings_os,
-    // Visual Field
-    vf_type, vf_status, vf_subtype, vf_notes,
-    vf_date, vf_reason, vf_cooperation, vf_reliability, vf_findings_od, vf_findings_os,
-    // Gonioscopy
-    gonioscopy_date, gonioscopy_reason, gonioscopy_cooperation, gonioscopy_reliability, gonioscopy_findings_od, gonioscopy_findings_os,
-    // Topography
-    topography_date, topography_reason, topography_cooperation, topography_reliability, topography_findings_od, topography_findings_os,
-    // A-Scan
-    ascan_date, ascan_reason, ascan_cooperation, ascan_reliability, ascan_findings_od, ascan_findings_os,
-    // B-Scan
-    bscan_date, bscan_reason, bscan_cooperation, bscan_reliability, bscan_findings_od, bscan_findings_os,
-    // Pachymetry
-    pachymetry_date, pachymetry_reason, pachymetry_cooperation, pachymetry_reliability, pachymetry_findings_od, pachymetry_findings_os,
-    // Fundus Photo
-    fundus_photo_date, fundus_photo_reason, fundus_photo_cooperation, fundus_photo_reliability, fundus_photo_findings_od, fundus_photo_findings_os
-  } = req.body;
-
-  // ✅ Normalize dates to NULL if blank
-  const safe_fa_date = toNull(fa_date);
-  const safe_oct_date = toNull(oct_date);
-  const safe_vf_date = toNull(vf_date);
-  const safe_gonio_date = toNull(gonioscopy_date);
-  const safe_topo_date = toNull(topography_date);
-  const safe_ascan_date = toNull(ascan_date);
-  const safe_bscan_date = toNull(bscan_date);
-  const safe_pachy_date = toNull(pachymetry_date);
-  const safe_fundus_date = toNull(fundus_photo_date);
-
-
-  // ✅ Save interpretation & results into exam_sections
-db.query(
-  `UPDATE exam_sections SET
-      -- Fundus Autofluorescence
-      fa_type = ?, fa_date = ?, fa_reason = ?, fa_cooperation = ?, fa_reliability = ?, fa_findings_od = ?, fa_findings_os = ?,
-      -- OCT
-      oct_type = ?, oct_subtype = ?, oct_status = ?, oct_notes = ?,
-      oct_date = ?, oct_reason = ?, oct_cooperation = ?, oct_reliability = ?, oct_findings_od = ?, oct_findings_os = ?,
-      -- Visual Field
-      vf_type = ?, vf_status = ?, vf_subtype = ?, vf_notes = ?,
-      vf_date = ?, vf_reason = ?, vf_cooperation = ?, vf_reliability = ?, vf_findings_od = ?, vf_findings_os = ?,
-      -- Gonioscopy
-      gonioscopy_date = ?, gonioscopy_reason = ?, gonioscopy_cooperation = ?, gonioscopy_reliability = ?, gonioscopy_findings_od = ?, gonioscopy_findings_os = ?,
-      -- Topography
-      topography_date = ?, topography_reason = ?, topography_cooperation = ?, topography_reliability = ?, topography_findings_od = ?, topography_findings_os = ?,
-      -- A-Scan
-      ascan_date = ?, ascan_reason = ?, ascan_cooperation = ?, ascan_reliability = ?, ascan_findings_od = ?, ascan_findings_os = ?,
-      -- B-Scan
-      bscan_date = ?, bscan_reason = ?, bscan_cooperation = ?, bscan_reliability = ?, bscan_findings_od = ?, bscan_findings_os = ?,
-      -- Pachymetry
-      pachymetry_date = ?, pachymetry_reason = ?, pachymetry_cooperation = ?, pachymetry_reliability = ?, pachymetry_findings_od = ?, pachymetry_findings_os = ?,
-      -- Fundus Photo
-      fundus_photo_date = ?, fundus_photo_reason = ?, fundus_photo_cooperation = ?, fundus_photo_reliability = ?, fundus_photo_findings_od = ?, fundus_photo_findings_os = ?
-   WHERE case_id = ?`,
-  [
-    // Fundus Autofluorescence
-    fa_type, safe_fa_date, fa_reason, fa_cooperation, fa_reliability, fa_findings_od, fa_findings_os,
-    // OCT
-    oct_type, oct_subtype, oct_status, oct_notes,
-    safe_oct_date, oct_reason, oct_cooperation, oct_reliability, oct_findings_od, oct_findings_os,
-    // Visual Field
-    vf_type, vf_status, vf_subtype, vf_notes,
-    safe_vf_date, vf_reason, vf_cooperation, vf_reliability, vf_findings_od, vf_findings_os,
-    // Gonioscopy
-    safe_gonio_date, gonioscopy_reason, gonioscopy_cooperation, gonioscopy_reliability, gonioscopy_findings_od, gonioscopy_findings_os,
-    // Topography
-    safe_topo_date, topography_reason, topography_cooperation, topography_reliability, topography_findings_od, topography_findings_os,
-    // A-Scan
-    safe_ascan_date, ascan_reason, ascan_cooperation, ascan_reliability, ascan_findings_od, ascan_findings_os,
-    // B-Scan
-    safe_bscan_date, bscan_reason, bscan_cooperation, bscan_reliability, bscan_findings_od, bscan_findings_os,
-    // Pachymetry
-    safe_pachy_date, pachymetry_reason, pachymetry_cooperation, pachymetry_reliability, pachymetry_findings_od, pachymetry_findings_os,
-    // Fundus Photo
-    safe_fundus_date, fundus_photo_reason, fundus_photo_cooperation, fundus_photo_reliability, fundus_photo_findings_od, fundus_photo_findings_os,
-    // Case link
-    case_id
-  ],
-    (err) => {
-      if (err) {
-        console.error('❌ Error saving interpretations:', err);
-        return res.status(500).send("Database error");
-      }
-      res.redirect(`/wizard/step6?case_id=${case_id}`);
-    }
-  );
 });
 
 
@@ -1047,50 +1038,59 @@ db.query(
 // ======================
 // Case Wizard - Step 6
 // ======================
-app.get('/wizard/step6', (req, res) => {
+app.get('/wizard/step6', requirePermission('cases:author'), (req, res) => {
   res.sendFile(__dirname + '/public/wizard-step6.html');
 });
 
-app.post('/wizard/step6', (req, res) => {
-  if (!req.session.user || req.session.user.role !== 'professor') {
-    return res.status(403).send('❌ Unauthorized');
-  }
-
-  const { case_id, cpt_codes } = req.body;
+app.post('/wizard/step6', requireCaseAuthor(req => req.body.case_id), async (req, res) => {
+  const { cpt_codes } = req.body;
 
-  // ✅ Save up to 10 ICD10 + Plan pairs (allows partial entries)
+  // ✅ Up to 10 ICD10 + Plan pairs (allows partial entries; ICD-10 required)
+  const assessments = [];
   for (let i = 1; i <= 10; i++) {
     const icd10_code = req.body[`icd10_code_${i}`]?.trim();
     const plan = req.body[`plan_${i}`]?.trim();
+    if (icd10_code && icd10_code !== "") assessments.push({ icd10_code, plan });
+  }
 
-    // Only insert if ICD-10 is provided
-    if (icd10_code && icd10_code !== "") {
-      db.query(
-        `INSERT INTO assessment_plan (case_id, icd10_code, plan)
-         VALUES (?, ?, ?)`,
-        [case_id, icd10_code, plan || null],
-        (err) => {
-          if (err) console.error(`❌ Error saving ICD10 + Plan #${i}:`, err);
-        }
-      );
-    }
+  // ✅ CPT codes (comma separated input)
+  const codesArray = (cpt_codes || "").split(",").map(c => c.trim()).filter(Boolean);
+
+  // ✅ Save the answer key + publish in one transaction (nothing is saved if the case is incomplete)
+  let case_id;
+  let result;
+  try {
+    case_id = await editableCaseId(req.body.case_id);
+    result = await publishCase(case_id, { assessments, cpt_codes: codesArray });
+  } catch (err) {
+    console.error('❌ Error publishing case:', err);
+    return res.status(500).send('Database error');
   }
 
-  // ✅ Save CPT codes (comma separated input)
-  if (cpt_codes && cpt_codes.trim() !== "") {
-    const codesArray = cpt_codes.split(",").map(c => c.trim());
-
-    codesArray.forEach(code => {
-      if (code) {
-        db.query(
-          `INSERT INTO codes (case_id, cpt_code) VALUES (?, ?)`,
-          [case_id, code],
-          (err) => {
-            if (err) console.error("❌ Error saving CPT code:", err);
-          }
-        );
-      }
-    });
+  if (!result.ok) {
+    return res.status(400).send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Case Not Published</title>
+        <link rel="stylesheet" href="/styles.css">
+      </head>
+      <body>
+        <div class="container">
+          <h2>⚠️ Case not published</h2>
+          <p>Nothing from this step was saved. Fix the following and finalize again:</p>
+          <ul>
+            ${result.problems.map(p => `
+              <li>${p.message.replace(/</g, '&lt;')}
+                <a href="/wizard/step${p.step}?case_id=${case_id}">Step ${p.step}</a></li>
+            `).join('')}
+          </ul>
+          <button onclick="history.back()">⬅ Back to Step 6</button>
+          <a class="back-link" href="/professor/dashboard">⬅ Back to Dashboard (case stays a draft)</a>
+        </div>
+      </body>
+      </html>
+    `);
   }
 
   // ✅ Success popup (redirects after 3s)
@@ -1158,7 +1158,7 @@ app.post('/wizard/step6', (req, res) => {
     <body>
       <div class="success-popup">
         <h2>🎉 Case Completed!</h2>
-        <p>The case has been fully uploaded and saved.</p>
+        <p>The case has been saved and published to students.</p>
         <div class="loading-bar"><span></span></div>
         <p>Redirecting you back to dashboard...</p>
       </div>
@@ -1173,68 +1173,78 @@ app.post('/wizard/step6', (req, res) => {
 // ======================
 
 // POST - save a performed test
-app.post('/api/performed-tests', (req, res) => {
+app.post('/api/performed-tests', requirePermission('cases:work'), async (req, res) => {
   const { case_id, kind, test } = req.body;
 
-  // ensure user is logged in as student
-  if (!req.session.user || req.session.user.role !== 'student') {
-    return res.status(403).json({ success: false, message: 'Unauthorized' });
-  }
-
   if (!case_id || !kind || !test) {
     return res.status(400).json({ success: false, message: 'Missing fields' });
   }
 
-  const sql = `
-    INSERT INTO performed_tests (case_id, kind, test)
-    VALUES (?, ?, ?)
-  `;
-
-  db.query(sql, [case_id, kind, test], (err) => {
-    if (err) {
-      console.error('❌ Error saving performed test:', err);
-      return res.status(500).json({ success: false, message: err.sqlMessage });
+  try {
+    const attempt = await attemptForWork(case_id, req.session.user.id);
+    if (!attempt) return res.status(409).json(NO_ATTEMPT);
+    if (attempt.status === 'COMPLETED') {
+      return res.status(403).json({ success: false, message: 'Case already completed' });
     }
-    res.json({ success: true });
-  });
+
+    await pool.query(
+      `INSERT INTO performed_tests (case_id, student_id, attempt_id, kind, test)
+       VALUES (?, ?, ?, ?, ?)`,
+      [case_id, req.session.user.id, attempt.attempt_id, kind, test]
+    );
+
+    // ✅ Hand back the findings this test just unlocked (and what its files are)
+    const [examRows] = await pool.query('SELECT * FROM exam_sections WHERE case_id = ?', [case_id]);
+    const caseTests = await loadCaseTests(case_id);
+    const exam = revealedExamFields(examRows[0], test);
+    const revealed = revealedCaseTest(caseTests[test]);
+    res.json({
+      success: true,
+      exam,
+      test: revealed,
+      media: await mediaDetails(shownMedia(exam, revealed ? { [test]: revealed } : {}))
+    });
+  } catch (err) {
+    console.error('❌ Error saving performed test:', err);
+    res.status(500).json({ success: false, message: err.sqlMessage });
+  }
 });
 
 
-// GET - retrieve performed tests for a specific case
-app.get('/api/performed-tests', (req, res) => {
-  const { case_id } = req.query;
+// GET - retrieve the signed-in student's performed tests for a case
+// (?attempt_id= picks an earlier attempt, or any student's for staff; defaults to the latest one)
+app.get('/api/performed-tests', requirePermission('cases:work', 'work:view-any'), async (req, res) => {
+  const { case_id, attempt_id } = req.query;
 
   if (!case_id) {
     return res.status(400).json({ success: false, message: 'Missing case_id' });
   }
 
-  const sql = `
-    SELECT kind, test, performed_at
-    FROM performed_tests
-    WHERE case_id = ?
-    ORDER BY performed_at ASC
-  `;
-
-  db.query(sql, [case_id], (err, results) => {
-    if (err) {
-      console.error('❌ Error fetching performed tests:', err);
-      return res.status(500).json({ success: false, message: err.sqlMessage });
-    }
+  try {
+    const attempt = await readableAttempt(case_id, req.session.user, attempt_id);
+    if (!attempt) return res.json([]);
+
+    const [results] = await pool.query(
+      `SELECT kind, test, performed_at
+       FROM performed_tests
+       WHERE attempt_id = ? AND student_id = ?
+       ORDER BY performed_at ASC`,
+      [attempt.attempt_id, attempt.user_id]
+    );
     res.json(results);
-  });
+  } catch (err) {
+    console.error('❌ Error fetching performed tests:', err);
+    res.status(500).json({ success: false, message: err.sqlMessage });
+  }
 });
 
 
 // ======================
 // ✅ Assessment Plan GET
 // ======================
-app.get('/api/assessment-plan', (req, res) => {
+app.get('/api/assessment-plan', requirePermission('cases:work'), (req, res) => {
   const { case_id } = req.query;
 
-  if (!req.session.user || req.session.user.role !== 'student') {
-    return res.status(403).json({ success: false, message: 'Unauthorized' });
-  }
-
   const sql = `
     SELECT id, icd10_code, assessment, plan, student_id, case_id
     FROM assessment_plan
@@ -1255,43 +1265,43 @@ app.get('/api/assessment-plan', (req, res) => {
 // ======================
 // ✅ Interpretations GET
 // ======================
-app.get('/api/interpretations', (req, res) => {
-  const { case_id } = req.query;
+// (?attempt_id= as for performed tests)
+app.get('/api/interpretations', requirePermission('cases:work', 'work:view-any'), async (req, res) => {
+  const { case_id, attempt_id } = req.query;
 
   if (!case_id) {
     return res.status(400).json({ success: false, message: 'Missing case_id' });
   }
 
-  const sql = `
-    SELECT interpretation_id AS id,
-           test_type,
-           subtype,
-           date,
-           reason,
-           cooperation,
-           findings_od,
-           findings_os,
-           interpretation
-    FROM interpretations
-    WHERE case_id = ?
-    ORDER BY date ASC, test_type ASC
-  `;
-
-  db.query(sql, [case_id], (err, results) => {
-    if (err) {
-      console.error('❌ Error fetching interpretations:', err);
-      return res.status(500).json({ success: false, message: err.sqlMessage });
-    }
+  try {
+    const attempt = await readableAttempt(case_id, req.session.user, attempt_id);
+    if (!attempt) return res.json([]);
+
+    const [results] = await pool.query(
+      `SELECT interpretation_id AS id,
+              test_type,
+              subtype,
+              date,
+              reason,
+              cooperation,
+              findings_od,
+              findings_os,
+              interpretation
+       FROM interpretations
+       WHERE attempt_id = ? AND student_id = ?
+       ORDER BY date ASC, test_type ASC`,
+      [attempt.attempt_id, attempt.user_id]
+    );
     res.json(results);
-  });
+  } catch (err) {
+    console.error('❌ Error fetching interpretations:', err);
+    res.status(500).json({ success: false, message: err.sqlMessage });
+  }
 });
 
 // ✅ Return all per-test exam notes like section='exam:va', 'exam:posterior', etc.
-app.get('/api/student-notes/exam-cards', (req, res) => {
+app.get('/api/student-notes/exam-cards', requirePermission('cases:work'), (req, res) => {
   const { case_id } = req.query;
-  if (!req.session.user || req.session.user.role !== 'student') {
-    return res.status(403).json({ success: false, message: 'Unauthorized' });
-  }
   if (!case_id) {
     return res.status(400).json({ success: false, message: 'Missing case_id' });
   }
@@ -1325,8 +1335,8 @@ app.get('/_diag/ping', (req, res) => {
   res.json({ ok: true, buildTime: new Date().toISOString() });
 });
 
-// ---- DIAG: show current DB + first few users ----
-app.get('/_diag/info', async (req, res) => {
+// ---- DIAG: show current DB + first few users (admins only) ----
+app.get('/_diag/info', requirePermission('system:diagnostics'), async (req, res) => {
   try {
     const [[db]] = await pool.query('SELECT DATABASE() AS db');
     const [users] = await pool.query('SELECT id, username, role FROM users ORDER BY id LIMIT 5');
@@ -1368,3 +1378,14 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running: http://localhost:${PORT}`);
 });
 
+// ✅ Close timed attempts left open past their deadline (browser closed, etc.),
+// then store the PDF reports still missing (those attempts, released grades, older attempts)
+setInterval(() => {
+  expireOverdueAttempts()
+    .then(n => { if (n) console.log(`⏱ Closed ${n} timed attempt(s) past their deadline`); })
+    .catch(err => console.error('⚠️ Timed attempt sweep failed:', err.message))
+    .then(() => storeMissingReports())
+    .then(n => { if (n) console.log(`📄 Stored ${n} case report(s)`); })
+    .catch(err => console.error('⚠️ Report sweep failed:', err.message));
+}, 60 * 1000).unref();
+